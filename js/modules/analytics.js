@@ -0,0 +1,196 @@
+/**
+ * ============================================
+ * ANALÍTICA (LOCAL Y RESPETUOSA CON LA PRIVACIDAD)
+ * ============================================
+ * Sin cookies ni almacenamiento: un identificador aleatorio por visita.
+ * Con Do Not Track (o Global Privacy Control) no se registra nada.
+ *
+ * Cada lote se envía como JSON:
+ * { session, page, lang, events: [{ type, time, ...datos }] }
+ * Eventos: section_view, work_open, work_dwell, filter_change,
+ * video_link, download
+ */
+
+import { CONFIG } from './config.js';
+import { debounce } from './utils.js';
+import { I18n } from './i18n.js';
+import { Portfolio } from './portfolio.js';
+import { GalleryFilters } from './gallery-filters.js';
+
+export const Analytics = {
+    enabled: false,
+    debug: false,
+    session: '',
+    queue: [],
+    work: null,
+
+    /**
+     * Activar si hay endpoint o modo debug (y el usuario no pide no ser rastreado)
+     */
+    init() {
+        const { endpoint, flushInterval } = CONFIG.analytics;
+        this.debug = this.detectDebug();
+
+        if (this.isDoNotTrack()) {
+            if (this.debug) console.log('📊 Analytics desactivado: el navegador pide Do Not Track');
+            return;
+        }
+
+        this.enabled = Boolean(endpoint) || this.debug;
+        if (!this.enabled) return;
+
+        this.session = window.crypto && crypto.randomUUID
+            ? crypto.randomUUID()
+            : Math.random().toString(36).slice(2);
+
+        // Enlaces a videos y descargas (delegado: sirve también para el lightbox)
+        document.addEventListener('click', (e) => this.handleClick(e));
+
+        // La pestaña oculta no suma tiempo de visualización; lo pendiente se envía
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.pauseWork();
+                this.flush();
+            } else {
+                this.resumeWork();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.endWork();
+            this.flush();
+        });
+        setInterval(() => this.flush(), flushInterval);
+
+        if (this.debug) {
+            console.log(`📊 Analytics en modo debug${endpoint ? ` (envío a ${endpoint})` : ' (sin endpoint, no se envía nada)'}`);
+        }
+    },
+
+    /**
+     * ?analytics=debug lo activa para la sesión del navegador, ?analytics=off lo quita
+     */
+    detectDebug() {
+        const { debug, debugParam, storageKey } = CONFIG.analytics;
+        const value = new URLSearchParams(window.location.search).get(debugParam);
+
+        try {
+            if (value === 'debug') sessionStorage.setItem(storageKey, '1');
+            if (value === 'off') sessionStorage.removeItem(storageKey);
+            return debug || sessionStorage.getItem(storageKey) === '1';
+        } catch (e) {
+            // sessionStorage bloqueado: solo cuenta la URL actual
+            return debug || value === 'debug';
+        }
+    },
+
+    isDoNotTrack() {
+        const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+    },
+
+    /**
+     * Registrar un evento (se envía en el siguiente lote)
+     */
+    track(type, data = {}) {
+        if (!this.enabled) return;
+
+        this.queue.push({ type, time: Date.now(), ...data });
+        if (this.debug) console.log(`📊 ${type}`, data);
+
+        if (this.queue.length >= CONFIG.analytics.batchSize) {
+            this.flush();
+        }
+    },
+
+    /**
+     * Enviar los eventos pendientes con sendBeacon (sobrevive al cierre de la página)
+     */
+    flush() {
+        if (this.queue.length === 0) return;
+
+        const { endpoint } = CONFIG.analytics;
+        const batch = {
+            session: this.session,
+            page: window.location.pathname,
+            lang: I18n.lang,
+            events: this.queue.splice(0)
+        };
+
+        if (this.debug) console.log(`📊 Lote de ${batch.events.length} eventos`, batch);
+        if (!endpoint) return;
+
+        // text/plain: sendBeacon no admite otros tipos entre orígenes sin preflight
+        const body = JSON.stringify(batch);
+        const sent = navigator.sendBeacon &&
+            navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+
+        if (!sent) {
+            fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+                body,
+                keepalive: true
+            }).catch(() => {
+                // La analítica nunca interrumpe la navegación
+            });
+        }
+    },
+
+    /**
+     * Obra mostrada en el lightbox: apertura y, al salir, tiempo de visualización
+     */
+    viewWork(media, collection) {
+        if (!this.enabled || (this.work && this.work.id === media.id)) return;
+
+        this.endWork();
+        this.work = { id: media.id, collection, since: Date.now(), elapsed: 0 };
+        this.track('work_open', { id: media.id, collection, media: media.type });
+    },
+
+    pauseWork() {
+        if (!this.work || !this.work.since) return;
+        this.work.elapsed += Date.now() - this.work.since;
+        this.work.since = null;
+    },
+
+    resumeWork() {
+        if (this.work && !this.work.since) this.work.since = Date.now();
+    },
+
+    endWork() {
+        if (!this.work) return;
+
+        this.pauseWork();
+        const { id, collection, elapsed } = this.work;
+        this.work = null;
+        this.track('work_dwell', { id, collection, duration: elapsed });
+    },
+
+    /**
+     * Los filtros cambian seguido (búsqueda al teclear): se registra el estado ya asentado
+     */
+    trackFilters: debounce(() => Analytics.trackFilterState(), CONFIG.analytics.filterDelay),
+
+    trackFilterState() {
+        const { category, tags, mode, query, sort } = GalleryFilters.state;
+        this.track('filter_change', {
+            category,
+            tags,
+            mode,
+            query,
+            sort,
+            results: Portfolio.items.filter(entry => GalleryFilters.matches(entry)).length
+        });
+    },
+
+    handleClick(e) {
+        const link = e.target.closest && e.target.closest('a[href]');
+        if (!link) return;
+
+        if (link.matches('.video-link, .lightbox-link')) {
+            this.track('video_link', { url: link.href });
+        } else if (/\.pdf(?:$|[?#])/i.test(link.getAttribute('href'))) {
+            this.track('download', { file: link.getAttribute('href') });
+        }
+    }
+};
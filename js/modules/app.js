@@ -0,0 +1,71 @@
+/**
+ * ============================================
+ * INICIALIZACIÓN
+ * ============================================
+ * Orden de arranque de todos los módulos. js/main.js lo llama al cargar
+ * la página; los tests lo importan para montar la página completa.
+ */
+
+import { Motion } from './motion.js';
+import { I18n } from './i18n.js';
+import { Theme } from './theme.js';
+import { Portfolio } from './portfolio.js';
+import { Router } from './router.js';
+import { ScrollReveal } from './scroll-reveal.js';
+import { LazyLoad } from './lazy-load.js';
+import { Lightbox } from './lightbox.js';
+import { LatestGame } from './latest-game.js';
+import { GameDemo } from './game-demo.js';
+import { VideoPlayer } from './video-player.js';
+import { OfflineSupport } from './offline-support.js';
+import { Analytics } from './analytics.js';
+import { MobileMenu } from './mobile-menu.js';
+import { Navigation } from './navigation.js';
+import { GalleryLayout } from './gallery-layout.js';
+import { GalleryKeyboard } from './gallery-keyboard.js';
+import { GalleryFilters } from './gallery-filters.js';
+import { FormValidation } from './form-validation.js';
+import { Utilities } from './utilities.js';
+import { Kiosk } from './kiosk.js';
+import { Shortlist } from './shortlist.js';
+
+export async function init() {
+    // Preferencia de movimiento antes que nada: los demás módulos la consultan
+    Motion.init();
+
+    // Idioma antes de generar textos (alt de la galería, modal, mensajes)
+    I18n.init();
+    Theme.init();
+    Analytics.init();
+    OfflineSupport.init();
+
+    // La galería se genera primero: el resto de módulos usa sus items
+    // (el manifiesto de imágenes responsive se descarga a la vez)
+    await Promise.all([Portfolio.init(), LazyLoad.loadManifest()]);
+
+    // Inicializar todos los módulos
+    ScrollReveal.init();
+    LazyLoad.init();
+    // Las colecciones del lightbox se registran en el orden de la página ("ver todo")
+    LatestGame.init();
+    GameDemo.init();
+    Lightbox.init();
+    VideoPlayer.init();
+    MobileMenu.init();
+    Navigation.init();
+    GalleryLayout.init();
+    GalleryKeyboard.init();
+    GalleryFilters.init();
+    // Corazones dentro de los items: después del teclado (sigue su parada de Tab)
+    Shortlist.init();
+    FormValidation.init();
+    Utilities.init();
+
+    // Al final: necesita la galería, el lightbox y los filtros listos
+    Router.init();
+
+    // Modo presentación (?kiosk): usa las colecciones ya registradas en el lightbox
+    Kiosk.init();
+
+    console.log('✅ Portfolio inicializado correctamente');
+}
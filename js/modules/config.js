@@ -0,0 +1,128 @@
+/**
+ * ============================================
+ * CONFIGURACIÓN
+ * ============================================
+ */
+
+// Configuración de animaciones
+export const CONFIG = {
+    scrollReveal: {
+        threshold: 0.15, // Porcentaje del elemento visible para activar
+        rootMargin: '0px 0px -50px 0px'
+    },
+    navigation: {
+        // Franja fina a un 30 % de la parte de arriba: la sección que la cruza es la activa
+        spyMargin: '-30% 0px -69% 0px',
+        hideThreshold: 10 // px seguidos hacia abajo (o arriba) para ocultar (o mostrar) la navegación
+    },
+    lazyLoad: {
+        threshold: 0.01,
+        rootMargin: '50px',
+        manifestUrl: 'data/images.json', // Generado con: npm run build:images
+        // Atributo sizes por categoría de la galería (data-sizes en el HTML tiene prioridad)
+        sizes: {
+            illustration: '(max-width: 768px) 100vw, (max-width: 1024px) 50vw, 470px',
+            thumbnail: '(max-width: 768px) 50vw, (max-width: 1024px) 33vw, 350px',
+            default: '100vw'
+        }
+    },
+    portfolio: {
+        manifestUrl: 'data/portfolio.json'
+    },
+    router: {
+        workParam: 'work',
+        filterParam: 'filter',
+        tagsParam: 'tags',
+        matchParam: 'match',
+        queryParam: 'q',
+        sortParam: 'sort',
+        selectionParam: 'selection' // Selección compartida desde la shortlist (?selection=id1,id2)
+    },
+    galleryFilters: {
+        searchDelay: 200 // ms sin teclear antes de filtrar
+    },
+    galleryLayout: {
+        mode: 'masonry',   // 'masonry' | 'justified' | 'grid' (data-layout en el grid tiene prioridad)
+        columnWidth: 320,  // masonry: ancho mínimo de columna (px)
+        rowHeight: 200,    // justified: alto objetivo de cada fila (px)
+        resizeDelay: 150,
+        // Proporción mientras no se conoce la de la imagen (la del antiguo grid CSS)
+        ratios: {
+            illustration: 4 / 3,
+            thumbnail: 16 / 9,
+            default: 1
+        }
+    },
+    lightbox: {
+        minZoom: 1,
+        maxZoom: 4,
+        zoomStep: 0.5,
+        doubleTapZoom: 2.5,
+        doubleTapDelay: 300, // ms entre toques para contar como doble toque
+        tapTolerance: 10,    // px que puede moverse un toque
+        swipeThreshold: 60   // px mínimos para considerar un swipe
+    },
+    contact: {
+        transport: 'formspree', // 'json' | 'formspree' | 'mailto' (o data-transport en el form)
+        fallbackEmail: 'mcastro.mangel@gmail.com',
+        timeout: 10000,      // ms por intento
+        retries: 2,          // reintentos tras el primer intento fallido
+        retryDelay: 1000,    // ms, se duplica en cada reintento
+        maxPerSession: 3,    // envíos permitidos por sesión
+        minInterval: 30000,  // ms mínimos entre envíos
+        storageKey: 'contact-submissions'
+    },
+    i18n: {
+        storageKey: 'lang'
+    },
+    theme: {
+        storageKey: 'theme',                  // La lee también el script de <head> (index.html)
+        backgroundKey: 'lightbox-background', // Fondo neutro del lightbox
+        // <meta name="theme-color"> de cada tema (--bg-primary)
+        colors: {
+            dark: '#0A0A0A',
+            light: '#FAFAF7'
+        }
+    },
+    gameDemo: {
+        // Aislado del resto de la página: sin allow-same-origin (con él, el juego
+        // podría quitarse el sandbox); solo se habla con él por postMessage
+        sandbox: 'allow-scripts allow-pointer-lock',
+        allow: 'fullscreen; autoplay; gamepad',
+        mobileQuery: '(max-width: 768px), (pointer: coarse)', // Aquí se muestra el tráiler
+        loadTimeout: 30000,  // ms sin cargar antes de mostrar el error
+        hintDuration: 3000,  // ms que se ve el aviso del bloqueo del ratón
+        storageKey: 'demo-muted'
+    },
+    spritePlayer: {
+        speeds: [0.25, 0.5, 1, 2], // Velocidades del selector (1 = fps del manifiesto)
+        maxHeight: 0.6,            // Alto máximo del canvas (fracción de la ventana)
+        resizeDelay: 150
+    },
+    shortlist: {
+        storageKey: 'shortlist' // Ids de las obras elegidas (solo en este navegador)
+    },
+    kiosk: {
+        param: 'kiosk',            // ?kiosk arranca la presentación (?kiosk=8: segundos por diapositiva)
+        transitionParam: 'transition',
+        interval: 6000,            // ms por diapositiva
+        transition: 'fade',        // 'fade' | 'slide' | 'zoom' | 'none' (o ?transition=… en la URL)
+        transitionDuration: 800,   // ms
+        touchResume: 5000,         // ms tras el último toque antes de seguir avanzando
+        controlsTimeout: 3000,     // ms sin mover el ratón antes de ocultar controles y cursor
+        idleTimeout: 60000         // ?kiosk: ms sin actividad antes de volver a la presentación
+    },
+    offline: {
+        serviceWorkerUrl: 'sw.js',
+        messageDuration: 4000 // ms que se ve el aviso "disponible offline" / "de nuevo en línea"
+    },
+    analytics: {
+        endpoint: '',          // 🔹 URL que recibe los lotes de eventos (POST); vacío = no se envía nada
+        debug: false,          // true (o ?analytics=debug en la URL) = eventos en la consola
+        debugParam: 'analytics',
+        storageKey: 'analytics-debug',
+        batchSize: 10,         // eventos por envío
+        flushInterval: 30000,  // ms entre envíos de lo pendiente
+        filterDelay: 1000      // ms sin cambios antes de registrar los filtros (búsqueda al teclear)
+    }
+};
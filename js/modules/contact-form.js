@@ -0,0 +1,293 @@
+/**
+ * ============================================
+ * ENVÍO DEL FORMULARIO DE CONTACTO
+ * ============================================
+ */
+
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+
+/**
+ * Crear un error de envío con metadatos para decidir si reintentar
+ */
+function createSubmitError(message, { status = 0, retryable = false } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryable = retryable;
+    return error;
+}
+
+/**
+ * Comprobar la respuesta HTTP: 5xx/429 se reintentan, 4xx no
+ */
+async function checkResponse(response) {
+    if (response.ok) return response;
+
+    let message = I18n.t('form.errorServer', { status: response.status });
+    try {
+        const body = await response.json();
+        if (body && Array.isArray(body.errors) && body.errors.length) {
+            message = body.errors.map(err => err.message).join(' ');
+        } else if (body && body.error) {
+            message = body.error;
+        }
+    } catch (e) {
+        // Respuesta sin JSON: se usa el mensaje genérico
+    }
+
+    throw createSubmitError(message, {
+        status: response.status,
+        retryable: response.status >= 500 || response.status === 429
+    });
+}
+
+/**
+ * Transportes disponibles: cada uno recibe (endpoint, data, { signal })
+ * y devuelve una promesa que se resuelve si el mensaje se entregó.
+ */
+export const ContactTransports = {
+    /**
+     * POST genérico con cuerpo JSON
+     */
+    json: {
+        async send(endpoint, data, { signal }) {
+            // Los archivos no viajan en JSON: solo sus metadatos
+            const payload = {};
+            Object.entries(data).forEach(([key, value]) => {
+                payload[key] = typeof value === 'string'
+                    ? value
+                    : { name: value.name, size: value.size, type: value.type };
+            });
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(payload),
+                signal
+            });
+            return checkResponse(response);
+        }
+    },
+
+    /**
+     * POST form-encoded al estilo Formspree (responde JSON con Accept)
+     */
+    formspree: {
+        async send(endpoint, data, { signal }) {
+            // Con adjuntos hace falta multipart; sin ellos, form-encoded
+            const hasFiles = Object.values(data).some(value => typeof value !== 'string');
+            let body;
+            if (hasFiles) {
+                body = new FormData();
+                Object.entries(data).forEach(([key, value]) => body.append(key, value));
+            } else {
+                body = new URLSearchParams(data);
+            }
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' },
+                body,
+                signal
+            });
+            return checkResponse(response);
+        }
+    },
+
+    /**
+     * Abrir el cliente de correo con el mensaje ya redactado
+     */
+    mailto: {
+        retryable: false,
+
+        async send(endpoint, data) {
+            window.location.href = this.buildUrl(endpoint, data);
+        },
+
+        buildUrl(address, data) {
+            const lines = [
+                `Name: ${data.name || ''}`,
+                `Email: ${data.email || ''}`
+            ];
+            if (data['budget-min'] || data['budget-max']) {
+                lines.push(`Budget: ${data['budget-min'] || '?'} - ${data['budget-max'] || '?'}`);
+            }
+            if (data.reference && data.reference.name) {
+                lines.push(`Reference image: ${data.reference.name} (please attach it to this email)`);
+            }
+            lines.push('', data.message || '');
+            const subject = encodeURIComponent(data.subject || 'Portfolio contact');
+            const body = encodeURIComponent(lines.join('\n'));
+            return `mailto:${address}?subject=${subject}&body=${body}`;
+        }
+    }
+};
+
+export const ContactForm = {
+    /**
+     * Registrar un transporte propio: { send(endpoint, data, { signal }) }
+     */
+    registerTransport(name, adapter) {
+        if (!adapter || typeof adapter.send !== 'function') {
+            throw new TypeError(`Transport "${name}" must implement send()`);
+        }
+        ContactTransports[name] = adapter;
+    },
+
+    /**
+     * Enviar el formulario con el transporte configurado
+     */
+    async submit(form) {
+        const data = this.getData(form);
+
+        // Honeypot relleno: es un bot, se finge éxito sin enviar nada
+        if (data._gotcha) {
+            return { skipped: true };
+        }
+        delete data._gotcha;
+
+        this.checkRateLimit();
+
+        const transportName = form.dataset.transport || CONFIG.contact.transport;
+        const transport = ContactTransports[transportName];
+        if (!transport) {
+            throw createSubmitError(`Unknown contact transport "${transportName}".`);
+        }
+
+        const endpoint = transportName === 'mailto'
+            ? this.getFallbackEmail(form)
+            : form.dataset.endpoint || form.getAttribute('action');
+
+        const result = await this.sendWithRetry(transport, endpoint, data);
+        this.recordSubmission();
+        return result;
+    },
+
+    /**
+     * Leer los campos del formulario como objeto plano
+     */
+    getData(form) {
+        const data = {};
+        new FormData(form).forEach((value, key) => {
+            // Un input file vacío llega como File sin nombre
+            if (typeof value !== 'string' && !value.name) return;
+            data[key] = typeof value === 'string' ? value.trim() : value;
+        });
+        return data;
+    },
+
+    /**
+     * Intentar el envío con timeout por intento y reintentos con backoff
+     */
+    async sendWithRetry(transport, endpoint, data) {
+        const { timeout, retryDelay } = CONFIG.contact;
+        const retries = transport.retryable === false ? 0 : CONFIG.contact.retries;
+        let lastError;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** (attempt - 1)));
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+
+            try {
+                return await transport.send(endpoint, data, { signal: controller.signal });
+            } catch (error) {
+                lastError = this.normalizeError(error);
+                if (!lastError.retryable) break;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        throw lastError;
+    },
+
+    /**
+     * Traducir errores de red/timeout a errores reintentables
+     */
+    normalizeError(error) {
+        if (error.name === 'AbortError') {
+            return createSubmitError(I18n.t('form.errorTimeout'), { retryable: true });
+        }
+        if (error instanceof TypeError) {
+            return createSubmitError(I18n.t('form.errorNetwork'), { retryable: true });
+        }
+        return error;
+    },
+
+    /**
+     * Límite de envíos por sesión (sessionStorage)
+     */
+    checkRateLimit() {
+        const history = this.getSubmissions();
+        const { maxPerSession, minInterval } = CONFIG.contact;
+
+        if (history.length >= maxPerSession) {
+            throw createSubmitError(I18n.t('form.errorTooMany'));
+        }
+        if (history.length && Date.now() - history[history.length - 1] < minInterval) {
+            throw createSubmitError(I18n.t('form.errorTooSoon'));
+        }
+    },
+
+    getSubmissions() {
+        try {
+            return JSON.parse(sessionStorage.getItem(CONFIG.contact.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    recordSubmission() {
+        try {
+            const history = this.getSubmissions();
+            history.push(Date.now());
+            sessionStorage.setItem(CONFIG.contact.storageKey, JSON.stringify(history));
+        } catch (e) {
+            // sessionStorage no disponible (modo privado): sin límite persistente
+        }
+    },
+
+    getFallbackEmail(form) {
+        return form.dataset.mailto || CONFIG.contact.fallbackEmail;
+    },
+
+    /**
+     * Enlace mailto con el mensaje ya escrito, si el envío falló por red/servidor
+     */
+    getFallbackLink(form, error) {
+        if (!error.retryable) return null;
+        return ContactTransports.mailto.buildUrl(this.getFallbackEmail(form), this.getData(form));
+    },
+
+    /**
+     * Mostrar el estado del envío dentro del formulario (en lugar de alert)
+     * @param {string|null} type - 'success' | 'error' | null para ocultar
+     */
+    showStatus(form, message, type, fallbackUrl = null) {
+        const status = form.querySelector('.form-status');
+        if (!status) return;
+
+        status.classList.remove('success', 'error');
+        status.textContent = message;
+        status.hidden = !type;
+
+        if (type) {
+            status.classList.add(type);
+        }
+
+        if (fallbackUrl) {
+            const link = document.createElement('a');
+            link.href = fallbackUrl;
+            link.className = 'form-status-link';
+            link.textContent = I18n.t('form.fallbackLink');
+            status.append(' ', link);
+        }
+    }
+};
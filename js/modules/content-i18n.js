@@ -0,0 +1,79 @@
+/**
+ * ============================================
+ * TEXTOS DEL CONTENIDO (GENERADO)
+ * ============================================
+ * No editar: lo escribe npm run build:content a partir de content/
+ * (about, último juego y videos). I18n los añade a sus diccionarios.
+ * ============================================
+ */
+
+export const CONTENT_DICTIONARIES = {
+    "en": {
+        "gallery.dolor.description": "Personal digital illustration.",
+        "gallery.background-level-1.description": "Background art for the first level of a game.",
+        "gallery.character-illustrations.description": "Character illustrations created for a game.",
+        "gallery.cave.description": "Cave background for a game level.",
+        "gallery.into-the-void.description": "Background for a game level set in the void.",
+        "gallery.door.description": "Door background for a game level.",
+        "about.imageAlt": "Artist profile photo",
+        "about.intro1": "I’m a full-stack game developer and digital artist who creates complete interactive experiences from concept to final polish. I work across programming, animation, and illustration, focusing on expressive visuals, strong ideas, and playful experimentation.",
+        "about.skill1": "Digital Art",
+        "about.skill2": "2D/3D Animation",
+        "about.skill3": "Thumbnails for YouTube",
+        "about.skill4": "Game Design",
+        "about.skill5": "Coding",
+        "about.skill6": "Video Editing",
+        "latest.imageAlt": "Latest game project",
+        "latest.description1": "A story-driven chess game built in Ren’Py that blends classic strategy with interactive storytelling. Players face a series of carefully designed matches, each tied to branching narrative paths that lead to multiple endings. Every decision on and off the board matters, turning traditional chess into a more personal and immersive experience.",
+        "latest.description2": "Developed for PC and Mac, this project explores the challenge of merging turn-based strategy with visual novel mechanics, featuring custom scenes, unique characters, and a strong atmospheric focus. It stands out for reinterpreting a timeless game through narrative, choice, and mood rather than pure competition.",
+        "latest.feature1": "Branching Story",
+        "latest.feature2": "Adaptive Difficulty",
+        "latest.feature3": "Challenging",
+        "videos.one-piece-devil-fruit.alt": "Video preview: The Binding of Isaac, but with a broken One Piece power",
+        "videos.one-piece-devil-fruit.description": "A short animated video where Isaac acquires the protagonist’s devil fruit from One Piece, temporarily gaining its powers. The project plays with crossover humor, visual exaggeration, and expressive animation to deliver a punchy, comedic moment.",
+        "videos.pig.alt": "Video preview: Pig",
+        "videos.pig.description": "A looping 3D animation depicting an infinite factory dedicated to the production of piggy banks. Designed as a calming visual, the project focuses on repetition, smooth motion, and a soothing, meditative rhythm.",
+        "videos.seven-things-i-wish-i-knew.alt": "Video preview: 7 Things I Wish I Knew | The Binding of Isaac: Repentance",
+        "videos.seven-things-i-wish-i-knew.description": "A short-form video titled \"7 Things I Wish I Knew | The Binding of Isaac: Repentance\", focused on practical tips to improve gameplay. The project combines clear explanations, visual examples, and concise editing to help players progress more effectively.",
+        "videos.gorilla-vs-100-isaacs.alt": "TikTok video preview: Who wins: A GORILLA or 100 ISAACS?",
+        "videos.gorilla-vs-100-isaacs.description": "An original animation inspired by the \"100 men vs 1 gorilla\" trend, combining a caricatured visual style with photographic elements. It aims for comedy through exaggerated contrasts and a sudden shift in tone to surprise the viewer.",
+        "videos.mini-isaac.alt": "TikTok video preview: Mini Isaac",
+        "videos.mini-isaac.description": "An original animation based on a perspective-driven trend where camera angles create the illusion of carrying someone through the air. The humor comes from subverting the trend's cute tone, as Isaac's head visibly deforms, making the moment intentionally uncomfortable and absurd.",
+        "videos.a-tier-4-in-isaac.alt": "TikTok video preview: A TIER 4 IN ISAAC",
+        "videos.a-tier-4-in-isaac.description": "A short rotoscoped animation following a dance trend, featuring multiple characters from The Binding of Isaac. The project focuses on translating real movement into stylized animation while keeping a playful, rhythmic tone."
+    },
+    "es": {
+        "gallery.dolor.description": "Ilustración digital personal.",
+        "gallery.background-level-1.description": "Fondo para el primer nivel de un juego.",
+        "gallery.character-illustrations.description": "Ilustraciones de personajes creadas para un juego.",
+        "gallery.cave.description": "Fondo de cueva para un nivel de un juego.",
+        "gallery.into-the-void.description": "Fondo para un nivel de un juego ambientado en el vacío.",
+        "gallery.door.description": "Fondo de puerta para un nivel de un juego.",
+        "about.imageAlt": "Foto de perfil del artista",
+        "about.intro1": "Soy desarrollador de videojuegos full-stack y artista digital: creo experiencias interactivas completas, desde el concepto hasta el pulido final. Trabajo en programación, animación e ilustración, con foco en visuales expresivos, ideas sólidas y experimentación lúdica.",
+        "about.skill1": "Arte digital",
+        "about.skill2": "Animación 2D/3D",
+        "about.skill3": "Miniaturas para YouTube",
+        "about.skill4": "Diseño de videojuegos",
+        "about.skill5": "Programación",
+        "about.skill6": "Edición de video",
+        "latest.imageAlt": "Proyecto de juego más reciente",
+        "latest.description1": "Un juego de ajedrez narrativo hecho en Ren’Py que combina la estrategia clásica con la narración interactiva. Los jugadores se enfrentan a una serie de partidas diseñadas con cuidado, cada una ligada a caminos narrativos ramificados que llevan a varios finales. Cada decisión dentro y fuera del tablero cuenta, y convierte el ajedrez tradicional en una experiencia más personal e inmersiva.",
+        "latest.description2": "Desarrollado para PC y Mac, el proyecto explora el reto de unir la estrategia por turnos con mecánicas de novela visual, con escenas propias, personajes únicos y un fuerte enfoque atmosférico. Destaca por reinterpretar un juego atemporal a través de la narrativa, las decisiones y el ambiente más que de la competencia pura.",
+        "latest.feature1": "Historia ramificada",
+        "latest.feature2": "Dificultad adaptativa",
+        "latest.feature3": "Desafiante",
+        "videos.one-piece-devil-fruit.alt": "Vista previa del video: The Binding of Isaac… pero con un poder de One Piece roto",
+        "videos.one-piece-devil-fruit.description": "Un video animado corto en el que Isaac consigue la fruta del diablo del protagonista de One Piece y obtiene sus poderes por un momento. El proyecto juega con el humor del crossover, la exageración visual y una animación expresiva para lograr un momento cómico y contundente.",
+        "videos.pig.alt": "Vista previa del video: Pig",
+        "videos.pig.description": "Una animación 3D en bucle que muestra una fábrica infinita dedicada a producir alcancías de cerdito. Pensada como un visual relajante, se centra en la repetición, el movimiento suave y un ritmo tranquilo y meditativo.",
+        "videos.seven-things-i-wish-i-knew.alt": "Vista previa del video: 7 Things I Wish I Knew | The Binding of Isaac: Repentance",
+        "videos.seven-things-i-wish-i-knew.description": "Un video corto titulado \"7 Things I Wish I Knew | The Binding of Isaac: Repentance\", con consejos prácticos para mejorar al jugar. Combina explicaciones claras, ejemplos visuales y una edición concisa para ayudar a los jugadores a avanzar mejor.",
+        "videos.gorilla-vs-100-isaacs.alt": "Vista previa del video de TikTok: Who wins: A GORILLA or 100 ISAACS?",
+        "videos.gorilla-vs-100-isaacs.description": "Una animación original inspirada en la tendencia \"100 hombres contra 1 gorila\", que mezcla un estilo caricaturesco con elementos fotográficos. Busca la comedia con contrastes exagerados y un cambio brusco de tono que sorprende al espectador.",
+        "videos.mini-isaac.alt": "Vista previa del video de TikTok: Mini Isaac",
+        "videos.mini-isaac.description": "Una animación original basada en una tendencia de perspectiva donde los ángulos de cámara crean la ilusión de cargar a alguien por el aire. El humor está en romper el tono tierno de la tendencia: la cabeza de Isaac se deforma a la vista, haciendo el momento incómodo y absurdo a propósito.",
+        "videos.a-tier-4-in-isaac.alt": "Vista previa del video de TikTok: A TIER 4 IN ISAAC",
+        "videos.a-tier-4-in-isaac.description": "Una animación corta rotoscopiada que sigue una tendencia de baile, con varios personajes de The Binding of Isaac. El proyecto se centra en llevar movimiento real a una animación estilizada con un tono juguetón y rítmico."
+    }
+};
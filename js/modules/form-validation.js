@@ -0,0 +1,271 @@
+/**
+ * ============================================
+ * VALIDACIÓN DE FORMULARIO
+ * ============================================
+ */
+
+import { I18n } from './i18n.js';
+import { ContactForm } from './contact-form.js';
+
+/**
+ * Utilidad: convertir "5MB", "500kb" o "1024" a bytes
+ */
+function parseFileSize(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!match) return Infinity;
+    const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+    return Number(match[1]) * units[(match[2] || 'b').toLowerCase()];
+}
+
+/**
+ * Reglas de validación. Cada regla:
+ * - param(field): valor de la regla en el campo (null = la regla no aplica)
+ * - validate(field, param, form): true si el valor es válido
+ * - checkEmpty: validar también campos vacíos (solo "required")
+ * - format(param): cómo mostrar el parámetro en el mensaje (opcional)
+ */
+export const ValidationRules = {
+    required: {
+        checkEmpty: true,
+        param: field => field.hasAttribute('required') ? true : null,
+        validate: field => field.type === 'file'
+            ? field.files.length > 0
+            : field.value.trim() !== ''
+    },
+    email: {
+        param: field => field.type === 'email' ? true : null,
+        validate: field => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(field.value.trim())
+    },
+    minlength: {
+        param: field => field.dataset.minlength || null,
+        validate: (field, param) => field.value.trim().length >= Number(param)
+    },
+    maxlength: {
+        param: field => field.dataset.maxlength || null,
+        validate: (field, param) => field.value.trim().length <= Number(param)
+    },
+    pattern: {
+        param: field => field.dataset.pattern || null,
+        validate: (field, param) => new RegExp(`^(?:${param})$`).test(field.value.trim())
+    },
+    match: {
+        param: field => field.dataset.match || null,
+        validate: (field, param, form) => {
+            const other = form.querySelector(`[name="${param}"]`) || document.getElementById(param);
+            return !other || other.value === field.value;
+        }
+    },
+    min: {
+        param: field => field.dataset.min || null,
+        validate: (field, param) => Number(field.value) >= Number(param)
+    },
+    max: {
+        param: field => field.dataset.max || null,
+        validate: (field, param) => Number(field.value) <= Number(param)
+    },
+    gte: {
+        // Rangos (presupuesto): este campo debe ser >= el campo indicado
+        param: field => field.dataset.gte || null,
+        validate: (field, param, form) => {
+            const other = form.querySelector(`[name="${param}"]`);
+            return !other || other.value === '' || Number(field.value) >= Number(other.value);
+        }
+    },
+    maxsize: {
+        param: field => field.dataset.maxSize || null,
+        validate: (field, param) => Array.from(field.files || [])
+            .every(file => file.size <= parseFileSize(param)),
+        format: param => param.replace(/(\d)([a-z])/i, '$1 $2').toUpperCase()
+    },
+    filetype: {
+        param: field => field.dataset.types || (field.type === 'file' && field.getAttribute('accept')) || null,
+        validate: (field, param) => {
+            const allowed = param.split(',').map(type => type.trim().toLowerCase());
+            return Array.from(field.files || []).every(file => allowed.some(type => {
+                if (type.startsWith('.')) return file.name.toLowerCase().endsWith(type);
+                if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+                return file.type === type;
+            }));
+        },
+        format: param => param.split(',').map(type => type.trim().replace(/^image\//, '').toUpperCase()).join(', ')
+    }
+};
+
+export const FormValidation = {
+    fields: [],
+
+    /**
+     * Inicializar validación de formulario
+     */
+    init() {
+        const form = document.querySelector('.contact-form');
+        if (!form) return;
+
+        this.fields = Array.from(form.querySelectorAll('.form-input, .form-textarea, .form-file'));
+
+        this.fields.forEach(input => {
+            // Validación en tiempo real
+            input.addEventListener('blur', () => this.validateField(input));
+            input.addEventListener(input.type === 'file' ? 'change' : 'input', () => {
+                if (input.classList.contains('error') || input.type === 'file') {
+                    this.validateField(input);
+                }
+            });
+        });
+
+        // Validación al enviar
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const invalid = this.fields.filter(input => !this.validateField(input));
+            this.renderSummary(form, invalid);
+
+            if (invalid.length === 0) {
+                this.handleSubmit(form);
+            }
+        });
+
+        // Repetir los mensajes visibles en el nuevo idioma
+        document.addEventListener('localechange', () => {
+            const invalid = this.fields.filter(input => input.classList.contains('error'));
+            invalid.forEach(input => this.validateField(input));
+
+            const summary = form.querySelector('.form-error-summary');
+            if (summary && !summary.hidden) {
+                this.renderSummary(form, invalid);
+            }
+        });
+    },
+
+    /**
+     * Añadir una regla propia y sus mensajes
+     * @param {string} name - nombre de la regla (clave validation.<name>)
+     * @param {Object} rule - { param(field), validate(field, param, form), format? }
+     * @param {Object} messages - { en: '...', es: '...' }
+     */
+    registerRule(name, rule, messages = {}) {
+        if (typeof rule.param !== 'function' || typeof rule.validate !== 'function') {
+            throw new TypeError(`Validation rule "${name}" must implement param() and validate()`);
+        }
+        ValidationRules[name] = rule;
+        Object.keys(messages).forEach(lang => {
+            I18n.extend(lang, { [`validation.${name}`]: messages[lang] });
+        });
+    },
+
+    /**
+     * Mensaje de una regla, con el parámetro ya formateado.
+     * Un campo puede tener su propio texto con la clave validation.<name>.<regla>.
+     */
+    getMessage(ruleName, field, param) {
+        const fieldKey = `validation.${field.name}.${ruleName}`;
+        const key = I18n.has(fieldKey) ? fieldKey : `validation.${ruleName}`;
+        const rule = ValidationRules[ruleName];
+        const shown = rule && rule.format ? rule.format(param) : param;
+        return I18n.t(key, { param: shown });
+    },
+
+    /**
+     * Primera regla que falla en un campo (null si es válido)
+     */
+    getError(field) {
+        const form = field.form;
+        const isEmpty = field.type === 'file' ? field.files.length === 0 : !field.value.trim();
+
+        for (const [name, rule] of Object.entries(ValidationRules)) {
+            const param = rule.param(field);
+            if (param === null || param === undefined || param === false) continue;
+            if (isEmpty && !rule.checkEmpty) continue;
+
+            if (!rule.validate(field, param, form)) {
+                return this.getMessage(name, field, param);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Validar un campo individual
+     */
+    validateField(field) {
+        const errorElement = document.getElementById(`${field.id}-error`);
+        const errorMessage = this.getError(field) || '';
+        const isValid = !errorMessage;
+
+        // Mostrar/ocultar error
+        if (errorElement) {
+            errorElement.textContent = errorMessage;
+        }
+        field.classList.toggle('error', !isValid);
+        field.setAttribute('aria-invalid', String(!isValid));
+
+        return isValid;
+    },
+
+    /**
+     * Resumen de errores al enviar (aria-live) con enlaces a cada campo
+     */
+    renderSummary(form, invalidFields) {
+        const summary = form.querySelector('.form-error-summary');
+        if (!summary) return;
+
+        summary.innerHTML = '';
+        summary.hidden = invalidFields.length === 0;
+        if (summary.hidden) return;
+
+        const title = document.createElement('p');
+        title.className = 'form-error-summary-title';
+        title.textContent = I18n.t('validation.summary');
+
+        const list = document.createElement('ul');
+        invalidFields.forEach(field => {
+            // data-label permite un nombre más claro que la etiqueta visible
+            const label = form.querySelector(`label[for="${field.id}"]`);
+            const name = field.dataset.label || (label ? label.textContent.replace(/\*/g, '').trim() : field.name);
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#${field.id}`;
+            link.textContent = `${name}: ${this.getError(field)}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                field.focus();
+            });
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        summary.append(title, list);
+        summary.focus();
+    },
+
+    /**
+     * Manejar envío del formulario
+     */
+    async handleSubmit(form) {
+        const submitBtn = form.querySelector('.form-submit');
+
+        // Mostrar estado de carga
+        submitBtn.disabled = true;
+        submitBtn.textContent = I18n.t('form.sending');
+        submitBtn.classList.add('loading');
+        ContactForm.showStatus(form, '', null);
+
+        try {
+            await ContactForm.submit(form);
+
+            ContactForm.showStatus(form, I18n.t('form.success'), 'success');
+            form.reset();
+
+            // Remover clases de error
+            form.querySelectorAll('.error').forEach(el => el.classList.remove('error'));
+        } catch (error) {
+            console.error('❌ Error al enviar el formulario:', error);
+            ContactForm.showStatus(form, error.message, 'error', ContactForm.getFallbackLink(form, error));
+        } finally {
+            // Restaurar botón (en el idioma actual: puede haber cambiado durante el envío)
+            submitBtn.disabled = false;
+            submitBtn.textContent = I18n.t(submitBtn.dataset.i18n);
+            submitBtn.classList.remove('loading');
+        }
+    }
+};
@@ -0,0 +1,390 @@
+/**
+ * ============================================
+ * FILTROS DE GALERÍA
+ * ============================================
+ */
+
+import { CONFIG } from './config.js';
+import { debounce, normalizeText, announce } from './utils.js';
+import { Motion } from './motion.js';
+import { I18n } from './i18n.js';
+import { Portfolio } from './portfolio.js';
+import { Router } from './router.js';
+import { Analytics } from './analytics.js';
+import { GalleryLayout } from './gallery-layout.js';
+import { GalleryKeyboard } from './gallery-keyboard.js';
+
+export const GalleryFilters = {
+    buttons: [],
+    tagButtons: [],
+    modeButtons: [],
+    tags: [],
+    state: { category: 'all', tags: [], mode: 'or', query: '', sort: 'default', selection: [] },
+    applied: null,
+
+    sorters: {
+        'default': () => 0,
+        'year-desc': (a, b) => (Number(b.year) || 0) - (Number(a.year) || 0),
+        'year-asc': (a, b) => (Number(a.year) || 0) - (Number(b.year) || 0),
+        'title-asc': (a, b) => a.title.localeCompare(b.title, I18n.lang, { numeric: true, sensitivity: 'base' }),
+        'title-desc': (a, b) => b.title.localeCompare(a.title, I18n.lang, { numeric: true, sensitivity: 'base' })
+    },
+
+    /**
+     * Inicializar filtros de galería
+     */
+    init() {
+        this.buttons = Array.from(document.querySelectorAll('.filter-btn'));
+        this.modeButtons = Array.from(document.querySelectorAll('.filter-mode-btn'));
+        this.search = document.querySelector('.filter-search');
+        this.sortSelect = document.querySelector('.filter-sort');
+        this.count = document.querySelector('.filter-count');
+        this.chips = document.querySelector('.filter-chips');
+        this.empty = document.querySelector('.gallery-empty');
+
+        if (this.buttons.length === 0) return;
+
+        this.renderTags();
+
+        this.buttons.forEach(button => {
+            button.addEventListener('click', () => this.update({ category: button.getAttribute('data-filter') }));
+        });
+
+        this.modeButtons.forEach(button => {
+            button.addEventListener('click', () => this.update({ mode: button.dataset.mode }));
+        });
+
+        if (this.search) {
+            this.search.addEventListener('input', debounce(() => {
+                this.update({ query: this.search.value.trim() });
+            }, CONFIG.galleryFilters.searchDelay));
+        }
+
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => this.update({ sort: this.sortSelect.value }));
+        }
+
+        if (this.chips) {
+            this.chips.addEventListener('click', (e) => {
+                const chip = e.target.closest('.filter-chip');
+                if (chip) this.removeChip(chip);
+            });
+        }
+
+        const emptyReset = document.querySelector('.gallery-empty-reset');
+        if (emptyReset) {
+            emptyReset.addEventListener('click', () => this.update(this.getDefaults()));
+        }
+
+        // El contador y las chips llevan textos traducidos
+        document.addEventListener('localechange', () => this.renderStatus());
+
+        this.renderStatus();
+    },
+
+    getDefaults() {
+        return { category: 'all', tags: [], mode: 'or', query: '', sort: 'default', selection: [] };
+    },
+
+    /**
+     * Botones de etiqueta: todas las etiquetas del manifiesto
+     */
+    renderTags() {
+        const container = document.querySelector('.filter-tags');
+        const tags = new Set();
+        Portfolio.items.forEach(entry => entry.tags.forEach(tag => tags.add(tag)));
+        this.tags = Array.from(tags).sort((a, b) => a.localeCompare(b));
+
+        const bar = document.querySelector('.filter-tags-bar');
+        if (bar) bar.hidden = this.tags.length === 0;
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.tagButtons = this.tags.map(tag => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'filter-tag';
+            button.dataset.tag = tag;
+            button.textContent = tag;
+            button.setAttribute('aria-pressed', 'false');
+            button.addEventListener('click', () => this.toggleTag(tag));
+            container.appendChild(button);
+            return button;
+        });
+    },
+
+    toggleTag(tag) {
+        const tags = this.state.tags.includes(tag)
+            ? this.state.tags.filter(selected => selected !== tag)
+            : [...this.state.tags, tag];
+        this.update({ tags });
+    },
+
+    /**
+     * Cambio desde la interfaz: aplicar y guardar en la URL
+     */
+    update(changes) {
+        const applied = this.applied;
+        this.apply({ ...this.state, ...changes });
+        Router.setFilters(this.state);
+        Analytics.trackFilters();
+
+        if (this.applied !== applied) this.announceCount();
+    },
+
+    /**
+     * Volver a mostrar todo (sin tocar la URL)
+     */
+    reset() {
+        this.apply(this.getDefaults());
+    },
+
+    /**
+     * Aplicar un estado de filtros (desde la interfaz o desde la URL)
+     */
+    apply(state) {
+        const next = this.normalize(state);
+        const signature = JSON.stringify(next);
+        if (signature === this.applied) return;
+
+        const previous = this.state;
+        this.applied = signature;
+        this.state = next;
+
+        this.syncControls();
+        if (next.sort !== previous.sort) {
+            this.sortItems();
+        }
+        this.filterItems();
+        this.renderStatus();
+    },
+
+    /**
+     * Valores desconocidos (p. ej. en la URL) vuelven a los por defecto
+     */
+    normalize(state) {
+        const defaults = this.getDefaults();
+        const categories = this.buttons.map(btn => btn.getAttribute('data-filter'));
+        const tags = Array.isArray(state.tags) ? state.tags : [];
+        const selection = Array.isArray(state.selection) ? state.selection : [];
+        const ids = Portfolio.items.map(entry => entry.id);
+
+        return {
+            category: categories.includes(state.category) ? state.category : defaults.category,
+            tags: tags.filter((tag, index) => this.tags.includes(tag) && tags.indexOf(tag) === index),
+            mode: state.mode === 'and' ? 'and' : 'or',
+            query: typeof state.query === 'string' ? state.query.trim() : '',
+            sort: this.sorters[state.sort] ? state.sort : defaults.sort,
+            // Selección compartida (Shortlist): solo ids que existen, en su orden
+            selection: selection.filter((id, index) => ids.includes(id) && selection.indexOf(id) === index)
+        };
+    },
+
+    /**
+     * Reflejar el estado en botones, buscador y selector de orden
+     */
+    syncControls() {
+        const { category, tags, mode, query, sort } = this.state;
+
+        this.buttons.forEach(btn => {
+            const active = btn.getAttribute('data-filter') === category;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-selected', String(active));
+        });
+
+        this.tagButtons.forEach(btn => {
+            btn.setAttribute('aria-pressed', String(tags.includes(btn.dataset.tag)));
+        });
+
+        this.modeButtons.forEach(btn => {
+            btn.setAttribute('aria-pressed', String(btn.dataset.mode === mode));
+        });
+
+        // No pisar lo que se está escribiendo (el estado lleva el texto sin espacios finales)
+        if (this.search && this.search.value.trim() !== query) {
+            this.search.value = query;
+        }
+
+        if (this.sortSelect) {
+            this.sortSelect.value = sort;
+        }
+    },
+
+    /**
+     * Reordenar los items dentro de su grid
+     */
+    sortItems() {
+        const compare = this.sorters[this.state.sort];
+
+        // sort() es estable: con "default" se recupera el orden del manifiesto
+        [...Portfolio.items].sort(compare).forEach(entry => {
+            const element = Portfolio.getElement(entry.id);
+            if (element) element.parentNode.appendChild(element);
+        });
+    },
+
+    /**
+     * Mostrar/ocultar items (y el bloque de un grid que se queda vacío).
+     * Con GalleryLayout activo los ocultos se desvanecen en su sitio y el
+     * resto se recoloca con transición.
+     */
+    filterItems() {
+        const visibleByGrid = new Map();
+        let position = 0;
+
+        const ordered = [...Portfolio.items].sort(this.sorters[this.state.sort]);
+
+        ordered.forEach(entry => {
+            const item = Portfolio.getElement(entry.id);
+            if (!item) return;
+
+            const grid = item.parentNode;
+            if (!visibleByGrid.has(grid)) visibleByGrid.set(grid, 0);
+
+            const visible = this.matches(entry);
+            if (visible) {
+                visibleByGrid.set(grid, visibleByGrid.get(grid) + 1);
+                // Solo los que reaparecen repiten la animación de entrada (escalonada)
+                if (item.hidden) item.style.animationDelay = Motion.reduced ? '' : `${position++ * 0.05}s`;
+            }
+            item.hidden = !visible;
+        });
+
+        visibleByGrid.forEach((count, grid) => {
+            grid.parentElement.style.display = count === 0 ? 'none' : '';
+        });
+
+        GalleryLayout.update();
+        GalleryKeyboard.refresh();
+    },
+
+    /**
+     * Leer el nuevo número de resultados (el contador visible no es aria-live:
+     * así no se anuncia también al cambiar de idioma o al cargar)
+     */
+    announceCount() {
+        const total = Portfolio.items.length;
+        const count = Portfolio.items.filter(entry => this.matches(entry)).length;
+        announce(count === 0
+            ? I18n.t('gallery.empty')
+            : I18n.t('gallery.resultCount', { count, total }));
+    },
+
+    /**
+     * Contador, estado vacío y chips de filtros activos
+     */
+    renderStatus() {
+        const total = Portfolio.items.length;
+        const count = Portfolio.items.filter(entry => this.matches(entry)).length;
+
+        if (this.count) {
+            this.count.textContent = I18n.t('gallery.resultCount', { count, total });
+        }
+
+        if (this.empty) {
+            this.empty.hidden = count > 0 || total === 0;
+        }
+
+        this.renderChips();
+    },
+
+    renderChips() {
+        if (!this.chips) return;
+
+        const { category, tags, query, selection } = this.state;
+        const chips = [];
+
+        if (selection.length > 0) {
+            chips.push({ type: 'selection', value: '', label: I18n.t('gallery.selectionChip', { count: selection.length }) });
+        }
+        if (category !== 'all') {
+            chips.push({ type: 'category', value: category, label: this.getCategoryLabel(category) });
+        }
+        tags.forEach(tag => chips.push({ type: 'tag', value: tag, label: tag }));
+        if (query) {
+            chips.push({ type: 'query', value: query, label: I18n.t('gallery.searchChip', { query }) });
+        }
+
+        this.chips.innerHTML = '';
+        this.chips.hidden = chips.length === 0;
+
+        chips.forEach(chip => {
+            const li = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'filter-chip';
+            button.dataset.type = chip.type;
+            button.dataset.value = chip.value;
+            button.setAttribute('aria-label', I18n.t('gallery.removeFilter', { label: chip.label }));
+            button.innerHTML = '<span class="filter-chip-label"></span><span class="filter-chip-remove" aria-hidden="true">&times;</span>';
+            button.querySelector('.filter-chip-label').textContent = chip.label;
+            li.appendChild(button);
+            this.chips.appendChild(li);
+        });
+
+        if (chips.length > 1) {
+            const li = document.createElement('li');
+            const clear = document.createElement('button');
+            clear.type = 'button';
+            clear.className = 'filter-chip filter-chip-clear';
+            clear.dataset.type = 'all';
+            clear.textContent = I18n.t('gallery.clearFilters');
+            li.appendChild(clear);
+            this.chips.appendChild(li);
+        }
+    },
+
+    removeChip(chip) {
+        const { type, value } = chip.dataset;
+        const focusNext = () => {
+            // El foco no se pierde al desaparecer la chip
+            const next = this.chips.querySelector('.filter-chip') || this.search;
+            if (next) next.focus();
+        };
+
+        if (type === 'category') this.update({ category: 'all' });
+        if (type === 'tag') this.update({ tags: this.state.tags.filter(tag => tag !== value) });
+        if (type === 'query') this.update({ query: '' });
+        if (type === 'selection') this.update({ selection: [] });
+        if (type === 'all') this.update(this.getDefaults());
+
+        focusNext();
+    },
+
+    /**
+     * Nombre visible de una categoría (el texto de su pestaña)
+     */
+    getCategoryLabel(category) {
+        const button = this.buttons.find(btn => btn.getAttribute('data-filter') === category);
+        return button ? button.textContent.trim() : category;
+    },
+
+    /**
+     * ¿La obra pasa los filtros activos?
+     */
+    matches(entry) {
+        const { category, tags, mode, query, selection } = this.state;
+
+        if (selection.length > 0 && !selection.includes(entry.id)) return false;
+        if (category !== 'all' && entry.category !== category) return false;
+
+        if (tags.length > 0) {
+            const hasTag = tag => entry.tags.includes(tag);
+            const tagsMatch = mode === 'and' ? tags.every(hasTag) : tags.some(hasTag);
+            if (!tagsMatch) return false;
+        }
+
+        if (query) {
+            // Título, categoría (también su nombre traducido) y etiquetas
+            const haystack = normalizeText([
+                entry.title,
+                entry.category,
+                this.getCategoryLabel(entry.category),
+                ...entry.tags
+            ].join(' '));
+            return normalizeText(query).split(/\s+/).every(word => haystack.includes(word));
+        }
+
+        return true;
+    }
+};
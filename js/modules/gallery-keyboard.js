@@ -0,0 +1,127 @@
+/**
+ * ============================================
+ * NAVEGACIÓN CON TECLADO EN LA GALERÍA
+ * ============================================
+ */
+
+/**
+ * Tabindex móvil por grid: Tab entra y sale de la galería con una sola
+ * parada y las flechas recorren las obras visibles (Intro las abre).
+ */
+export const GalleryKeyboard = {
+    grids: [],
+
+    init() {
+        this.grids = Array.from(document.querySelectorAll('.gallery-grid[data-gallery-category]'));
+
+        this.grids.forEach(grid => {
+            grid.addEventListener('keydown', (e) => this.handleKeydown(e, grid));
+
+            // Clic, Tab o volver del lightbox: ese item pasa a ser la parada de Tab
+            grid.addEventListener('focusin', (e) => {
+                const item = e.target.closest('.gallery-item');
+                if (item && item.parentNode === grid) this.setCurrent(grid, item);
+            });
+        });
+
+        this.refresh();
+    },
+
+    getItems(grid) {
+        return Array.from(grid.children).filter(item =>
+            item.classList.contains('gallery-item') && !item.hidden);
+    },
+
+    setCurrent(grid, current) {
+        Array.from(grid.querySelectorAll('.gallery-item')).forEach(item => {
+            item.tabIndex = item === current ? 0 : -1;
+            // Sus botones (p. ej. el corazón de la shortlist) siguen a la parada de Tab
+            item.querySelectorAll('button').forEach(button => {
+                button.tabIndex = item === current ? 0 : -1;
+            });
+        });
+    },
+
+    /**
+     * Tras filtrar u ordenar: si la parada de Tab quedó oculta, pasa al primero visible
+     */
+    refresh() {
+        this.grids.forEach(grid => {
+            const items = this.getItems(grid);
+            const current = items.find(item => item.tabIndex === 0);
+            this.setCurrent(grid, current || items[0] || null);
+        });
+    },
+
+    handleKeydown(e, grid) {
+        // Solo con el foco en el propio item (no en sus enlaces o botones)
+        const item = e.target;
+        if (!item.classList.contains('gallery-item') || item.parentNode !== grid) return;
+
+        const items = this.getItems(grid);
+        const index = items.indexOf(item);
+        let target;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                target = items[index - 1];
+                break;
+            case 'ArrowRight':
+                target = items[index + 1];
+                break;
+            case 'ArrowUp':
+                target = this.findVertical(items, index, -1);
+                break;
+            case 'ArrowDown':
+                target = this.findVertical(items, index, 1);
+                break;
+            case 'Home':
+                target = items[0];
+                break;
+            case 'End':
+                target = items[items.length - 1];
+                break;
+            default:
+                return;
+        }
+
+        // Las flechas no desplazan la página aunque no haya vecino
+        e.preventDefault();
+        if (target) {
+            this.setCurrent(grid, target);
+            target.focus();
+        }
+    },
+
+    /**
+     * Vecino de arriba/abajo según la posición en pantalla: sirve igual para
+     * la rejilla, masonry y justified. Se elige el más cercano sumando la
+     * distancia vertical y la desviación horizontal entre centros.
+     */
+    findVertical(items, index, direction) {
+        const from = items[index].getBoundingClientRect();
+
+        // Sin layout (p. ej. aún oculto): orden del DOM
+        if (from.width === 0) return items[index + direction];
+
+        const centerX = from.left + from.width / 2;
+        let best = null;
+        let bestScore = Infinity;
+
+        items.forEach((candidate, candidateIndex) => {
+            if (candidateIndex === index) return;
+            const rect = candidate.getBoundingClientRect();
+            const distance = direction > 0 ? rect.top - from.bottom : from.top - rect.bottom;
+            // Solo lo que está por completo debajo/encima (1px de margen por redondeo)
+            if (distance < -1) return;
+
+            const score = distance + Math.abs(rect.left + rect.width / 2 - centerX);
+            if (score < bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+};
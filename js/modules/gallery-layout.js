@@ -0,0 +1,206 @@
+/**
+ * ============================================
+ * LAYOUT DE GALERÍA (MASONRY / JUSTIFIED)
+ * ============================================
+ * Coloca los items con position: absolute según la proporción real de
+ * cada imagen: sin recortes ni huecos entre ilustraciones verticales y
+ * miniaturas 16:9. Los cambios de posición se animan con CSS.
+ */
+
+import { CONFIG } from './config.js';
+import { debounce } from './utils.js';
+import { LazyLoad } from './lazy-load.js';
+
+export const GalleryLayout = {
+    grids: [],
+    ratios: new Map(),
+    placed: new Set(),
+    pending: new Set(),
+    frame: null,
+
+    /**
+     * Preparar los grids con data-layout (o el modo de CONFIG)
+     */
+    init() {
+        this.grids = Array.from(document.querySelectorAll('.gallery-grid[data-gallery-category]'))
+            .filter(grid => this.getMode(grid) !== 'grid');
+
+        if (this.grids.length === 0) return;
+
+        this.grids.forEach(grid => {
+            Array.from(grid.children).forEach(item => this.watchImage(item));
+        });
+
+        window.addEventListener('resize', debounce(() => this.update(), CONFIG.galleryLayout.resizeDelay));
+
+        this.update();
+    },
+
+    getMode(grid) {
+        const mode = grid.dataset.layout || CONFIG.galleryLayout.mode;
+        return this.layouts[mode] ? mode : 'grid';
+    },
+
+    /**
+     * Sin manifiesto de imágenes la proporción se conoce al cargar: recolocar entonces
+     */
+    watchImage(item) {
+        const img = item.querySelector('.gallery-image');
+        if (!img || this.getKnownRatio(item)) return;
+
+        img.addEventListener('load', () => this.update(item.parentNode), { once: true });
+    },
+
+    /**
+     * Proporción ancho/alto de la imagen (manifiesto o tamaño natural)
+     */
+    getKnownRatio(item) {
+        if (this.ratios.has(item)) return this.ratios.get(item);
+
+        const img = item.querySelector('.gallery-image');
+        if (!img) return null;
+
+        const entry = LazyLoad.getEntry(img.getAttribute('src'));
+        const [width, height] = entry && entry.width && entry.height
+            ? [entry.width, entry.height]
+            : [img.naturalWidth, img.naturalHeight];
+
+        if (!width || !height) return null;
+
+        this.ratios.set(item, width / height);
+        return width / height;
+    },
+
+    getRatio(item) {
+        const { ratios } = CONFIG.galleryLayout;
+        return this.getKnownRatio(item) || ratios[item.dataset.category] || ratios.default;
+    },
+
+    /**
+     * Pedir un recálculo (de un grid o de todos) para el siguiente frame
+     */
+    update(grid) {
+        const grids = grid ? [grid] : this.grids;
+        grids.forEach(target => {
+            if (this.grids.includes(target)) this.pending.add(target);
+        });
+
+        if (this.frame || this.pending.size === 0) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            const pending = Array.from(this.pending);
+            this.pending.clear();
+            pending.forEach(target => this.layout(target));
+        });
+    },
+
+    /**
+     * Calcular y aplicar las posiciones de los items visibles de un grid
+     */
+    layout(grid) {
+        const width = grid.clientWidth;
+        // Bloque oculto (p. ej. filtrado por categoría): se recoloca al volver a mostrarse
+        if (!width) return;
+
+        const items = Array.from(grid.children);
+        const visible = items.filter(item => !item.hidden);
+        const gap = parseFloat(getComputedStyle(grid).columnGap) || 0;
+
+        const { boxes, height } = this.layouts[this.getMode(grid)](
+            visible.map(item => this.getRatio(item)), width, gap);
+
+        const firstLayout = !grid.classList.contains('is-laid-out');
+        grid.classList.add('is-laid-out');
+
+        // Los que no estaban colocados (primera vez o volviendo de oculto) aparecen
+        // directamente en su sitio; el resto se desplaza con transición
+        const instant = visible.filter(item => firstLayout || !this.placed.has(item));
+        if (firstLayout) instant.push(grid);
+        instant.forEach(element => { element.style.transition = 'none'; });
+
+        visible.forEach((item, index) => {
+            const box = boxes[index];
+            item.style.left = `${box.left}px`;
+            item.style.top = `${box.top}px`;
+            item.style.width = `${box.width}px`;
+            item.style.height = `${box.height}px`;
+        });
+        grid.style.height = `${height}px`;
+
+        if (instant.length > 0) {
+            // Forzar el reflow antes de devolver las transiciones
+            void grid.offsetHeight;
+            instant.forEach(element => { element.style.transition = ''; });
+        }
+
+        items.forEach(item => {
+            if (item.hidden) {
+                this.placed.delete(item);
+            } else {
+                this.placed.add(item);
+            }
+        });
+    },
+
+    /**
+     * Algoritmos: reciben las proporciones y devuelven cajas {left, top, width, height}
+     */
+    layouts: {
+        // Columnas de igual ancho; cada item va a la columna más corta
+        masonry(ratios, width, gap) {
+            const minWidth = CONFIG.galleryLayout.columnWidth;
+            const columns = Math.max(1, Math.floor((width + gap) / (minWidth + gap)));
+            const columnWidth = (width - gap * (columns - 1)) / columns;
+            const heights = new Array(columns).fill(0);
+
+            const boxes = ratios.map(ratio => {
+                const column = heights.indexOf(Math.min(...heights));
+                const box = {
+                    left: column * (columnWidth + gap),
+                    top: heights[column],
+                    width: columnWidth,
+                    height: columnWidth / ratio
+                };
+                heights[column] += box.height + gap;
+                return box;
+            });
+
+            return { boxes, height: Math.max(0, Math.max(...heights) - gap) };
+        },
+
+        // Filas que ocupan todo el ancho; el alto de cada fila se ajusta a sus imágenes
+        justified(ratios, width, gap) {
+            const targetHeight = CONFIG.galleryLayout.rowHeight;
+            const boxes = [];
+            let row = [];
+            let top = 0;
+
+            const placeRow = (rowHeight) => {
+                let left = 0;
+                row.forEach(ratio => {
+                    boxes.push({ left, top, width: ratio * rowHeight, height: rowHeight });
+                    left += ratio * rowHeight + gap;
+                });
+                top += rowHeight + gap;
+                row = [];
+            };
+
+            ratios.forEach(ratio => {
+                row.push(ratio);
+                const totalRatio = row.reduce((sum, value) => sum + value, 0);
+                const available = width - gap * (row.length - 1);
+
+                // La fila se llena: escalarla para que encaje justo en el ancho
+                if (totalRatio * targetHeight >= available) {
+                    placeRow(available / totalRatio);
+                }
+            });
+
+            // La última fila incompleta conserva el alto objetivo (sin estirarse)
+            if (row.length > 0) placeRow(targetHeight);
+
+            return { boxes, height: Math.max(0, top - gap) };
+        }
+    }
+};
@@ -0,0 +1,437 @@
+/**
+ * ============================================
+ * DEMO JUGABLE DEL ÚLTIMO JUEGO
+ * ============================================
+ * "Play demo" carga el export HTML5/WebGL (games[0].demo del manifiesto)
+ * en un iframe aislado solo al pulsarlo: pantalla de carga con progreso,
+ * pantalla completa, sonido, leyenda de controles y avisos del bloqueo
+ * del ratón. Mientras se juega, el resto de la página deja de animarse.
+ * En móviles o sin WebGL se ofrece el tráiler.
+ */
+
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+import { Portfolio } from './portfolio.js';
+import { Analytics } from './analytics.js';
+import { ScrollReveal } from './scroll-reveal.js';
+import { Navigation } from './navigation.js';
+
+export const GameDemo = {
+    game: null,
+    demo: null,
+    visual: null,
+    button: null,
+    container: null,
+    frame: null,
+    isPlaying: false,
+    isReady: false,
+    reportsProgress: false,
+    muted: false,
+    loadTimer: null,
+    hintTimer: null,
+
+    /**
+     * Botón "Play demo" (o tráiler) si el juego tiene demo
+     */
+    init() {
+        const game = Portfolio.games[0];
+        const visual = document.querySelector('.latest-game-visual');
+        const cta = document.querySelector('.latest-game-cta');
+        if (!game || !game.demo || !visual || !cta) return;
+
+        this.game = game;
+        this.demo = game.demo;
+        this.visual = visual;
+
+        try {
+            this.muted = localStorage.getItem(CONFIG.gameDemo.storageKey) === 'true';
+        } catch (e) {
+            // Sin localStorage: con sonido
+        }
+
+        if (this.canPlay()) {
+            this.renderButton(cta);
+        } else {
+            this.renderFallback(cta);
+        }
+
+        // Mensajes del juego: progreso, listo y bloqueo del ratón
+        window.addEventListener('message', (e) => this.handleMessage(e));
+        document.addEventListener('fullscreenchange', () => this.syncFullscreen());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPlaying) this.toggleLegend(false);
+        });
+        document.addEventListener('localechange', () => this.updateTexts());
+
+        this.updateTexts();
+    },
+
+    /**
+     * Escritorio con WebGL (los exports WebGL no funcionan sin él)
+     */
+    canPlay() {
+        if (window.matchMedia(CONFIG.gameDemo.mobileQuery).matches) return false;
+        return this.hasWebGL();
+    },
+
+    hasWebGL() {
+        if (!window.WebGLRenderingContext) return false;
+        try {
+            const canvas = document.createElement('canvas');
+            return Boolean(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+        } catch (e) {
+            return false;
+        }
+    },
+
+    renderButton(cta) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-primary game-demo-play';
+        button.innerHTML = '<span aria-hidden="true">▶</span> <span data-i18n="demo.play"></span>';
+        button.addEventListener('click', () => this.start());
+        cta.prepend(button);
+        I18n.translate(button);
+        this.button = button;
+    },
+
+    /**
+     * Móvil o sin WebGL: el tráiler ocupa el lugar de la imagen (si hay) y un aviso
+     */
+    renderFallback(cta) {
+        if (this.demo.trailer) {
+            const trailer = document.createElement('a');
+            trailer.className = 'game-demo-trailer';
+            trailer.href = this.demo.trailer;
+            trailer.target = '_blank';
+            trailer.rel = 'noopener noreferrer';
+            trailer.innerHTML = `
+                <img class="game-demo-trailer-image" alt="" loading="lazy">
+                <span class="game-demo-trailer-play" aria-hidden="true">▶</span>
+                <span class="game-demo-trailer-label" data-i18n="demo.trailer"></span>
+            `;
+            trailer.querySelector('img').src = this.demo.trailerThumbnail ||
+                (this.game.images[0] && this.game.images[0].src) || '';
+
+            this.visual.after(trailer);
+            this.visual.hidden = true;
+            I18n.translate(trailer);
+        }
+
+        const note = document.createElement('p');
+        note.className = 'game-demo-note';
+        note.dataset.i18n = 'demo.unsupported';
+        note.textContent = I18n.t('demo.unsupported');
+        cta.after(note);
+    },
+
+    /**
+     * Empezar a jugar: montar el iframe y pausar la página
+     */
+    start() {
+        if (this.isPlaying) return;
+        this.isPlaying = true;
+
+        this.container = this.createPlayer();
+        this.visual.after(this.container);
+        this.visual.hidden = true;
+        this.button.hidden = true;
+        document.documentElement.classList.add('demo-active');
+
+        // Nada de trabajo al hacer scroll mientras el juego usa la CPU/GPU
+        ScrollReveal.pause();
+        Navigation.pause();
+
+        Analytics.track('demo_start', { id: this.game.id });
+        this.load();
+    },
+
+    /**
+     * Dejar de jugar: quitar el iframe (detiene el juego) y volver a la imagen
+     */
+    stop() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+
+        clearTimeout(this.loadTimer);
+        clearTimeout(this.hintTimer);
+        if (document.fullscreenElement === this.container) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        this.container.remove();
+        this.container = null;
+        this.frame = null;
+        this.visual.hidden = false;
+        this.button.hidden = false;
+        document.documentElement.classList.remove('demo-active');
+
+        ScrollReveal.resume();
+        Navigation.resume();
+
+        this.button.focus();
+    },
+
+    createPlayer() {
+        const container = document.createElement('div');
+        container.className = 'game-demo';
+        container.innerHTML = `
+            <div class="game-demo-stage">
+                <div class="game-demo-loading" role="status">
+                    <p class="game-demo-loading-text" data-i18n="demo.loading"></p>
+                    <div class="game-demo-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" data-i18n-attr="aria-label:demo.loading">
+                        <span class="game-demo-progress-bar"></span>
+                    </div>
+                    <div class="game-demo-error" hidden>
+                        <p data-i18n="demo.error"></p>
+                        <button type="button" class="btn btn-outline game-demo-retry" data-i18n="demo.retry"></button>
+                    </div>
+                </div>
+                <div class="game-demo-legend" id="game-demo-legend" hidden>
+                    <p class="game-demo-legend-title" data-i18n="demo.controlsTitle"></p>
+                    <dl class="game-demo-keys"></dl>
+                </div>
+                <p class="game-demo-hint" role="status" hidden></p>
+            </div>
+            <div class="game-demo-toolbar" role="toolbar" data-i18n-attr="aria-label:demo.toolbar">
+                <button type="button" class="game-demo-tool game-demo-controls" aria-expanded="false" aria-controls="game-demo-legend">
+                    <span aria-hidden="true">⌨</span> <span data-i18n="demo.controls"></span>
+                </button>
+                <button type="button" class="game-demo-tool game-demo-mute" aria-pressed="false" data-i18n-attr="aria-label:demo.mute">
+                    <span class="game-demo-mute-icon" aria-hidden="true">🔊</span>
+                </button>
+                <button type="button" class="game-demo-tool game-demo-fullscreen" aria-pressed="false" data-i18n-attr="aria-label:demo.fullscreen">
+                    <span aria-hidden="true">⛶</span>
+                </button>
+                <button type="button" class="game-demo-tool game-demo-close">
+                    <span aria-hidden="true">&times;</span> <span data-i18n="demo.close"></span>
+                </button>
+            </div>
+        `;
+
+        container.querySelector('.game-demo-stage').style.aspectRatio = `${this.demo.width} / ${this.demo.height}`;
+
+        // Leyenda de controles: teclas (kbd) → acción
+        const keys = container.querySelector('.game-demo-keys');
+        this.demo.controls.forEach(control => {
+            const term = document.createElement('dt');
+            control.keys.forEach(key => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = key;
+                term.appendChild(kbd);
+            });
+            const description = document.createElement('dd');
+            description.dataset.i18n = control.label;
+            keys.append(term, description);
+        });
+
+        const controlsButton = container.querySelector('.game-demo-controls');
+        controlsButton.hidden = this.demo.controls.length === 0;
+        controlsButton.addEventListener('click', () => this.toggleLegend());
+        container.querySelector('.game-demo-mute').addEventListener('click', () => this.toggleMute());
+        container.querySelector('.game-demo-close').addEventListener('click', () => this.stop());
+        container.querySelector('.game-demo-retry').addEventListener('click', () => this.load());
+
+        const fullscreenButton = container.querySelector('.game-demo-fullscreen');
+        fullscreenButton.hidden = typeof container.requestFullscreen !== 'function';
+        fullscreenButton.addEventListener('click', () => this.toggleFullscreen());
+
+        I18n.translate(container);
+        return container;
+    },
+
+    /**
+     * (Re)crear el iframe con la pantalla de carga
+     */
+    load() {
+        const stage = this.container.querySelector('.game-demo-stage');
+        if (this.frame) this.frame.remove();
+
+        this.isReady = false;
+        this.reportsProgress = false;
+        this.container.classList.remove('is-ready');
+        this.container.querySelector('.game-demo-loading').hidden = false;
+        this.container.querySelector('.game-demo-error').hidden = true;
+        this.setProgress(null);
+        // La leyenda se ve mientras carga (luego, con su botón)
+        this.toggleLegend(this.demo.controls.length > 0);
+
+        const frame = document.createElement('iframe');
+        frame.className = 'game-demo-frame';
+        frame.setAttribute('sandbox', CONFIG.gameDemo.sandbox);
+        frame.setAttribute('allow', CONFIG.gameDemo.allow);
+        frame.setAttribute('allowfullscreen', '');
+        frame.title = I18n.t('demo.frameTitle', { title: this.game.title });
+        frame.addEventListener('load', () => {
+            if (this.frame === frame) this.handleLoad();
+        });
+        frame.src = this.demo.src;
+        stage.prepend(frame);
+        this.frame = frame;
+
+        clearTimeout(this.loadTimer);
+        this.loadTimer = setTimeout(() => this.showError(), CONFIG.gameDemo.loadTimeout);
+        this.syncMute();
+    },
+
+    handleLoad() {
+        this.applyMute();
+
+        // Si el juego informa de su progreso, se espera a que diga que está listo
+        if (!this.reportsProgress) this.handleReady();
+    },
+
+    handleReady() {
+        if (this.isReady || !this.container) return;
+        this.isReady = true;
+        clearTimeout(this.loadTimer);
+
+        this.setProgress(1);
+        this.container.classList.add('is-ready');
+        this.container.querySelector('.game-demo-loading').hidden = true;
+        this.toggleLegend(false);
+
+        // El teclado, directo al juego
+        this.frame.focus();
+    },
+
+    showError() {
+        if (!this.container || this.isReady) return;
+        this.container.querySelector('.game-demo-error').hidden = false;
+        this.container.querySelector('.game-demo-retry').focus();
+    },
+
+    /**
+     * @param {number|null} value - de 0 a 1; null = sin datos (barra indeterminada)
+     */
+    setProgress(value) {
+        const progress = this.container.querySelector('.game-demo-progress');
+        const indeterminate = value === null;
+        progress.classList.toggle('is-indeterminate', indeterminate);
+
+        if (indeterminate) {
+            progress.removeAttribute('aria-valuenow');
+            progress.style.removeProperty('--demo-progress');
+            return;
+        }
+
+        const percent = Math.round(Math.min(Math.max(value, 0), 1) * 100);
+        progress.setAttribute('aria-valuenow', percent);
+        progress.style.setProperty('--demo-progress', `${percent}%`);
+    },
+
+    /**
+     * postMessage del juego: { type: 'progress', value } | { type: 'ready' } | { type: 'pointerlock', locked }
+     */
+    handleMessage(e) {
+        if (!this.frame || e.source !== this.frame.contentWindow) return;
+        const data = e.data || {};
+
+        if (data.type === 'progress' && typeof data.value === 'number') {
+            this.reportsProgress = true;
+            if (!this.isReady) this.setProgress(data.value);
+        } else if (data.type === 'ready') {
+            this.handleReady();
+        } else if (data.type === 'pointerlock') {
+            this.setPointerLock(Boolean(data.locked));
+        }
+    },
+
+    toggleLegend(force) {
+        if (!this.container) return;
+        const legend = this.container.querySelector('.game-demo-legend');
+        const open = typeof force === 'boolean' ? force : legend.hidden;
+        legend.hidden = !open;
+        this.container.querySelector('.game-demo-controls').setAttribute('aria-expanded', String(open));
+    },
+
+    /**
+     * Sonido: se recuerda entre visitas
+     */
+    toggleMute() {
+        this.muted = !this.muted;
+        try {
+            localStorage.setItem(CONFIG.gameDemo.storageKey, String(this.muted));
+        } catch (e) {
+            // Sin persistencia: dura hasta recargar
+        }
+        this.syncMute();
+        this.applyMute();
+    },
+
+    syncMute() {
+        const button = this.container && this.container.querySelector('.game-demo-mute');
+        if (!button) return;
+        button.setAttribute('aria-pressed', String(this.muted));
+        button.querySelector('.game-demo-mute-icon').textContent = this.muted ? '🔇' : '🔊';
+    },
+
+    /**
+     * Avisar al juego (el sandbox no deja tocar su documento)
+     */
+    applyMute() {
+        if (!this.frame || !this.frame.contentWindow) return;
+
+        // El iframe aislado tiene origen opaco: el destino tiene que ser '*'
+        this.frame.contentWindow.postMessage({ type: 'mute', muted: this.muted }, '*');
+    },
+
+    /**
+     * Pantalla completa del reproductor (iframe y barra de herramientas)
+     */
+    toggleFullscreen() {
+        if (document.fullscreenElement === this.container) {
+            document.exitFullscreen().catch(() => {});
+            return;
+        }
+
+        this.container.requestFullscreen()
+            .then(() => this.frame && this.frame.focus())
+            .catch(() => {});
+    },
+
+    syncFullscreen() {
+        if (!this.container) return;
+        const active = document.fullscreenElement === this.container;
+        this.container.classList.toggle('is-fullscreen', active);
+        this.container.querySelector('.game-demo-fullscreen').setAttribute('aria-pressed', String(active));
+    },
+
+    /**
+     * Bloqueo del ratón (juegos en primera persona): lo avisa el juego por
+     * postMessage; al quitar el iframe el navegador lo suelta solo
+     */
+    setPointerLock(locked) {
+        if (!this.container) return;
+        this.container.classList.toggle('is-pointer-locked', locked);
+        this.showHint(locked ? 'demo.pointerLocked' : 'demo.pointerReleased');
+    },
+
+    showHint(key) {
+        const hint = this.container.querySelector('.game-demo-hint');
+        hint.dataset.key = key;
+        hint.textContent = I18n.t(key);
+        hint.hidden = false;
+
+        clearTimeout(this.hintTimer);
+        this.hintTimer = setTimeout(() => { hint.hidden = true; }, CONFIG.gameDemo.hintDuration);
+    },
+
+    /**
+     * Textos con el título del juego o que no llevan data-i18n
+     */
+    updateTexts() {
+        if (this.button) {
+            this.button.setAttribute('aria-label', I18n.t('demo.playLabel', { title: this.game.title }));
+        }
+
+        const trailer = document.querySelector('.game-demo-trailer');
+        if (trailer) trailer.setAttribute('aria-label', I18n.t('demo.trailerLabel', { title: this.game.title }));
+
+        if (!this.container) return;
+        if (this.frame) this.frame.title = I18n.t('demo.frameTitle', { title: this.game.title });
+
+        const hint = this.container.querySelector('.game-demo-hint');
+        if (hint.dataset.key) hint.textContent = I18n.t(hint.dataset.key);
+    }
+};
@@ -0,0 +1,617 @@
+/**
+ * ============================================
+ * INTERNACIONALIZACIÓN (EN / ES)
+ * ============================================
+ */
+
+import { CONFIG } from './config.js';
+import { CONTENT_DICTIONARIES } from './content-i18n.js';
+
+/**
+ * Diccionarios de la interfaz. Las claves se usan en index.html con
+ * data-i18n (texto) y data-i18n-attr="atributo:clave" (atributos),
+ * y desde JS con I18n.t(clave, { param }).
+ * Los textos de content/ (sobre mí, último juego y videos) llegan
+ * de content-i18n.js, que genera npm run build:content.
+ */
+export const I18N_DICTIONARIES = {
+    en: {
+        'meta.title': 'Miguel Morales - Game Developer',
+        'meta.description': 'Game developer & Digital artist portfolio: Youtube thumbnails, animation, 2D, 3D. Professional work and creative projects.',
+
+        'nav.label': 'Main navigation',
+        'nav.skipLink': 'Skip to content',
+        'nav.logo': 'Go to home',
+        'nav.home': 'Home',
+        'nav.about': 'About',
+        'nav.portfolio': 'Portfolio',
+        'nav.animations': 'Animations',
+        'nav.contact': 'Contact',
+        'nav.openMenu': 'Open menu',
+        'nav.languageToggle': 'Cambiar a español',
+        'nav.languageToggleShort': 'ES',
+        'theme.toggleLabel': 'Theme: {current}. Switch to {next}',
+        'theme.auto': 'Auto',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+
+        'hero.titleLine1': 'Fullstack Game Developer',
+        'hero.titleLine2': '& Digital Artist',
+        'hero.tagline': 'Telling stories through art, humor, and play',
+        'hero.viewWork': 'View Work',
+        'hero.contact': 'Contact',
+        'hero.imageAlt': 'Featured artwork',
+        'hero.scroll': 'Scroll',
+
+        'about.title': 'About me',
+        'about.specialties': 'Specialties',
+        'about.tools': 'Tools',
+        'about.resume': 'Download resume',
+        'about.resumeLabel': 'Download resume PDF',
+
+        'latest.title': 'Latest Game',
+        'latest.subtitle': 'Most recent development project',
+        'latest.features': 'Key Features',
+        'latest.viewPortfolio': 'View Portfolio',
+        'latest.contact': 'Contact',
+        'latest.openGallery': 'View screenshots of {title}',
+
+        'gallery.title': 'Portfolio',
+        'gallery.subtitle': 'Some of my work',
+        'gallery.filtersLabel': 'Portfolio filters',
+        'gallery.filterAll': 'All',
+        'gallery.filterIllustrations': 'Illustrations',
+        'gallery.filterThumbnails': 'Thumbnails',
+        'gallery.illustrations': 'Illustrations',
+        'gallery.illustrationsLabel': 'Illustrations gallery',
+        'gallery.thumbnails': 'YouTube Thumbnails',
+        'gallery.thumbnailsLabel': 'YouTube thumbnails gallery',
+        'gallery.altIllustration': 'Illustration: {title}',
+        'gallery.altThumbnail': '{platform} thumbnail: {title}',
+        'gallery.searchLabel': 'Search the portfolio',
+        'gallery.searchPlaceholder': 'Search by title or category…',
+        'gallery.sortLabel': 'Sort by',
+        'gallery.sortDefault': 'Featured',
+        'gallery.sortNewest': 'Newest first',
+        'gallery.sortOldest': 'Oldest first',
+        'gallery.sortTitleAsc': 'Title (A–Z)',
+        'gallery.sortTitleDesc': 'Title (Z–A)',
+        'gallery.tagsLabel': 'Tags',
+        'gallery.matchLabel': 'Tag matching',
+        'gallery.matchAny': 'Any tag',
+        'gallery.matchAll': 'All tags',
+        'gallery.resultCount': '{count} of {total} works',
+        'gallery.chipsLabel': 'Active filters',
+        'gallery.removeFilter': 'Remove filter: {label}',
+        'gallery.searchChip': 'Search: “{query}”',
+        'gallery.selectionChip': 'Shortlist ({count})',
+        'gallery.clearFilters': 'Clear filters',
+        'gallery.empty': 'No works match these filters.',
+        'gallery.keyboardHint': 'Use the arrow keys to move between works and Enter to open one.',
+        'gallery.processBadge': 'Process',
+        'gallery.spriteBadge': 'Animated',
+
+        'animations.title': 'Animations',
+        'animations.subtitle': 'Animations and Motion Graphics 3D',
+        'animations.youtubeLabel': 'YouTube animations',
+        'animations.tiktokLabel': 'TikTok animations',
+        'videos.duration': 'Duration',
+        'videos.watchOnYouTube': 'Watch on YouTube',
+        'videos.watchOnYouTubeLabel': 'Watch video on YouTube',
+        'videos.watchOnTikTok': 'Watch on TikTok',
+        'videos.watchOnTikTokLabel': 'Watch video on TikTok',
+
+        'contact.title': 'Contact',
+        'contact.subtitle': 'Have a project in mind? Let\'s talk',
+        'contact.intro': 'I\'m available for freelance projects, creative collaborations, and professional opportunities. Feel free to reach out.',
+        'contact.availabilityLabel': 'Availability:',
+        'contact.availability': 'Open to freelance and full time',
+        'contact.followMe': 'Follow me',
+        'contact.sendEmail': 'Send email',
+        'contact.youtubeGaming': 'YouTube Gaming Channel',
+
+        'form.name': 'Name *',
+        'form.email': 'Email *',
+        'form.subject': 'Subject *',
+        'form.budget': 'Budget (USD)',
+        'form.budgetFrom': 'From',
+        'form.budgetTo': 'To',
+        'form.budgetFromLabel': 'Budget (from)',
+        'form.budgetToLabel': 'Budget (to)',
+        'form.reference': 'Reference image',
+        'form.referenceHint': 'JPG, PNG or WebP, up to 5 MB',
+        'form.message': 'Message *',
+        'form.honeypot': 'Leave this field empty',
+        'form.submit': 'Send Message',
+        'form.sending': 'Sending...',
+        'form.success': 'Message sent successfully! I will contact you soon.',
+        'form.fallbackLink': 'Send it by email instead',
+        'form.errorServer': 'The server responded with an error ({status}).',
+        'form.errorTimeout': 'The request timed out. Please try again.',
+        'form.errorNetwork': 'Network error. Check your connection and try again.',
+        'form.errorTooMany': 'You have already sent several messages. Please email me directly.',
+        'form.errorTooSoon': 'Please wait a few seconds before sending another message.',
+
+        'validation.required': 'This field is required',
+        'validation.email': 'Please enter a valid email',
+        'validation.minlength': 'Please use at least {param} characters',
+        'validation.maxlength': 'Please use no more than {param} characters',
+        'validation.pattern': 'Please match the requested format',
+        'validation.match': 'This field does not match',
+        'validation.min': 'The minimum is {param}',
+        'validation.max': 'The maximum is {param}',
+        'validation.gte': 'Must be greater than or equal to the minimum',
+        'validation.maxsize': 'The file must be smaller than {param}',
+        'validation.filetype': 'Allowed file types: {param}',
+        'validation.summary': 'Please fix the following fields:',
+        'validation.budget-max.gte': 'The maximum budget must be at least the minimum budget',
+
+        'lightbox.label': 'Media viewer',
+        'lightbox.close': 'Close lightbox',
+        'lightbox.prev': 'Previous',
+        'lightbox.next': 'Next',
+        'lightbox.zoomIn': 'Zoom in',
+        'lightbox.zoomOut': 'Zoom out',
+        'lightbox.zoomReset': 'Reset zoom',
+        'lightbox.viewAll': 'View all',
+        'lightbox.neutralBackground': 'Neutral background',
+        'lightbox.setImage': 'Image {n} of {total}',
+        'lightbox.altScreenshot': '{title} – screenshot {n}',
+        'lightbox.altStage': '{alt} ({stage})',
+        'lightbox.processLabel': 'Work in progress',
+        'lightbox.modeSteps': 'Stages',
+        'lightbox.modeCompare': 'Before / after',
+        'lightbox.modeOnion': 'Onion skin',
+        'lightbox.stepsLabel': 'Process stages',
+        'lightbox.stage': 'Stage {n}',
+        'lightbox.stageFinal': 'Final',
+        'lightbox.before': 'Before',
+        'lightbox.after': 'After',
+        'lightbox.onionOpacity': 'Overlay opacity',
+        'lightbox.compareSlider': 'Before/after divider',
+        'lightbox.compareValue': '{percent}% {stage}',
+
+        'sprite.label': 'Animation: {title}',
+        'sprite.controls': 'Animation controls',
+        'sprite.play': 'Play animation',
+        'sprite.pause': 'Pause animation',
+        'sprite.prevFrame': 'Previous frame',
+        'sprite.nextFrame': 'Next frame',
+        'sprite.frame': 'Frame {n} / {total}',
+        'sprite.animations': 'Animations',
+        'sprite.allFrames': 'All frames',
+        'sprite.speed': 'Speed',
+        'sprite.loopFrom': 'Loop from',
+        'sprite.loopTo': 'to',
+        'sprite.error': 'The sprite sheet could not be loaded',
+
+        'demo.play': 'Play demo',
+        'demo.playLabel': 'Play the {title} demo in the browser',
+        'demo.loading': 'Loading demo…',
+        'demo.error': 'The demo could not be loaded',
+        'demo.retry': 'Try again',
+        'demo.controls': 'Controls',
+        'demo.controlsTitle': 'How to play',
+        'demo.toolbar': 'Demo controls',
+        'demo.mute': 'Mute',
+        'demo.fullscreen': 'Fullscreen',
+        'demo.close': 'Stop playing',
+        'demo.frameTitle': '{title} (playable demo)',
+        'demo.pointerLocked': 'Mouse captured by the game. Press Esc to release it',
+        'demo.pointerReleased': 'Mouse released. Click the game to keep playing',
+        'demo.unsupported': 'The playable demo needs a desktop browser with WebGL.',
+        'demo.trailer': 'Watch trailer',
+        'demo.trailerLabel': 'Watch the {title} trailer (opens in a new tab)',
+
+        'video.play': 'Play video: {title}',
+        'video.load': 'Play video',
+        'video.consent': 'Playing loads the {platform} player, which may set cookies.',
+        'video.external': 'Watch on {platform}',
+        'video.offline': 'This video needs an internet connection.',
+
+        'kiosk.start': 'Presentation mode',
+        'kiosk.startShort': 'Present',
+        'kiosk.label': 'Presentation',
+        'kiosk.prev': 'Previous slide',
+        'kiosk.next': 'Next slide',
+        'kiosk.pause': 'Pause slideshow',
+        'kiosk.play': 'Resume slideshow',
+        'kiosk.exit': 'Exit presentation',
+        'kiosk.slide': '{n} / {total}',
+        'kiosk.video': 'Video · {platform}',
+        'kiosk.fullscreen': 'Click or press a key to go full screen',
+
+        'shortlist.button': 'Shortlist',
+        'shortlist.open': 'Open shortlist ({count})',
+        'shortlist.title': 'Your shortlist',
+        'shortlist.close': 'Close shortlist',
+        'shortlist.add': 'Add “{title}” to shortlist',
+        'shortlist.remove': 'Remove “{title}” from shortlist',
+        'shortlist.save': 'Add to shortlist',
+        'shortlist.saved': 'In your shortlist',
+        'shortlist.added': '“{title}” added to shortlist',
+        'shortlist.removed': '“{title}” removed from shortlist',
+        'shortlist.cleared': 'Shortlist cleared',
+        'shortlist.empty': 'Tap the heart on any piece to add it here.',
+        'shortlist.link': 'Share link',
+        'shortlist.copy': 'Copy link',
+        'shortlist.copied': 'Link copied',
+        'shortlist.copyManual': 'Link selected – copy it to share',
+        'shortlist.show': 'Show in gallery',
+        'shortlist.print': 'Print selection',
+        'shortlist.clear': 'Clear',
+        'shortlist.sheetTitle': 'Selected works',
+        'shortlist.count': 'Works: {count}',
+        'shortlist.category': 'Category',
+        'shortlist.year': 'Year',
+
+        'footer.rights': 'All rights reserved.',
+        'footer.label': 'Footer links',
+        'footer.madeWith': 'Made with',
+        'footer.dedication': 'and dedication',
+
+        'offline.ready': 'Available offline',
+        'offline.active': 'Offline – showing the saved version',
+        'offline.back': 'Back online'
+    },
+    es: {
+        'meta.title': 'Miguel Morales - Desarrollador de videojuegos',
+        'meta.description': 'Portafolio de desarrollador de videojuegos y artista digital: miniaturas de YouTube, animación, 2D, 3D. Trabajo profesional y proyectos creativos.',
+
+        'nav.label': 'Navegación principal',
+        'nav.skipLink': 'Saltar al contenido',
+        'nav.logo': 'Ir al inicio',
+        'nav.home': 'Inicio',
+        'nav.about': 'Sobre mí',
+        'nav.portfolio': 'Portafolio',
+        'nav.animations': 'Animaciones',
+        'nav.contact': 'Contacto',
+        'nav.openMenu': 'Abrir menú',
+        'nav.languageToggle': 'Switch to English',
+        'nav.languageToggleShort': 'EN',
+        'theme.toggleLabel': 'Tema: {current}. Cambiar a {next}',
+        'theme.auto': 'Automático',
+        'theme.light': 'Claro',
+        'theme.dark': 'Oscuro',
+
+        'hero.titleLine1': 'Desarrollador de videojuegos fullstack',
+        'hero.titleLine2': 'y artista digital',
+        'hero.tagline': 'Contando historias con arte, humor y juego',
+        'hero.viewWork': 'Ver trabajos',
+        'hero.contact': 'Contacto',
+        'hero.imageAlt': 'Obra destacada',
+        'hero.scroll': 'Desliza',
+
+        'about.title': 'Sobre mí',
+        'about.specialties': 'Especialidades',
+        'about.tools': 'Herramientas',
+        'about.resume': 'Descargar CV',
+        'about.resumeLabel': 'Descargar CV en PDF',
+
+        'latest.title': 'Último juego',
+        'latest.subtitle': 'Proyecto de desarrollo más reciente',
+        'latest.features': 'Características principales',
+        'latest.viewPortfolio': 'Ver portafolio',
+        'latest.contact': 'Contacto',
+        'latest.openGallery': 'Ver capturas de {title}',
+
+        'gallery.title': 'Portafolio',
+        'gallery.subtitle': 'Parte de mi trabajo',
+        'gallery.filtersLabel': 'Filtros del portafolio',
+        'gallery.filterAll': 'Todo',
+        'gallery.filterIllustrations': 'Ilustraciones',
+        'gallery.filterThumbnails': 'Miniaturas',
+        'gallery.illustrations': 'Ilustraciones',
+        'gallery.illustrationsLabel': 'Galería de ilustraciones',
+        'gallery.thumbnails': 'Miniaturas de YouTube',
+        'gallery.thumbnailsLabel': 'Galería de miniaturas de YouTube',
+        'gallery.altIllustration': 'Ilustración: {title}',
+        'gallery.altThumbnail': 'Miniatura de {platform}: {title}',
+        'gallery.searchLabel': 'Buscar en el portafolio',
+        'gallery.searchPlaceholder': 'Buscar por título o categoría…',
+        'gallery.sortLabel': 'Ordenar por',
+        'gallery.sortDefault': 'Destacados',
+        'gallery.sortNewest': 'Más recientes',
+        'gallery.sortOldest': 'Más antiguos',
+        'gallery.sortTitleAsc': 'Título (A–Z)',
+        'gallery.sortTitleDesc': 'Título (Z–A)',
+        'gallery.tagsLabel': 'Etiquetas',
+        'gallery.matchLabel': 'Coincidencia de etiquetas',
+        'gallery.matchAny': 'Alguna etiqueta',
+        'gallery.matchAll': 'Todas las etiquetas',
+        'gallery.resultCount': '{count} de {total} obras',
+        'gallery.chipsLabel': 'Filtros activos',
+        'gallery.removeFilter': 'Quitar filtro: {label}',
+        'gallery.searchChip': 'Búsqueda: «{query}»',
+        'gallery.selectionChip': 'Selección ({count})',
+        'gallery.clearFilters': 'Borrar filtros',
+        'gallery.empty': 'Ninguna obra coincide con estos filtros.',
+        'gallery.keyboardHint': 'Usa las flechas para moverte entre las obras e Intro para abrir una.',
+        'gallery.processBadge': 'Proceso',
+        'gallery.spriteBadge': 'Animación',
+
+        'animations.title': 'Animaciones',
+        'animations.subtitle': 'Animaciones y motion graphics 3D',
+        'animations.youtubeLabel': 'Animaciones en YouTube',
+        'animations.tiktokLabel': 'Animaciones en TikTok',
+        'videos.duration': 'Duración',
+        'videos.watchOnYouTube': 'Ver en YouTube',
+        'videos.watchOnYouTubeLabel': 'Ver el video en YouTube',
+        'videos.watchOnTikTok': 'Ver en TikTok',
+        'videos.watchOnTikTokLabel': 'Ver el video en TikTok',
+
+        'contact.title': 'Contacto',
+        'contact.subtitle': '¿Tienes un proyecto en mente? Hablemos',
+        'contact.intro': 'Estoy disponible para proyectos freelance, colaboraciones creativas y oportunidades profesionales. No dudes en escribirme.',
+        'contact.availabilityLabel': 'Disponibilidad:',
+        'contact.availability': 'Abierto a freelance y tiempo completo',
+        'contact.followMe': 'Sígueme',
+        'contact.sendEmail': 'Enviar email',
+        'contact.youtubeGaming': 'Canal de gaming en YouTube',
+
+        'form.name': 'Nombre *',
+        'form.email': 'Email *',
+        'form.subject': 'Asunto *',
+        'form.budget': 'Presupuesto (USD)',
+        'form.budgetFrom': 'Desde',
+        'form.budgetTo': 'Hasta',
+        'form.budgetFromLabel': 'Presupuesto (desde)',
+        'form.budgetToLabel': 'Presupuesto (hasta)',
+        'form.reference': 'Imagen de referencia',
+        'form.referenceHint': 'JPG, PNG o WebP, hasta 5 MB',
+        'form.message': 'Mensaje *',
+        'form.honeypot': 'Deja este campo vacío',
+        'form.submit': 'Enviar mensaje',
+        'form.sending': 'Enviando...',
+        'form.success': '¡Mensaje enviado! Te responderé pronto.',
+        'form.fallbackLink': 'Enviarlo por email',
+        'form.errorServer': 'El servidor respondió con un error ({status}).',
+        'form.errorTimeout': 'La solicitud tardó demasiado. Inténtalo de nuevo.',
+        'form.errorNetwork': 'Error de red. Revisa tu conexión e inténtalo de nuevo.',
+        'form.errorTooMany': 'Ya enviaste varios mensajes. Escríbeme directamente por email.',
+        'form.errorTooSoon': 'Espera unos segundos antes de enviar otro mensaje.',
+
+        'validation.required': 'Este campo es obligatorio',
+        'validation.email': 'Introduce un email válido',
+        'validation.minlength': 'Usa al menos {param} caracteres',
+        'validation.maxlength': 'Usa como máximo {param} caracteres',
+        'validation.pattern': 'El formato no es válido',
+        'validation.match': 'Este campo no coincide',
+        'validation.min': 'El mínimo es {param}',
+        'validation.max': 'El máximo es {param}',
+        'validation.gte': 'Debe ser mayor o igual que el mínimo',
+        'validation.maxsize': 'El archivo debe pesar menos de {param}',
+        'validation.filetype': 'Tipos de archivo permitidos: {param}',
+        'validation.summary': 'Revisa los siguientes campos:',
+        'validation.budget-max.gte': 'El presupuesto máximo debe ser al menos el mínimo',
+
+        'lightbox.label': 'Visor de medios',
+        'lightbox.close': 'Cerrar lightbox',
+        'lightbox.prev': 'Anterior',
+        'lightbox.next': 'Siguiente',
+        'lightbox.zoomIn': 'Acercar',
+        'lightbox.zoomOut': 'Alejar',
+        'lightbox.zoomReset': 'Restablecer zoom',
+        'lightbox.viewAll': 'Ver todo',
+        'lightbox.neutralBackground': 'Fondo neutro',
+        'lightbox.setImage': 'Imagen {n} de {total}',
+        'lightbox.altScreenshot': '{title} – captura {n}',
+        'lightbox.altStage': '{alt} ({stage})',
+        'lightbox.processLabel': 'Proceso de trabajo',
+        'lightbox.modeSteps': 'Etapas',
+        'lightbox.modeCompare': 'Antes / después',
+        'lightbox.modeOnion': 'Papel cebolla',
+        'lightbox.stepsLabel': 'Etapas del proceso',
+        'lightbox.stage': 'Etapa {n}',
+        'lightbox.stageFinal': 'Final',
+        'lightbox.before': 'Antes',
+        'lightbox.after': 'Después',
+        'lightbox.onionOpacity': 'Opacidad de la capa',
+        'lightbox.compareSlider': 'Divisor antes/después',
+        'lightbox.compareValue': '{percent}% {stage}',
+
+        'sprite.label': 'Animación: {title}',
+        'sprite.controls': 'Controles de la animación',
+        'sprite.play': 'Reproducir animación',
+        'sprite.pause': 'Pausar animación',
+        'sprite.prevFrame': 'Frame anterior',
+        'sprite.nextFrame': 'Frame siguiente',
+        'sprite.frame': 'Frame {n} / {total}',
+        'sprite.animations': 'Animaciones',
+        'sprite.allFrames': 'Todos los frames',
+        'sprite.speed': 'Velocidad',
+        'sprite.loopFrom': 'Bucle del',
+        'sprite.loopTo': 'al',
+        'sprite.error': 'No se pudo cargar la hoja de sprites',
+
+        'demo.play': 'Jugar demo',
+        'demo.playLabel': 'Jugar la demo de {title} en el navegador',
+        'demo.loading': 'Cargando demo…',
+        'demo.error': 'No se pudo cargar la demo',
+        'demo.retry': 'Reintentar',
+        'demo.controls': 'Controles',
+        'demo.controlsTitle': 'Cómo se juega',
+        'demo.toolbar': 'Controles de la demo',
+        'demo.mute': 'Silenciar',
+        'demo.fullscreen': 'Pantalla completa',
+        'demo.close': 'Dejar de jugar',
+        'demo.frameTitle': '{title} (demo jugable)',
+        'demo.pointerLocked': 'El juego ha capturado el ratón. Pulsa Esc para liberarlo',
+        'demo.pointerReleased': 'Ratón liberado. Haz clic en el juego para seguir',
+        'demo.unsupported': 'La demo jugable necesita un navegador de escritorio con WebGL.',
+        'demo.trailer': 'Ver tráiler',
+        'demo.trailerLabel': 'Ver el tráiler de {title} (se abre en otra pestaña)',
+
+        'video.play': 'Reproducir video: {title}',
+        'video.load': 'Reproducir video',
+        'video.consent': 'Al reproducir se carga el reproductor de {platform}, que puede usar cookies.',
+        'video.external': 'Ver en {platform}',
+        'video.offline': 'Este video necesita conexión a internet.',
+
+        'kiosk.start': 'Modo presentación',
+        'kiosk.startShort': 'Presentar',
+        'kiosk.label': 'Presentación',
+        'kiosk.prev': 'Diapositiva anterior',
+        'kiosk.next': 'Diapositiva siguiente',
+        'kiosk.pause': 'Pausar la presentación',
+        'kiosk.play': 'Reanudar la presentación',
+        'kiosk.exit': 'Salir de la presentación',
+        'kiosk.slide': '{n} / {total}',
+        'kiosk.video': 'Video · {platform}',
+        'kiosk.fullscreen': 'Haz clic o pulsa una tecla para ver en pantalla completa',
+
+        'shortlist.button': 'Selección',
+        'shortlist.open': 'Abrir selección ({count})',
+        'shortlist.title': 'Tu selección',
+        'shortlist.close': 'Cerrar selección',
+        'shortlist.add': 'Añadir «{title}» a la selección',
+        'shortlist.remove': 'Quitar «{title}» de la selección',
+        'shortlist.save': 'Añadir a la selección',
+        'shortlist.saved': 'En tu selección',
+        'shortlist.added': '«{title}» añadida a la selección',
+        'shortlist.removed': '«{title}» quitada de la selección',
+        'shortlist.cleared': 'Selección vaciada',
+        'shortlist.empty': 'Pulsa el corazón de cualquier obra para añadirla aquí.',
+        'shortlist.link': 'Enlace para compartir',
+        'shortlist.copy': 'Copiar enlace',
+        'shortlist.copied': 'Enlace copiado',
+        'shortlist.copyManual': 'Enlace seleccionado: cópialo para compartirlo',
+        'shortlist.show': 'Ver en la galería',
+        'shortlist.print': 'Imprimir selección',
+        'shortlist.clear': 'Vaciar',
+        'shortlist.sheetTitle': 'Obras seleccionadas',
+        'shortlist.count': 'Obras: {count}',
+        'shortlist.category': 'Categoría',
+        'shortlist.year': 'Año',
+
+        'footer.rights': 'Todos los derechos reservados.',
+        'footer.label': 'Enlaces del pie de página',
+        'footer.madeWith': 'Hecho con',
+        'footer.dedication': 'y dedicación',
+
+        'offline.ready': 'Disponible sin conexión',
+        'offline.active': 'Sin conexión: mostrando la versión guardada',
+        'offline.back': 'De nuevo en línea'
+    }
+};
+
+// Textos del contenido generado (mismas claves que usa index.html)
+Object.entries(CONTENT_DICTIONARIES).forEach(([lang, entries]) => {
+    Object.assign(I18N_DICTIONARIES[lang] || (I18N_DICTIONARIES[lang] = {}), entries);
+});
+
+export const I18n = {
+    lang: 'en',
+    fallback: 'en',
+
+    /**
+     * Elegir idioma (guardado → navegador → inglés) y traducir la página
+     */
+    init() {
+        this.apply(this.detect(), { persist: false });
+
+        const toggle = document.querySelector('.lang-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                this.apply(this.lang === 'es' ? 'en' : 'es');
+            });
+        }
+    },
+
+    /**
+     * Idioma inicial
+     */
+    detect() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(CONFIG.i18n.storageKey);
+        } catch (e) {
+            // localStorage bloqueado: se usa el idioma del navegador
+        }
+        if (stored && I18N_DICTIONARIES[stored]) return stored;
+
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language || ''];
+        const match = preferred
+            .map(lang => String(lang).slice(0, 2).toLowerCase())
+            .find(lang => I18N_DICTIONARIES[lang]);
+
+        return match || this.fallback;
+    },
+
+    /**
+     * Cambiar de idioma: <html lang>, textos marcados y aviso a los módulos
+     */
+    apply(lang, options = {}) {
+        if (!I18N_DICTIONARIES[lang]) lang = this.fallback;
+        this.lang = lang;
+        document.documentElement.lang = lang;
+
+        if (options.persist !== false) {
+            try {
+                localStorage.setItem(CONFIG.i18n.storageKey, lang);
+            } catch (e) {
+                // Sin persistencia: el cambio dura lo que la visita
+            }
+        }
+
+        this.translate(document);
+
+        // El botón anuncia el idioma al que cambia, en ese idioma
+        const toggle = document.querySelector('.lang-toggle');
+        if (toggle) {
+            toggle.setAttribute('lang', lang === 'es' ? 'en' : 'es');
+        }
+
+        document.dispatchEvent(new CustomEvent('localechange', { detail: { lang } }));
+    },
+
+    /**
+     * Traducir data-i18n y data-i18n-attr dentro de un nodo
+     */
+    translate(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (attr && key) el.setAttribute(attr, this.t(key));
+            });
+        });
+    },
+
+    /**
+     * ¿Existe la clave en el idioma actual o en el de respaldo?
+     */
+    has(key) {
+        return key in I18N_DICTIONARIES[this.lang] || key in I18N_DICTIONARIES[this.fallback];
+    },
+
+    /**
+     * Traducir una clave sustituyendo {parámetros}
+     */
+    t(key, params = {}) {
+        const table = I18N_DICTIONARIES[this.lang];
+        let text = key in table ? table[key] : I18N_DICTIONARIES[this.fallback][key];
+
+        if (text === undefined) {
+            console.warn(`⚠️ Falta la traducción "${key}"`);
+            return key;
+        }
+
+        Object.keys(params).forEach(name => {
+            text = text.split(`{${name}}`).join(params[name]);
+        });
+        return text;
+    },
+
+    /**
+     * Añadir o sobrescribir textos de un idioma (p. ej. reglas propias)
+     */
+    extend(lang, entries) {
+        I18N_DICTIONARIES[lang] = { ...(I18N_DICTIONARIES[lang] || {}), ...entries };
+    }
+};
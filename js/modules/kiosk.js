@@ -0,0 +1,569 @@
+/**
+ * ============================================
+ * MODO PRESENTACIÓN (KIOSCO)
+ * ============================================
+ * Pase de diapositivas a pantalla completa para stands y reuniones:
+ * el último juego, las obras de la galería y las miniaturas de los
+ * videos (las colecciones del lightbox, en el orden de la página).
+ * - Se abre con el botón de la navegación o con ?kiosk en la URL
+ *   (?kiosk=8: segundos por diapositiva; ?transition=slide)
+ * - Pausa con el ratón sobre la imagen o al tocar la pantalla
+ * - Flechas: anterior/siguiente · Espacio: pausa · Escape: salir
+ * - Pantalla completa (Fullscreen API) y pantalla siempre encendida
+ *   (Screen Wake Lock API)
+ * - Con ?kiosk, tras CONFIG.kiosk.idleTimeout sin actividad la
+ *   presentación vuelve sola (aunque alguien haya salido a navegar),
+ *   salvo mientras se juega la demo
+ */
+
+import { CONFIG } from './config.js';
+import { trapFocus } from './utils.js';
+import { Motion } from './motion.js';
+import { I18n } from './i18n.js';
+import { LazyLoad } from './lazy-load.js';
+import { Lightbox } from './lightbox.js';
+import { MobileMenu } from './mobile-menu.js';
+import { GameDemo } from './game-demo.js';
+
+const TRANSITIONS = ['fade', 'slide', 'zoom', 'none'];
+
+export const Kiosk = {
+    slides: [],
+    index: 0,
+    interval: 0,
+    transition: 'fade',
+    isActive: false,
+    session: false,
+    pauses: new Set(),
+    remaining: 0,
+    startedAt: 0,
+    timer: null,
+    touchTimer: null,
+    controlsTimer: null,
+    idleTimer: null,
+    wakeLock: null,
+    ownsFullscreen: false,
+    trigger: null,
+    onKeydown: null,
+
+    /**
+     * Leer la URL, conectar el botón y arrancar si viene ?kiosk
+     */
+    init() {
+        const params = new URLSearchParams(window.location.search);
+        const { param, transitionParam, interval, transition } = CONFIG.kiosk;
+
+        // ?kiosk=8 → 8 segundos por diapositiva (sin valor o no válido: CONFIG)
+        const seconds = parseFloat(params.get(param));
+        this.interval = seconds > 0 ? seconds * 1000 : interval;
+
+        const requested = params.get(transitionParam);
+        this.transition = TRANSITIONS.includes(requested) ? requested : transition;
+
+        this.onKeydown = this.handleKeydown.bind(this);
+
+        document.querySelectorAll('.kiosk-toggle').forEach(button => {
+            button.addEventListener('click', () => this.start({ trigger: button }));
+        });
+
+        document.addEventListener('localechange', () => {
+            if (this.isActive) this.updateTexts();
+        });
+        document.addEventListener('motionchange', () => {
+            const overlay = document.querySelector('.kiosk');
+            if (overlay) overlay.dataset.transition = this.getTransition();
+        });
+
+        // La pantalla se libera al ocultar la pestaña: se pide de nuevo al volver
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && (this.isActive || this.session)) {
+                this.requestWakeLock();
+            }
+        });
+
+        // Salir de la pantalla completa (Esc del navegador) es salir de la presentación
+        document.addEventListener('fullscreenchange', () => {
+            if (!document.fullscreenElement) {
+                this.ownsFullscreen = false;
+                if (this.isActive) this.stop();
+            }
+        });
+
+        if (params.has(param)) {
+            this.session = true;
+            this.watchActivity();
+            this.start();
+        }
+    },
+
+    /**
+     * Diapositivas: imágenes de todas las colecciones del lightbox
+     * @returns {Array<{src, alt(), title, subtitle()}>}
+     */
+    getSlides() {
+        const slides = [];
+
+        Lightbox.collections.forEach(collection => {
+            collection.items.forEach(media => {
+                const subtitle = () => media.subtitle || '';
+
+                if (media.type === 'image') {
+                    slides.push({ src: media.src, alt: media.alt, title: media.title, subtitle });
+                } else if (media.type === 'image-set') {
+                    media.images.forEach(image => {
+                        slides.push({ src: image.src, alt: image.alt, title: media.title, subtitle });
+                    });
+                } else if (media.type === 'video-embed' && media.embed.thumbnail) {
+                    slides.push({
+                        src: media.embed.thumbnail,
+                        alt: () => media.title,
+                        title: media.title,
+                        subtitle: () => I18n.t('kiosk.video', { platform: media.embed.name })
+                    });
+                }
+            });
+        });
+
+        return slides;
+    },
+
+    /**
+     * Transición efectiva: sin movimiento si el usuario lo prefiere
+     */
+    getTransition() {
+        return Motion.reduced ? 'none' : this.transition;
+    },
+
+    /**
+     * Crear la capa de la presentación
+     */
+    createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'kiosk';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-roledescription', 'carousel');
+        overlay.setAttribute('data-i18n-attr', 'aria-label:kiosk.label');
+        overlay.dataset.transition = this.getTransition();
+        overlay.style.setProperty('--kiosk-transition', `${CONFIG.kiosk.transitionDuration}ms`);
+        overlay.style.setProperty('--kiosk-interval', `${this.interval}ms`);
+
+        overlay.innerHTML = `
+            <div class="kiosk-stage"></div>
+            <div class="kiosk-progress" aria-hidden="true">
+                <span class="kiosk-progress-bar"></span>
+            </div>
+            <div class="kiosk-controls">
+                <button class="kiosk-prev" type="button" data-i18n-attr="aria-label:kiosk.prev">
+                    <span aria-hidden="true">‹</span>
+                </button>
+                <button class="kiosk-pause" type="button" aria-pressed="false">
+                    <span class="kiosk-pause-icon" aria-hidden="true"></span>
+                </button>
+                <button class="kiosk-next" type="button" data-i18n-attr="aria-label:kiosk.next">
+                    <span aria-hidden="true">›</span>
+                </button>
+                <span class="kiosk-counter"></span>
+                <button class="kiosk-exit" type="button" data-i18n="kiosk.exit">Exit presentation</button>
+            </div>
+            <p class="kiosk-hint" data-i18n="kiosk.fullscreen" hidden>Click or press a key to go full screen</p>
+        `;
+
+        I18n.translate(overlay);
+        overlay.setAttribute('aria-label', I18n.t('kiosk.label'));
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('.kiosk-prev').addEventListener('click', () => this.prev());
+        overlay.querySelector('.kiosk-next').addEventListener('click', () => this.next());
+        overlay.querySelector('.kiosk-pause').addEventListener('click', () => this.togglePause());
+        overlay.querySelector('.kiosk-exit').addEventListener('click', () => this.stop());
+
+        // Ratón sobre la imagen: pausa mientras se mira
+        const stage = overlay.querySelector('.kiosk-stage');
+        stage.addEventListener('pointerover', (e) => {
+            if (e.pointerType === 'mouse' && e.target.classList.contains('kiosk-image')) this.pause('hover');
+        });
+        stage.addEventListener('pointerout', (e) => {
+            if (e.pointerType === 'mouse' && e.target.classList.contains('kiosk-image')) this.resume('hover');
+        });
+
+        // Tocar la pantalla pausa; sigue un rato después del último toque
+        overlay.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse') return;
+            clearTimeout(this.touchTimer);
+            this.pause('touch');
+        });
+        overlay.addEventListener('pointerup', (e) => {
+            if (e.pointerType === 'mouse') return;
+            clearTimeout(this.touchTimer);
+            this.touchTimer = setTimeout(() => this.resume('touch'), CONFIG.kiosk.touchResume);
+        });
+
+        overlay.addEventListener('pointermove', () => this.showControls());
+
+        // Sin gesto previo (?kiosk al cargar) la pantalla completa se pide en el primer clic
+        overlay.addEventListener('click', () => {
+            if (!document.fullscreenElement) this.enterFullscreen();
+        });
+
+        return overlay;
+    },
+
+    /**
+     * Empezar la presentación
+     * @param {Object} options - trigger: elemento al que devolver el foco al salir
+     */
+    start(options = {}) {
+        if (this.isActive) return;
+
+        this.slides = this.getSlides();
+        if (this.slides.length === 0) {
+            console.warn('⚠️ Modo presentación: no hay imágenes que mostrar');
+            return;
+        }
+
+        clearTimeout(this.idleTimer);
+        if (Lightbox.isOpen) Lightbox.close();
+        GameDemo.stop();
+        MobileMenu.close();
+
+        this.isActive = true;
+        this.index = 0;
+        this.pauses.clear();
+        this.trigger = options.trigger || document.activeElement;
+
+        document.documentElement.classList.add('kiosk-active');
+        document.body.style.overflow = 'hidden';
+
+        const overlay = this.createOverlay();
+        document.addEventListener('keydown', this.onKeydown);
+
+        this.show(0);
+        this.updatePaused();
+        this.showControls();
+        overlay.querySelector('.kiosk-pause').focus();
+
+        this.enterFullscreen();
+        this.requestWakeLock();
+    },
+
+    /**
+     * Salir de la presentación (con ?kiosk, vuelve sola tras un rato sin actividad)
+     */
+    stop() {
+        if (!this.isActive) return;
+        this.isActive = false;
+
+        clearTimeout(this.timer);
+        clearTimeout(this.touchTimer);
+        clearTimeout(this.controlsTimer);
+        this.timer = null;
+        this.pauses.clear();
+
+        const overlay = document.querySelector('.kiosk');
+        if (overlay) overlay.remove();
+
+        document.removeEventListener('keydown', this.onKeydown);
+        document.documentElement.classList.remove('kiosk-active');
+        document.body.style.overflow = '';
+
+        // En el stand la pantalla sigue completa y encendida mientras alguien navega
+        if (!this.session) {
+            this.exitFullscreen();
+            this.releaseWakeLock();
+        } else {
+            this.restartIdle();
+        }
+
+        if (this.trigger && this.trigger.isConnected && this.trigger !== document.body) {
+            this.trigger.focus();
+        }
+        this.trigger = null;
+    },
+
+    /**
+     * Mostrar una diapositiva con la transición configurada
+     * @param {number} index - Se ajusta al rango (vuelta al principio/final)
+     * @param {number} direction - 1 hacia delante, -1 hacia atrás
+     */
+    show(index, direction = 1) {
+        const overlay = document.querySelector('.kiosk');
+        if (!overlay) return;
+
+        const total = this.slides.length;
+        this.index = (index + total) % total;
+
+        const stage = overlay.querySelector('.kiosk-stage');
+        const previous = stage.querySelector('.kiosk-slide.is-current');
+        overlay.dataset.direction = direction < 0 ? 'back' : 'forward';
+
+        const slide = this.renderSlide(this.slides[this.index]);
+        stage.appendChild(slide);
+
+        if (previous) {
+            previous.classList.remove('is-current');
+            previous.classList.add('is-leaving');
+            previous.setAttribute('aria-hidden', 'true');
+            const duration = this.getTransition() === 'none' ? 0 : CONFIG.kiosk.transitionDuration;
+            setTimeout(() => previous.remove(), duration);
+        }
+
+        // Forzar el estilo inicial para que la transición de entrada se vea
+        void slide.offsetWidth;
+        slide.classList.add('is-current');
+
+        this.updateCounter();
+        this.restartProgress(overlay);
+        this.preload(this.index + 1);
+        this.schedule(this.interval);
+    },
+
+    renderSlide(data) {
+        const slide = document.createElement('figure');
+        slide.className = 'kiosk-slide';
+        slide.setAttribute('aria-roledescription', 'slide');
+        slide.innerHTML = `
+            <img class="kiosk-image" alt="" draggable="false">
+            <figcaption class="kiosk-caption">
+                <span class="kiosk-title"></span>
+                <span class="kiosk-subtitle"></span>
+            </figcaption>
+        `;
+
+        const largest = LazyLoad.getLargest(data.src);
+        slide.querySelector('.kiosk-image').src = largest ? largest.src : data.src;
+        this.updateSlideTexts(slide, data);
+        return slide;
+    },
+
+    updateSlideTexts(slide, data) {
+        slide.querySelector('.kiosk-image').alt = data.alt();
+        slide.querySelector('.kiosk-title').textContent = data.title;
+        slide.querySelector('.kiosk-subtitle').textContent = data.subtitle();
+    },
+
+    /**
+     * Descargar la siguiente imagen antes de que toque mostrarla
+     */
+    preload(index) {
+        const data = this.slides[index % this.slides.length];
+        const largest = LazyLoad.getLargest(data.src);
+        new Image().src = largest ? largest.src : data.src;
+    },
+
+    next() {
+        if (this.isActive) this.show(this.index + 1, 1);
+    },
+
+    prev() {
+        if (this.isActive) this.show(this.index - 1, -1);
+    },
+
+    /**
+     * Programar el avance automático (no corre mientras haya una pausa)
+     */
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.remaining = delay;
+        if (this.pauses.size > 0) return;
+
+        this.startedAt = Date.now();
+        this.timer = setTimeout(() => this.next(), delay);
+    },
+
+    /**
+     * Pausar por un motivo ('user', 'hover', 'touch'); sigue cuando no queda ninguno
+     */
+    pause(reason) {
+        if (!this.isActive) return;
+        const wasRunning = this.pauses.size === 0;
+        this.pauses.add(reason);
+        if (!wasRunning) return;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.remaining = Math.max(0, this.remaining - (Date.now() - this.startedAt));
+        this.updatePaused();
+    },
+
+    resume(reason) {
+        if (!this.isActive || !this.pauses.delete(reason) || this.pauses.size > 0) return;
+        this.updatePaused();
+        this.schedule(this.remaining);
+    },
+
+    togglePause() {
+        if (this.pauses.has('user')) {
+            this.resume('user');
+        } else {
+            this.pause('user');
+        }
+    },
+
+    /**
+     * Botón de pausa y barra de progreso según el estado
+     */
+    updatePaused() {
+        const overlay = document.querySelector('.kiosk');
+        if (!overlay) return;
+
+        const paused = this.pauses.size > 0;
+        overlay.classList.toggle('is-paused', paused);
+
+        const button = overlay.querySelector('.kiosk-pause');
+        button.setAttribute('aria-pressed', String(this.pauses.has('user')));
+        button.setAttribute('aria-label', I18n.t(this.pauses.has('user') ? 'kiosk.play' : 'kiosk.pause'));
+    },
+
+    restartProgress(overlay) {
+        const bar = overlay.querySelector('.kiosk-progress-bar');
+        bar.classList.remove('is-running');
+        void bar.offsetWidth;
+        bar.classList.add('is-running');
+    },
+
+    updateCounter() {
+        const counter = document.querySelector('.kiosk-counter');
+        if (counter) {
+            counter.textContent = I18n.t('kiosk.slide', { n: this.index + 1, total: this.slides.length });
+        }
+    },
+
+    /**
+     * Textos sin data-i18n (pie de foto, alt, contador, pausa)
+     */
+    updateTexts() {
+        const current = document.querySelector('.kiosk-slide.is-current');
+        if (current) this.updateSlideTexts(current, this.slides[this.index]);
+        this.updateCounter();
+        this.updatePaused();
+    },
+
+    /**
+     * Controles y cursor visibles al mover el ratón; se ocultan solos
+     */
+    showControls() {
+        const overlay = document.querySelector('.kiosk');
+        if (!overlay) return;
+
+        overlay.classList.remove('is-idle');
+        clearTimeout(this.controlsTimer);
+        this.controlsTimer = setTimeout(() => overlay.classList.add('is-idle'), CONFIG.kiosk.controlsTimeout);
+    },
+
+    handleKeydown(e) {
+        if (!this.isActive) return;
+
+        const overlay = document.querySelector('.kiosk');
+        this.showControls();
+
+        if (e.key !== 'Escape' && !document.fullscreenElement) {
+            this.enterFullscreen();
+        }
+
+        switch (e.key) {
+            case 'Escape':
+                this.stop();
+                break;
+            case 'ArrowRight':
+            case 'PageDown':
+                e.preventDefault();
+                this.next();
+                break;
+            case 'ArrowLeft':
+            case 'PageUp':
+                e.preventDefault();
+                this.prev();
+                break;
+            case ' ':
+                // En un botón, Espacio ya lo pulsa
+                if (e.target.closest && e.target.closest('button')) break;
+                e.preventDefault();
+                this.togglePause();
+                break;
+            case 'Tab':
+                if (overlay) trapFocus(overlay, e);
+                break;
+        }
+    },
+
+    /**
+     * Pantalla completa (el navegador la rechaza sin un gesto del usuario:
+     * entonces se avisa y se reintenta con el siguiente clic o tecla)
+     */
+    async enterFullscreen() {
+        const root = document.documentElement;
+        const hint = document.querySelector('.kiosk-hint');
+        if (document.fullscreenElement || !root.requestFullscreen) return;
+
+        try {
+            await root.requestFullscreen();
+            this.ownsFullscreen = true;
+            if (hint) hint.hidden = true;
+        } catch (error) {
+            if (hint) hint.hidden = false;
+        }
+    },
+
+    exitFullscreen() {
+        if (this.ownsFullscreen && document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+        this.ownsFullscreen = false;
+    },
+
+    /**
+     * Mantener la pantalla encendida (si el navegador lo permite)
+     */
+    async requestWakeLock() {
+        if (this.wakeLock || !('wakeLock' in navigator)) return;
+
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+            this.wakeLock.addEventListener('release', () => {
+                this.wakeLock = null;
+            });
+        } catch (error) {
+            // Batería baja, pestaña oculta o permiso denegado: la presentación sigue igual
+        }
+    },
+
+    releaseWakeLock() {
+        if (this.wakeLock) {
+            this.wakeLock.release().catch(() => {});
+            this.wakeLock = null;
+        }
+    },
+
+    /**
+     * ?kiosk: cualquier interacción reinicia la cuenta atrás para volver
+     */
+    watchActivity() {
+        const onActivity = () => {
+            if (!this.isActive) this.restartIdle();
+        };
+
+        ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, onActivity, { passive: true });
+        });
+        window.addEventListener('scroll', onActivity, { passive: true });
+
+        // Lo que se hace dentro de la demo no llega a la página: cuentan sus mensajes
+        window.addEventListener('message', (e) => {
+            if (GameDemo.frame && e.source === GameDemo.frame.contentWindow) onActivity();
+        });
+    },
+
+    restartIdle() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            // Con la demo en marcha, alguien está jugando: se vuelve a contar
+            if (GameDemo.isPlaying) {
+                this.restartIdle();
+            } else {
+                this.start();
+            }
+        }, CONFIG.kiosk.idleTimeout);
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * ============================================
+ * ÚLTIMO JUEGO (IMAGE-SET EN EL LIGHTBOX)
+ * ============================================
+ */
+
+import { I18n } from './i18n.js';
+import { Portfolio } from './portfolio.js';
+import { Lightbox } from './lightbox.js';
+
+export const LatestGame = {
+    /**
+     * Registrar las capturas del juego (games[0] del manifiesto)
+     */
+    init() {
+        const visual = document.querySelector('.latest-game-visual');
+        const game = Portfolio.games[0];
+        if (!visual || !game || game.images.length === 0) return;
+
+        visual.setAttribute('role', 'button');
+        visual.setAttribute('tabindex', '0');
+
+        Lightbox.register('latest-game', [{
+            type: 'image-set',
+            id: game.id,
+            title: game.title,
+            subtitle: game.platforms.join(' · '),
+            year: game.year,
+            description: game.description,
+            images: game.images.map((image, index) => ({
+                src: image.src,
+                thumbnail: image.thumbnail,
+                alt: () => image.alt || I18n.t('lightbox.altScreenshot', { title: game.title, n: index + 1 })
+            })),
+            trigger: visual,
+            source: game
+        }], { labelKey: 'latest.title' });
+
+        this.updateTriggerLabel(visual, game);
+        document.addEventListener('localechange', () => this.updateTriggerLabel(visual, game));
+    },
+
+    updateTriggerLabel(visual, game) {
+        visual.setAttribute('aria-label', I18n.t('latest.openGallery', { title: game.title }));
+    }
+};
@@ -0,0 +1,181 @@
+/**
+ * ============================================
+ * LAZY LOADING MEJORADO
+ * ============================================
+ */
+
+import { CONFIG } from './config.js';
+
+export const LazyLoad = {
+    manifest: null,
+
+    /**
+     * Cargar el manifiesto de variantes. Es opcional: sin él se usan los originales.
+     */
+    async loadManifest() {
+        try {
+            const response = await fetch(CONFIG.lazyLoad.manifestUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.manifest = data.images || {};
+        } catch (error) {
+            // Sin manifiesto (o sin conexión): las imágenes originales
+            this.manifest = null;
+        }
+    },
+
+    /**
+     * Entrada del manifiesto para una ruta de imagen (la del HTML/portfolio.json)
+     */
+    getEntry(src) {
+        if (!this.manifest || !src) return null;
+        return this.manifest[src.replace(/^\.?\//, '')] || null;
+    },
+
+    /**
+     * Mejorar el lazy loading nativo con Intersection Observer
+     */
+    init() {
+        // Seleccionar todas las imágenes que aún no se han cargado
+        const lazyImages = document.querySelectorAll('img[loading="lazy"], img[data-sizes]');
+
+        // Las que tienen variantes en el manifiesto pasan a <picture> + srcset;
+        // de la carga diferida se encarga el navegador (loading="lazy")
+        const pending = Array.from(lazyImages).filter(img => !this.enhance(img));
+
+        // Si el navegador soporta Intersection Observer
+        if ('IntersectionObserver' in window) {
+            const imageObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const img = entry.target;
+                        
+                        // Si la imagen aún no se ha cargado
+                        if (img.dataset.src || !img.complete) {
+                            // Agregar efecto de carga
+                            img.style.opacity = '0';
+                            img.style.transition = 'opacity 0.3s ease-in';
+                            
+                            // Si hay data-src, usarlo (para carga diferida)
+                            if (img.dataset.src) {
+                                img.src = img.dataset.src;
+                                img.removeAttribute('data-src');
+                            }
+                            
+                            // Cuando la imagen se carga, mostrar con fade-in
+                            img.addEventListener('load', () => {
+                                img.style.opacity = '1';
+                            }, { once: true });
+                        }
+                        
+                        imageObserver.unobserve(img);
+                    }
+                });
+            }, {
+                threshold: CONFIG.lazyLoad.threshold,
+                rootMargin: CONFIG.lazyLoad.rootMargin
+            });
+
+            pending.forEach(img => imageObserver.observe(img));
+        }
+    },
+
+    /**
+     * Envolver la imagen en <picture> con fuentes AVIF/WebP y srcset
+     * @returns {boolean} true si había variantes en el manifiesto
+     */
+    enhance(img) {
+        const entry = this.getEntry(img.getAttribute('src'));
+        if (!entry || img.closest('picture')) return false;
+
+        const { modern, fallback } = this.splitSources(entry);
+        const sizes = img.dataset.sizes || CONFIG.lazyLoad.sizes.default;
+
+        const picture = document.createElement('picture');
+        picture.className = 'responsive-picture';
+        img.parentNode.insertBefore(picture, img);
+
+        modern.forEach(([type, variants]) => {
+            const source = document.createElement('source');
+            source.type = type;
+            source.srcset = this.toSrcset(variants);
+            source.sizes = sizes;
+            picture.appendChild(source);
+        });
+
+        if (fallback) {
+            img.srcset = this.toSrcset(fallback);
+            img.sizes = sizes;
+        }
+        picture.appendChild(img);
+
+        this.showPlaceholder(img, entry);
+        return true;
+    },
+
+    /**
+     * Separar AVIF/WebP (en <source>) del formato de respaldo (en el <img>)
+     */
+    splitSources(entry) {
+        const order = ['image/avif', 'image/webp'];
+        const types = Object.keys(entry.sources);
+        const fallbackType = types.find(type => !order.includes(type)) || 'image/webp';
+
+        return {
+            modern: order
+                .filter(type => type !== fallbackType && entry.sources[type])
+                .map(type => [type, entry.sources[type]]),
+            fallback: entry.sources[fallbackType] || null
+        };
+    },
+
+    toSrcset(variants) {
+        return variants.map(variant => `${variant.src} ${variant.width}w`).join(', ');
+    },
+
+    /**
+     * Placeholder borroso (LQIP) de fondo hasta que la imagen real está decodificada
+     */
+    showPlaceholder(img, entry) {
+        img.style.backgroundImage = `url("${entry.placeholder}")`;
+        img.classList.add('lqip');
+
+        const reveal = () => {
+            const done = () => {
+                img.style.backgroundImage = '';
+                img.classList.remove('lqip');
+            };
+            if (img.decode) {
+                img.decode().then(done, done);
+            } else {
+                done();
+            }
+        };
+
+        if (img.complete && img.naturalWidth > 0) {
+            reveal();
+        } else {
+            img.addEventListener('load', reveal, { once: true });
+        }
+    },
+
+    /**
+     * Variante más grande de cada formato (para el Lightbox)
+     * @returns {{src: string, sources: Object<string, string>, entry: Object}|null}
+     */
+    getLargest(src) {
+        const entry = this.getEntry(src);
+        if (!entry) return null;
+
+        const largest = variants => variants.reduce((a, b) => (b.width > a.width ? b : a)).src;
+        const { modern, fallback } = this.splitSources(entry);
+
+        return {
+            src: fallback ? largest(fallback) : src,
+            sources: Object.fromEntries(modern.map(([type, variants]) => [type, largest(variants)])),
+            entry
+        };
+    }
+};
@@ -0,0 +1,1217 @@
+/**
+ * ============================================
+ * LIGHTBOX / MODAL PARA GALERÍA
+ * ============================================
+ */
+
+import { CONFIG } from './config.js';
+import { debounce, trapFocus } from './utils.js';
+import { Motion } from './motion.js';
+import { I18n } from './i18n.js';
+import { Portfolio } from './portfolio.js';
+import { Router } from './router.js';
+import { LazyLoad } from './lazy-load.js';
+import { VideoPlayer } from './video-player.js';
+import { SpritePlayer } from './sprite-player.js';
+import { Analytics } from './analytics.js';
+import { GalleryFilters } from './gallery-filters.js';
+import { Shortlist } from './shortlist.js';
+
+/**
+ * Item de medios que muestra el lightbox:
+ * - type: 'image' | 'video-embed' | 'image-set'
+ * - id, title, subtitle, year, description (texto o función, si depende del idioma)
+ * - src + alt() (image), images [{ src, alt() }] (image-set), embed (video-embed)
+ * - stages [{ src, label() }] (opcional en image): etapas del proceso, la última es la final
+ * - sprite (opcional en image): hoja de sprites que se anima en lugar de mostrar la imagen
+ * - trigger: elemento que lo abre; source: dato original (p. ej. entrada del manifiesto)
+ */
+export const Lightbox = {
+    collections: new Map(),
+    collection: null,
+    currentIndex: 0,
+    setIndex: 0,
+    process: null,
+    compareDrag: null,
+    neutralBackground: false,
+    viewAll: false,
+    isOpen: false,
+    zoom: { scale: 1, x: 0, y: 0 },
+    gesture: null,
+    pointers: new Map(),
+    lastTap: null,
+    trigger: null,
+    onKeydown: null,
+
+    /**
+     * Inicializar lightbox y registrar la colección de la galería
+     */
+    init() {
+        // Una sola referencia al handler para poder quitarlo al cerrar
+        this.onKeydown = this.handleKeydown.bind(this);
+
+        try {
+            this.neutralBackground = localStorage.getItem(CONFIG.theme.backgroundKey) === 'neutral';
+        } catch (e) {
+            // Sin localStorage: fondo del tema
+        }
+
+        // Los items son las entradas del manifiesto, no el DOM
+        this.register('gallery', Portfolio.items.map(entry => ({
+            type: 'image',
+            id: entry.id,
+            title: entry.title,
+            subtitle: Portfolio.getCategoryLabel(entry),
+            year: entry.year,
+            description: () => Portfolio.getDescription(entry),
+            src: entry.image,
+            alt: () => Portfolio.getAltText(entry),
+            stages: entry.stages.map((stage, index) => ({
+                src: stage.image,
+                label: () => Portfolio.getStageLabel(entry, index)
+            })),
+            sprite: entry.sprite,
+            trigger: Portfolio.getElement(entry.id),
+            source: entry
+        })), {
+            labelKey: 'gallery.title',
+            filter: media => GalleryFilters.matches(media.source)
+        });
+
+        // Textos que no llevan data-i18n (alt, enlaces, colección)
+        document.addEventListener('localechange', () => {
+            if (this.isOpen) this.updateInfo();
+        });
+
+        // El corazón sigue a la shortlist (también si cambia desde el panel)
+        document.addEventListener('shortlistchange', () => {
+            if (this.isOpen) this.updateInfo();
+        });
+
+        // La capa de comparación sigue a la imagen si cambia el tamaño de la ventana
+        window.addEventListener('resize', debounce(() => {
+            if (this.isOpen) this.positionCompare();
+        }, 100));
+    },
+
+    /**
+     * Registrar una colección de medios (una por sección de la página)
+     * @param {string} name - Nombre de la colección
+     * @param {Array} items - Items de medios
+     * @param {Object} options - labelKey: clave i18n del nombre visible
+     *                           filter: (media) => boolean, items navegables
+     */
+    register(name, items, options = {}) {
+        this.collections.set(name, {
+            name,
+            items,
+            labelKey: options.labelKey || '',
+            filter: options.filter || null
+        });
+
+        items.forEach((media, index) => {
+            const element = media.trigger;
+            if (!element) return;
+
+            element.addEventListener('click', () => this.open(name, index, { trigger: element }));
+            element.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.open(name, index, { trigger: element });
+                }
+            });
+        });
+    },
+
+    /**
+     * Buscar un item por id en todas las colecciones
+     * @returns {{collection, index}|null}
+     */
+    find(id) {
+        for (const [name, collection] of this.collections) {
+            const index = collection.items.findIndex(media => media.id === id);
+            if (index !== -1) return { collection: name, index };
+        }
+        return null;
+    },
+
+    /**
+     * Item actual
+     */
+    current() {
+        const collection = this.collections.get(this.collection);
+        return collection ? collection.items[this.currentIndex] : undefined;
+    },
+
+    /**
+     * ¿El item pasa el filtro de su colección?
+     */
+    isVisible(name, index) {
+        const collection = this.collections.get(name);
+        if (!collection || !collection.items[index]) return false;
+        return !collection.filter || collection.filter(collection.items[index]);
+    },
+
+    /**
+     * Secuencia navegable: la colección actual o, en "ver todo", todas
+     * en el orden en que se registraron
+     */
+    getSequence() {
+        const names = this.viewAll ? Array.from(this.collections.keys()) : [this.collection];
+        const sequence = [];
+
+        names.forEach(name => {
+            const collection = this.collections.get(name);
+            if (!collection) return;
+
+            const entries = [];
+            collection.items.forEach((media, index) => {
+                if (this.isVisible(name, index)) entries.push({ collection: name, index });
+            });
+
+            // Mismo orden que en la página (la galería se puede reordenar)
+            entries.sort((a, b) => this.compareTriggers(collection.items[a.index], collection.items[b.index]));
+            sequence.push(...entries);
+        });
+
+        return sequence;
+    },
+
+    /**
+     * Orden de dos items según la posición de su elemento en el DOM
+     */
+    compareTriggers(a, b) {
+        if (!a.trigger || !b.trigger || !a.trigger.isConnected || !b.trigger.isConnected) return 0;
+        return a.trigger.compareDocumentPosition(b.trigger) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    },
+
+    /**
+     * Crear el modal de lightbox
+     */
+    createModal() {
+        // Si ya existe, no crear otro
+        if (document.querySelector('.lightbox-modal')) {
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'lightbox-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('data-i18n-attr', 'aria-label:lightbox.label');
+
+        modal.innerHTML = `
+            <div class="lightbox-backdrop"></div>
+            <div class="lightbox-container">
+                <button class="lightbox-close" data-i18n-attr="aria-label:lightbox.close">
+                    <span aria-hidden="true">&times;</span>
+                </button>
+                <button class="lightbox-prev" data-i18n-attr="aria-label:lightbox.prev">
+                    <span aria-hidden="true">‹</span>
+                </button>
+                <button class="lightbox-next" data-i18n-attr="aria-label:lightbox.next">
+                    <span aria-hidden="true">›</span>
+                </button>
+                <button class="lightbox-view-all" type="button" aria-pressed="false" data-i18n="lightbox.viewAll">View all</button>
+                <button class="lightbox-background" type="button" aria-pressed="false" data-i18n="lightbox.neutralBackground">Neutral background</button>
+                <div class="lightbox-zoom">
+                    <button class="lightbox-zoom-out" data-i18n-attr="aria-label:lightbox.zoomOut">
+                        <span aria-hidden="true">−</span>
+                    </button>
+                    <span class="lightbox-zoom-level" aria-live="polite">100%</span>
+                    <button class="lightbox-zoom-in" data-i18n-attr="aria-label:lightbox.zoomIn">
+                        <span aria-hidden="true">+</span>
+                    </button>
+                    <button class="lightbox-zoom-reset" data-i18n-attr="aria-label:lightbox.zoomReset">
+                        <span aria-hidden="true">⟲</span>
+                    </button>
+                </div>
+                <div class="lightbox-content">
+                    <div class="lightbox-stage">
+                        <picture class="lightbox-picture">
+                            <source type="image/avif">
+                            <source type="image/webp">
+                            <img class="lightbox-image" src="" alt="" draggable="false">
+                        </picture>
+                        <div class="lightbox-compare" hidden>
+                            <img class="lightbox-compare-image" alt="" draggable="false">
+                            <div class="lightbox-compare-handle" role="slider" tabindex="0" aria-valuemin="0" aria-valuemax="100" data-i18n-attr="aria-label:lightbox.compareSlider"></div>
+                        </div>
+                        <div class="lightbox-embed video-stage" hidden></div>
+                        <div class="lightbox-sprite" hidden></div>
+                    </div>
+                    <div class="lightbox-set" hidden></div>
+                    <div class="lightbox-process" role="group" data-i18n-attr="aria-label:lightbox.processLabel" hidden>
+                        <div class="lightbox-process-modes">
+                            <button type="button" class="lightbox-process-mode" data-mode="steps" aria-pressed="true" data-i18n="lightbox.modeSteps">Stages</button>
+                            <button type="button" class="lightbox-process-mode" data-mode="compare" aria-pressed="false" data-i18n="lightbox.modeCompare">Before / after</button>
+                            <button type="button" class="lightbox-process-mode" data-mode="onion" aria-pressed="false" data-i18n="lightbox.modeOnion">Onion skin</button>
+                        </div>
+                        <ol class="lightbox-process-steps" data-i18n-attr="aria-label:lightbox.stepsLabel"></ol>
+                        <div class="lightbox-process-compare" hidden>
+                            <label class="lightbox-process-field">
+                                <span data-i18n="lightbox.before">Before</span>
+                                <select class="lightbox-process-before"></select>
+                            </label>
+                            <label class="lightbox-process-field">
+                                <span data-i18n="lightbox.after">After</span>
+                                <select class="lightbox-process-after"></select>
+                            </label>
+                            <label class="lightbox-process-field lightbox-process-opacity">
+                                <span data-i18n="lightbox.onionOpacity">Overlay opacity</span>
+                                <input type="range" class="lightbox-process-range" min="0" max="100" step="5">
+                            </label>
+                        </div>
+                    </div>
+                    <div class="lightbox-info">
+                        <h3 class="lightbox-title"></h3>
+                        <p class="lightbox-category"></p>
+                        <p class="lightbox-year"></p>
+                        <p class="lightbox-description"></p>
+                        <a class="lightbox-link" target="_blank" rel="noopener noreferrer" hidden></a>
+                        <button class="lightbox-shortlist shortlist-toggle" type="button" aria-pressed="false" hidden>
+                            <span class="shortlist-toggle-icon" aria-hidden="true">♥</span>
+                            <span class="lightbox-shortlist-label"></span>
+                        </button>
+                    </div>
+                </div>
+                <div class="lightbox-counter">
+                    <span class="lightbox-collection" hidden></span>
+                    <span class="lightbox-current">1</span> / <span class="lightbox-total">1</span>
+                </div>
+            </div>
+        `;
+
+        // Textos en el idioma actual (el propio modal también tiene data-i18n-attr)
+        I18n.translate(modal);
+        modal.setAttribute('aria-label', I18n.t('lightbox.label'));
+
+        document.body.appendChild(modal);
+
+        // Agregar event listeners
+        const backdrop = modal.querySelector('.lightbox-backdrop');
+        const closeBtn = modal.querySelector('.lightbox-close');
+        const prevBtn = modal.querySelector('.lightbox-prev');
+        const nextBtn = modal.querySelector('.lightbox-next');
+
+        backdrop.addEventListener('click', () => this.close());
+        closeBtn.addEventListener('click', () => this.close());
+        prevBtn.addEventListener('click', () => this.prev());
+        nextBtn.addEventListener('click', () => this.next());
+        modal.querySelector('.lightbox-view-all').addEventListener('click', () => this.toggleViewAll());
+        modal.querySelector('.lightbox-background').addEventListener('click', () => this.toggleNeutralBackground());
+        modal.querySelector('.lightbox-shortlist').addEventListener('click', () => Shortlist.toggle(this.current().id));
+        this.applyBackground(modal);
+
+        // Controles de zoom
+        modal.querySelector('.lightbox-zoom-in').addEventListener('click', () => this.zoomBy(CONFIG.lightbox.zoomStep));
+        modal.querySelector('.lightbox-zoom-out').addEventListener('click', () => this.zoomBy(-CONFIG.lightbox.zoomStep));
+        modal.querySelector('.lightbox-zoom-reset').addEventListener('click', () => this.resetZoom());
+
+        // Gestos táctiles (swipe, pinch, doble toque, arrastre)
+        this.setupGestures(modal.querySelector('.lightbox-stage'));
+
+        // Etapas del proceso y comparación antes/después
+        this.setupProcess(modal);
+    },
+
+    /**
+     * Abrir lightbox en un item de una colección
+     * @param {Object} options - silent: no escribir en la URL (viene del Router)
+     *                           trigger: elemento al que devolver el foco al cerrar
+     */
+    open(collection, index, options = {}) {
+        const wasOpen = this.isOpen;
+        this.createModal();
+        this.collection = collection;
+        this.currentIndex = index;
+        this.setIndex = 0;
+        this.process = null;
+        this.isOpen = true;
+
+        if (!wasOpen) {
+            this.viewAll = false;
+        }
+
+        this.updateLightbox();
+        document.body.style.overflow = 'hidden';
+
+        const modal = document.querySelector('.lightbox-modal');
+        modal.classList.add('active');
+
+        if (!wasOpen) {
+            this.trigger = options.trigger || null;
+            document.addEventListener('keydown', this.onKeydown);
+            modal.querySelector('.lightbox-close').focus();
+        }
+
+        if (!options.silent) {
+            const id = this.current().id;
+            if (wasOpen) {
+                Router.replaceWork(id);
+            } else {
+                Router.pushWork(id);
+            }
+        }
+    },
+
+    /**
+     * Cerrar lightbox
+     * @param {Object} options - silent: no escribir en la URL (viene del Router)
+     */
+    close(options = {}) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.resetZoom();
+        Analytics.endWork();
+
+        const modal = document.querySelector('.lightbox-modal');
+        if (modal) {
+            // Quitar el iframe detiene la reproducción (y la animación de sprites)
+            modal.querySelector('.lightbox-embed').innerHTML = '';
+            SpritePlayer.stop();
+            modal.classList.remove('active');
+            document.body.style.overflow = '';
+            
+            // Remover después de la animación (salvo que se haya vuelto a abrir)
+            setTimeout(() => {
+                if (!this.isOpen && modal.parentNode) {
+                    modal.parentNode.removeChild(modal);
+                }
+            }, 300);
+        }
+
+        // Remover listener de teclado (misma referencia que al abrir)
+        document.removeEventListener('keydown', this.onKeydown);
+
+        // Devolver el foco al elemento que abrió el lightbox (o al del item si vino de la URL)
+        const current = this.current();
+        const focusTarget = this.trigger || (current && current.trigger);
+        if (focusTarget && focusTarget.isConnected) {
+            focusTarget.focus();
+        }
+        this.trigger = null;
+
+        if (!options.silent) {
+            Router.clearWork();
+        }
+    },
+
+    /**
+     * Moverse por la secuencia (con vuelta al principio/final).
+     * Un image-set se recorre imagen a imagen antes de pasar al siguiente item.
+     */
+    step(direction) {
+        const media = this.current();
+        if (media && media.type === 'image-set') {
+            const nextSetIndex = this.setIndex + direction;
+            if (nextSetIndex >= 0 && nextSetIndex < media.images.length) {
+                this.showSetImage(nextSetIndex);
+                return;
+            }
+        }
+
+        const sequence = this.getSequence();
+        if (sequence.length === 0) return;
+
+        const position = sequence.findIndex(entry =>
+            entry.collection === this.collection && entry.index === this.currentIndex);
+        const nextPosition = position === -1
+            ? (direction > 0 ? 0 : sequence.length - 1)
+            : (position + direction + sequence.length) % sequence.length;
+
+        const entry = sequence[nextPosition];
+        this.collection = entry.collection;
+        this.currentIndex = entry.index;
+
+        // Al retroceder a un image-set se entra por su última imagen
+        const target = this.current();
+        this.setIndex = direction < 0 && target.type === 'image-set' ? target.images.length - 1 : 0;
+
+        this.updateLightbox();
+        Router.replaceWork(target.id);
+    },
+
+    /**
+     * Navegar al item anterior
+     */
+    prev() {
+        this.step(-1);
+    },
+
+    /**
+     * Navegar al item siguiente
+     */
+    next() {
+        this.step(1);
+    },
+
+    /**
+     * Activar/desactivar "ver todo": navegar por todas las colecciones
+     */
+    toggleViewAll() {
+        this.viewAll = !this.viewAll;
+        this.updateInfo();
+    },
+
+    /**
+     * Fondo gris neutro para ver el arte sin la influencia del tema (se recuerda)
+     */
+    toggleNeutralBackground() {
+        this.neutralBackground = !this.neutralBackground;
+
+        try {
+            localStorage.setItem(CONFIG.theme.backgroundKey, this.neutralBackground ? 'neutral' : 'theme');
+        } catch (e) {
+            // Sin persistencia: dura hasta recargar
+        }
+
+        const modal = document.querySelector('.lightbox-modal');
+        if (modal) this.applyBackground(modal);
+    },
+
+    applyBackground(modal) {
+        modal.classList.toggle('is-neutral', this.neutralBackground);
+        modal.querySelector('.lightbox-background').setAttribute('aria-pressed', String(this.neutralBackground));
+    },
+
+    /**
+     * Mostrar otra imagen del image-set actual
+     */
+    showSetImage(index) {
+        this.setIndex = index;
+        this.updateLightbox();
+    },
+
+    /**
+     * Actualizar contenido del lightbox según el tipo de item
+     */
+    updateLightbox() {
+        const media = this.current();
+        
+        const modal = document.querySelector('.lightbox-modal');
+        if (!modal || !media) return;
+
+        const content = modal.querySelector('.lightbox-content');
+        const stage = modal.querySelector('.lightbox-stage');
+        const lightboxImage = modal.querySelector('.lightbox-image');
+        const embed = modal.querySelector('.lightbox-embed');
+        const sprite = modal.querySelector('.lightbox-sprite');
+        const isVideo = media.type === 'video-embed';
+        const isSprite = Boolean(media.sprite);
+
+        Analytics.viewWork(media, this.collection);
+
+        // Cada item empieza sin zoom y sin el video o la animación anteriores
+        this.resetZoom();
+        embed.innerHTML = '';
+        SpritePlayer.stop();
+
+        content.classList.toggle('is-video', isVideo);
+        content.classList.toggle('is-vertical', isVideo && media.embed.vertical);
+        stage.classList.toggle('is-embed', isVideo);
+        lightboxImage.hidden = isVideo || isSprite;
+        embed.hidden = !isVideo;
+        sprite.hidden = !isSprite;
+        modal.querySelector('.lightbox-zoom').hidden = !this.isZoomable();
+        modal.querySelector('.lightbox-background').hidden = isVideo;
+
+        if (isVideo) {
+            embed.classList.toggle('is-vertical', media.embed.vertical);
+            VideoPlayer.render(embed, media);
+        } else if (isSprite) {
+            SpritePlayer.render(sprite, media.sprite, { title: media.title });
+        } else {
+            // Actualizar imagen con efecto fade (imagen completa, no la miniatura)
+            const image = this.getImage(media);
+            const showImage = () => {
+                this.setImageSource(modal, image.src);
+                lightboxImage.alt = image.alt();
+                lightboxImage.style.opacity = '1';
+            };
+            if (Motion.reduced) {
+                showImage();
+            } else {
+                lightboxImage.style.opacity = '0';
+                setTimeout(showImage, 150);
+            }
+        }
+
+        this.renderSet(modal, media);
+        this.renderProcess(modal, media);
+        this.updateInfo();
+    },
+
+    /**
+     * Cargar la variante de mayor resolución (solo ahora, al abrir),
+     * con el placeholder borroso mientras llega
+     */
+    setImageSource(modal, src) {
+        const image = modal.querySelector('.lightbox-image');
+        const largest = LazyLoad.getLargest(src);
+
+        modal.querySelectorAll('.lightbox-picture source').forEach(source => {
+            source.srcset = (largest && largest.sources[source.type]) || '';
+        });
+
+        image.style.backgroundImage = '';
+        image.src = largest ? largest.src : src;
+
+        if (largest) {
+            LazyLoad.showPlaceholder(image, largest.entry);
+        }
+    },
+
+    /**
+     * Imagen a mostrar: la del item, la actual del image-set o la etapa
+     * elegida (en los modos de comparación, la de "después")
+     */
+    getImage(media) {
+        if (media.type === 'image-set') return media.images[this.setIndex];
+
+        const process = this.getProcess(media);
+        if (!process) return media;
+
+        const stage = media.stages[process.mode === 'steps' ? process.index : process.after];
+        return {
+            src: stage.src,
+            alt: () => I18n.t('lightbox.altStage', { alt: media.alt(), stage: stage.label() })
+        };
+    },
+
+    /**
+     * Miniaturas para elegir imagen dentro de un image-set
+     */
+    renderSet(modal, media) {
+        const set = modal.querySelector('.lightbox-set');
+        set.innerHTML = '';
+        set.hidden = media.type !== 'image-set' || media.images.length < 2;
+        if (set.hidden) return;
+
+        media.images.forEach((image, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'lightbox-set-item';
+            button.innerHTML = '<img alt="" draggable="false">';
+            button.querySelector('img').src = image.thumbnail || image.src;
+            button.addEventListener('click', () => this.showSetImage(index));
+            set.appendChild(button);
+        });
+    },
+
+    /**
+     * Estado del visor de proceso del item (se reinicia al cambiar de obra)
+     * mode: 'steps' | 'compare' | 'onion'
+     */
+    getProcess(media) {
+        // Las hojas de sprites se animan: el proceso solo se ve en imágenes fijas
+        if (media.sprite || !media.stages || media.stages.length < 2) {
+            this.process = null;
+            return null;
+        }
+
+        if (!this.process || this.process.id !== media.id) {
+            const last = media.stages.length - 1;
+            this.process = {
+                id: media.id,
+                mode: 'steps',
+                index: last, // Se abre en la obra terminada
+                before: 0,
+                after: last,
+                position: 50,
+                opacity: 50
+            };
+        }
+        return this.process;
+    },
+
+    /**
+     * Cambiar modo, etapa o comparación
+     */
+    setProcess(changes) {
+        const media = this.current();
+        const previous = media && this.getProcess(media);
+        if (!previous) return;
+
+        this.process = { ...previous, ...changes };
+
+        // Solo se recarga la imagen principal si cambia la etapa que muestra
+        const shownStage = process => (process.mode === 'steps' ? process.index : process.after);
+        if (shownStage(this.process) !== shownStage(previous)) {
+            this.updateLightbox();
+        } else {
+            this.updateInfo();
+        }
+    },
+
+    /**
+     * Listeners de los controles de proceso y de la capa de comparación
+     */
+    setupProcess(modal) {
+        modal.querySelectorAll('.lightbox-process-mode').forEach(button => {
+            button.addEventListener('click', () => this.setProcess({ mode: button.dataset.mode }));
+        });
+
+        const steps = modal.querySelector('.lightbox-process-steps');
+        steps.addEventListener('click', (e) => {
+            const step = e.target.closest('.lightbox-process-step');
+            if (step) this.setProcess({ index: Number(step.dataset.index) });
+        });
+        steps.addEventListener('keydown', (e) => this.handleStepKeydown(e));
+
+        modal.querySelector('.lightbox-process-before').addEventListener('change', (e) => {
+            this.setProcess({ before: Number(e.target.value) });
+        });
+        modal.querySelector('.lightbox-process-after').addEventListener('change', (e) => {
+            this.setProcess({ after: Number(e.target.value) });
+        });
+        modal.querySelector('.lightbox-process-range').addEventListener('input', (e) => {
+            this.setProcess({ opacity: Number(e.target.value) });
+        });
+
+        // Arrastrar el divisor (o pulsar en cualquier punto de la imagen)
+        const compare = modal.querySelector('.lightbox-compare');
+        compare.addEventListener('pointerdown', (e) => this.handleComparePointer(e, 'down'));
+        compare.addEventListener('pointermove', (e) => this.handleComparePointer(e, 'move'));
+        compare.addEventListener('pointerup', (e) => this.handleComparePointer(e, 'up'));
+        compare.addEventListener('pointercancel', (e) => this.handleComparePointer(e, 'up'));
+        modal.querySelector('.lightbox-compare-handle').addEventListener('keydown', (e) => this.handleCompareKeydown(e));
+
+        modal.querySelector('.lightbox-image').addEventListener('load', () => this.positionCompare());
+    },
+
+    /**
+     * Crear los botones de etapa y las opciones de comparación de la obra
+     */
+    renderProcess(modal, media) {
+        const panel = modal.querySelector('.lightbox-process');
+        const process = this.getProcess(media);
+
+        panel.hidden = !process;
+        if (!process) {
+            modal.querySelector('.lightbox-compare').hidden = true;
+            return;
+        }
+        if (panel.dataset.id === media.id) return;
+        panel.dataset.id = media.id;
+
+        const steps = panel.querySelector('.lightbox-process-steps');
+        const selects = panel.querySelectorAll('select');
+        steps.innerHTML = '';
+        selects.forEach(select => { select.innerHTML = ''; });
+
+        media.stages.forEach((stage, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'lightbox-process-step';
+            button.dataset.index = index;
+            item.appendChild(button);
+            steps.appendChild(item);
+
+            selects.forEach(select => {
+                const option = document.createElement('option');
+                option.value = index;
+                select.appendChild(option);
+            });
+        });
+    },
+
+    /**
+     * Reflejar el estado del proceso en los controles y en la capa
+     */
+    syncProcess(modal, media) {
+        const process = this.getProcess(media);
+        modal.querySelector('.lightbox-zoom').hidden = !this.isZoomable();
+        if (!process) return;
+
+        const { mode, index, before, after, position, opacity } = process;
+        const panel = modal.querySelector('.lightbox-process');
+        const labels = media.stages.map(stage => stage.label());
+
+        panel.querySelectorAll('.lightbox-process-mode').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === mode));
+        });
+
+        // Etapas: tabindex móvil, solo la actual entra en el orden de Tab
+        const steps = panel.querySelector('.lightbox-process-steps');
+        steps.hidden = mode !== 'steps';
+        steps.querySelectorAll('.lightbox-process-step').forEach((button, stepIndex) => {
+            button.textContent = labels[stepIndex];
+            button.tabIndex = stepIndex === index ? 0 : -1;
+            if (stepIndex === index) {
+                button.setAttribute('aria-current', 'step');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+
+        panel.querySelector('.lightbox-process-compare').hidden = mode === 'steps';
+        panel.querySelectorAll('option').forEach(option => {
+            option.textContent = labels[Number(option.value)];
+        });
+        panel.querySelector('.lightbox-process-before').value = before;
+        panel.querySelector('.lightbox-process-after').value = after;
+        panel.querySelector('.lightbox-process-opacity').hidden = mode !== 'onion';
+        panel.querySelector('.lightbox-process-range').value = opacity;
+
+        // Capa con la etapa de "antes" sobre la imagen (recortada o semitransparente)
+        const compare = modal.querySelector('.lightbox-compare');
+        compare.hidden = mode === 'steps';
+        compare.classList.toggle('is-onion', mode === 'onion');
+        if (compare.hidden) return;
+
+        const overlay = compare.querySelector('.lightbox-compare-image');
+        const largest = LazyLoad.getLargest(media.stages[before].src);
+        const src = largest ? largest.src : media.stages[before].src;
+        if (overlay.getAttribute('src') !== src) overlay.src = src;
+
+        overlay.style.clipPath = mode === 'compare' ? `inset(0 ${100 - position}% 0 0)` : '';
+        overlay.style.opacity = mode === 'onion' ? String(opacity / 100) : '';
+
+        const handle = compare.querySelector('.lightbox-compare-handle');
+        handle.hidden = mode !== 'compare';
+        handle.style.left = `${position}%`;
+        handle.setAttribute('aria-valuenow', String(position));
+        handle.setAttribute('aria-valuetext', I18n.t('lightbox.compareValue', { percent: position, stage: labels[before] }));
+
+        if (this.zoom.scale !== 1) this.resetZoom();
+        this.positionCompare();
+    },
+
+    /**
+     * Ajustar la capa de comparación a la caja de la imagen principal
+     */
+    positionCompare() {
+        const modal = document.querySelector('.lightbox-modal');
+        const compare = modal && modal.querySelector('.lightbox-compare');
+        if (!compare || compare.hidden) return;
+
+        const image = modal.querySelector('.lightbox-image');
+        compare.style.left = `${image.offsetLeft}px`;
+        compare.style.top = `${image.offsetTop}px`;
+        compare.style.width = `${image.offsetWidth}px`;
+        compare.style.height = `${image.offsetHeight}px`;
+    },
+
+    /**
+     * Mover el divisor con el puntero (ratón, táctil o lápiz)
+     */
+    handleComparePointer(e, phase) {
+        if (!this.process || this.process.mode !== 'compare') return;
+
+        // Los gestos del área de la imagen (swipe, zoom) no intervienen
+        e.stopPropagation();
+        const compare = e.currentTarget;
+
+        if (phase === 'down') {
+            e.preventDefault();
+            if (compare.setPointerCapture) compare.setPointerCapture(e.pointerId);
+            this.compareDrag = e.pointerId;
+        }
+        if (this.compareDrag !== e.pointerId) return;
+        if (phase === 'up') {
+            this.compareDrag = null;
+            return;
+        }
+
+        const rect = compare.getBoundingClientRect();
+        if (!rect.width) return;
+
+        const percent = Math.round(((e.clientX - rect.left) / rect.width) * 100);
+        this.setProcess({ position: Math.min(100, Math.max(0, percent)) });
+    },
+
+    /**
+     * Divisor con teclado (role="slider"): flechas, Re/Av Pág, Inicio y Fin
+     */
+    handleCompareKeydown(e) {
+        const deltas = { ArrowLeft: -5, ArrowDown: -5, ArrowRight: 5, ArrowUp: 5, PageDown: -20, PageUp: 20 };
+        let position;
+
+        if (e.key in deltas) {
+            position = this.process.position + deltas[e.key];
+        } else if (e.key === 'Home') {
+            position = 0;
+        } else if (e.key === 'End') {
+            position = 100;
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        this.setProcess({ position: Math.min(100, Math.max(0, position)) });
+    },
+
+    /**
+     * Moverse entre etapas con las flechas, Inicio y Fin
+     */
+    handleStepKeydown(e) {
+        const buttons = Array.from(e.currentTarget.querySelectorAll('.lightbox-process-step'));
+        const current = buttons.indexOf(e.target.closest('.lightbox-process-step'));
+        if (current === -1) return;
+
+        const last = buttons.length - 1;
+        const targets = { ArrowLeft: current - 1, ArrowUp: current - 1, ArrowRight: current + 1, ArrowDown: current + 1, Home: 0, End: last };
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        const index = Math.min(last, Math.max(0, targets[e.key]));
+        this.setProcess({ index });
+        buttons[index].focus();
+    },
+
+    /**
+     * ¿Las teclas son para un control del proceso, del reproductor de sprites
+     * o un campo (y no para cambiar de obra ni hacer zoom)?
+     */
+    isProcessControl(target) {
+        if (!(target instanceof Element)) return false;
+        return Boolean(target.closest('.lightbox-process-steps, .lightbox-compare, .lightbox-sprite')) ||
+            target.matches('select, input, textarea');
+    },
+
+    /**
+     * Textos del item actual (título, enlaces, contador, colección)
+     */
+    updateInfo() {
+        const media = this.current();
+
+        const modal = document.querySelector('.lightbox-modal');
+        if (!modal || !media) return;
+
+        const lightboxImage = modal.querySelector('.lightbox-image');
+        const lightboxTitle = modal.querySelector('.lightbox-title');
+        const lightboxCategory = modal.querySelector('.lightbox-category');
+        const lightboxYear = modal.querySelector('.lightbox-year');
+        const lightboxDescription = modal.querySelector('.lightbox-description');
+        const lightboxLink = modal.querySelector('.lightbox-link');
+        const collectionLabel = modal.querySelector('.lightbox-collection');
+        const viewAllBtn = modal.querySelector('.lightbox-view-all');
+        const currentSpan = modal.querySelector('.lightbox-current');
+        const totalSpan = modal.querySelector('.lightbox-total');
+
+        if (media.type !== 'video-embed' && lightboxImage.getAttribute('src')) {
+            lightboxImage.alt = this.getImage(media).alt();
+        }
+
+        lightboxTitle.textContent = media.title;
+        lightboxCategory.textContent = media.subtitle || '';
+        lightboxCategory.hidden = !media.subtitle;
+        lightboxYear.textContent = media.year || '';
+        lightboxYear.hidden = !media.year;
+        const description = typeof media.description === 'function' ? media.description() : media.description;
+        lightboxDescription.textContent = description || '';
+        lightboxDescription.hidden = !description;
+
+        // Enlace al original (videos)
+        if (media.type === 'video-embed') {
+            lightboxLink.href = media.embed.url;
+            lightboxLink.textContent = I18n.t('video.external', { platform: media.embed.name });
+        }
+        lightboxLink.hidden = media.type !== 'video-embed';
+
+        // Corazón de la shortlist (solo obras de la galería)
+        const shortlistBtn = modal.querySelector('.lightbox-shortlist');
+        shortlistBtn.hidden = this.collection !== 'gallery';
+        if (!shortlistBtn.hidden) {
+            Shortlist.syncButton(shortlistBtn, media.source);
+            shortlistBtn.querySelector('.lightbox-shortlist-label').textContent = I18n.t(
+                Shortlist.has(media.id) ? 'shortlist.saved' : 'shortlist.save'
+            );
+        }
+
+        // Miniatura activa del image-set
+        modal.querySelectorAll('.lightbox-set-item').forEach((button, index) => {
+            button.setAttribute('aria-label', I18n.t('lightbox.setImage', {
+                n: index + 1,
+                total: media.images.length
+            }));
+            if (index === this.setIndex) {
+                button.setAttribute('aria-current', 'true');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+
+        this.syncProcess(modal, media);
+        if (media.sprite) SpritePlayer.updateTexts();
+
+        // "Ver todo" solo tiene sentido con más de una colección
+        viewAllBtn.hidden = this.collections.size < 2;
+        viewAllBtn.setAttribute('aria-pressed', String(this.viewAll));
+
+        const collection = this.collections.get(this.collection);
+        collectionLabel.hidden = !this.viewAll || !collection.labelKey;
+        collectionLabel.textContent = collectionLabel.hidden ? '' : `${I18n.t(collection.labelKey)} ·`;
+
+        // Actualizar contador (posición dentro de la secuencia navegable)
+        const sequence = this.getSequence();
+        const position = sequence.findIndex(entry =>
+            entry.collection === this.collection && entry.index === this.currentIndex);
+        currentSpan.textContent = position + 1;
+        totalSpan.textContent = sequence.length;
+    },
+
+    /**
+     * Manejar eventos de teclado
+     */
+    handleKeydown(e) {
+        if (!this.isOpen) return;
+
+        switch(e.key) {
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            case 'ArrowLeft':
+                if (!this.isProcessControl(e.target)) this.prev();
+                break;
+            case 'ArrowRight':
+                if (!this.isProcessControl(e.target)) this.next();
+                break;
+            // En un campo (bucle del sprite, velocidad, rango del proceso) se escribe, no se hace zoom
+            case '+':
+            case '=':
+                if (!this.isProcessControl(e.target)) this.zoomBy(CONFIG.lightbox.zoomStep);
+                break;
+            case '-':
+            case '_':
+                if (!this.isProcessControl(e.target)) this.zoomBy(-CONFIG.lightbox.zoomStep);
+                break;
+            case '0':
+                if (!this.isProcessControl(e.target)) this.resetZoom();
+                break;
+        }
+    },
+
+    /**
+     * Mantener el foco de Tab dentro del modal
+     */
+    trapFocus(e) {
+        const modal = document.querySelector('.lightbox-modal');
+        if (modal) trapFocus(modal, e);
+    },
+
+    /**
+     * ¿El item actual admite zoom y gestos? (los videos no, ni las
+     * comparaciones: la capa tiene que coincidir con la imagen; las hojas
+     * de sprites ya se escalan a píxeles enteros)
+     */
+    isZoomable() {
+        const media = this.current();
+        if (!media || media.type === 'video-embed' || media.sprite) return false;
+
+        const process = this.getProcess(media);
+        return !process || process.mode === 'steps';
+    },
+
+    /**
+     * Registrar Pointer Events sobre el área de la imagen
+     */
+    setupGestures(stage) {
+        stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        stage.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        stage.addEventListener('pointercancel', (e) => this.handlePointerUp(e, true));
+    },
+
+    /**
+     * Inicio de un gesto: un dedo (swipe/arrastre/toque) o dos (pinch)
+     */
+    handlePointerDown(e) {
+        if (!this.isZoomable()) return;
+
+        const stage = e.currentTarget;
+        if (stage.setPointerCapture) {
+            stage.setPointerCapture(e.pointerId);
+        }
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 2) {
+            const [a, b] = Array.from(this.pointers.values());
+            this.gesture = {
+                type: 'pinch',
+                startDistance: Math.hypot(b.x - a.x, b.y - a.y),
+                startScale: this.zoom.scale
+            };
+        } else if (this.pointers.size === 1) {
+            this.gesture = {
+                type: this.zoom.scale > 1 ? 'pan' : 'swipe',
+                pointerType: e.pointerType,
+                startX: e.clientX,
+                startY: e.clientY,
+                lastX: e.clientX,
+                lastY: e.clientY,
+                moved: false
+            };
+        }
+
+        stage.classList.add('is-gesturing');
+    },
+
+    /**
+     * Movimiento: pinch-zoom o arrastre de la imagen ampliada
+     */
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+            const [a, b] = Array.from(this.pointers.values());
+            const distance = Math.hypot(b.x - a.x, b.y - a.y);
+            const scale = this.gesture.startScale * (distance / this.gesture.startDistance);
+            this.setZoom(scale, (a.x + b.x) / 2, (a.y + b.y) / 2);
+            return;
+        }
+
+        const gesture = this.gesture;
+        if (Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) > CONFIG.lightbox.tapTolerance) {
+            gesture.moved = true;
+        }
+
+        if (gesture.type === 'pan') {
+            this.zoom.x += e.clientX - gesture.lastX;
+            this.zoom.y += e.clientY - gesture.lastY;
+            this.applyZoom();
+        }
+
+        gesture.lastX = e.clientX;
+        gesture.lastY = e.clientY;
+    },
+
+    /**
+     * Fin del gesto: decidir si fue swipe, toque o doble toque
+     */
+    handlePointerUp(e, cancelled = false) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        const gesture = this.gesture;
+
+        // Al levantar un dedo del pinch no se interpreta nada más
+        if (this.pointers.size > 0 || !gesture) {
+            if (gesture && gesture.type === 'pinch') this.gesture = { type: 'pinch-end' };
+            return;
+        }
+
+        this.gesture = null;
+        e.currentTarget.classList.remove('is-gesturing');
+
+        if (cancelled || gesture.type === 'pinch' || gesture.type === 'pinch-end') return;
+
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+
+        if (!gesture.moved) {
+            this.handleTap(e.clientX, e.clientY);
+            return;
+        }
+
+        // Swipes solo sin zoom y con táctil/lápiz (con ratón se arrastra la imagen)
+        if (gesture.type !== 'swipe' || gesture.pointerType === 'mouse') return;
+
+        const threshold = CONFIG.lightbox.swipeThreshold;
+        if (Math.abs(dx) > threshold && Math.abs(dx) > Math.abs(dy)) {
+            if (dx < 0) {
+                this.next();
+            } else {
+                this.prev();
+            }
+        } else if (dy > threshold && dy > Math.abs(dx)) {
+            this.close();
+        }
+    },
+
+    /**
+     * Doble toque: ampliar en el punto tocado o volver a 100%
+     */
+    handleTap(x, y) {
+        const now = Date.now();
+        const last = this.lastTap;
+
+        if (last &&
+            now - last.time < CONFIG.lightbox.doubleTapDelay &&
+            Math.hypot(x - last.x, y - last.y) < CONFIG.lightbox.tapTolerance * 3) {
+            this.lastTap = null;
+            if (this.zoom.scale > 1) {
+                this.resetZoom();
+            } else {
+                this.setZoom(CONFIG.lightbox.doubleTapZoom, x, y);
+            }
+            return;
+        }
+
+        this.lastTap = { time: now, x, y };
+    },
+
+    /**
+     * Cambiar el zoom en un paso (botones y teclado), centrado
+     */
+    zoomBy(delta) {
+        this.setZoom(this.zoom.scale + delta);
+    },
+
+    /**
+     * Fijar la escala manteniendo fijo el punto (clientX, clientY)
+     */
+    setZoom(scale, clientX, clientY) {
+        const stage = document.querySelector('.lightbox-stage');
+        if (!stage || !this.isZoomable()) return;
+
+        const { minZoom, maxZoom } = CONFIG.lightbox;
+        const newScale = Math.min(maxZoom, Math.max(minZoom, scale));
+        const ratio = newScale / this.zoom.scale;
+
+        // Punto de anclaje relativo al centro del área visible
+        const rect = stage.getBoundingClientRect();
+        const originX = clientX === undefined ? 0 : clientX - (rect.left + rect.width / 2);
+        const originY = clientY === undefined ? 0 : clientY - (rect.top + rect.height / 2);
+
+        this.zoom.x = originX - (originX - this.zoom.x) * ratio;
+        this.zoom.y = originY - (originY - this.zoom.y) * ratio;
+        this.zoom.scale = newScale;
+
+        if (newScale === minZoom) {
+            this.zoom.x = 0;
+            this.zoom.y = 0;
+        }
+
+        this.applyZoom();
+    },
+
+    /**
+     * Volver a 100%
+     */
+    resetZoom() {
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pointers.clear();
+        this.gesture = null;
+        this.applyZoom();
+    },
+
+    /**
+     * Aplicar la transformación limitando el desplazamiento a los bordes
+     */
+    applyZoom() {
+        const modal = document.querySelector('.lightbox-modal');
+        if (!modal) return;
+
+        const stage = modal.querySelector('.lightbox-stage');
+        const image = modal.querySelector('.lightbox-image');
+        const { scale } = this.zoom;
+
+        const maxX = Math.max(0, (image.offsetWidth * scale - stage.clientWidth) / 2);
+        const maxY = Math.max(0, (image.offsetHeight * scale - stage.clientHeight) / 2);
+        this.zoom.x = Math.min(maxX, Math.max(-maxX, this.zoom.x));
+        this.zoom.y = Math.min(maxY, Math.max(-maxY, this.zoom.y));
+
+        image.style.transform = scale === 1
+            ? ''
+            : `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${scale})`;
+        stage.classList.toggle('is-zoomed', scale > 1);
+        modal.querySelector('.lightbox-zoom-level').textContent = `${Math.round(scale * 100)}%`;
+    }
+};
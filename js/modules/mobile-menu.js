@@ -0,0 +1,51 @@
+/**
+ * ============================================
+ * MENÚ MÓVIL
+ * ============================================
+ */
+
+export const MobileMenu = {
+    /**
+     * Inicializar menú móvil
+     */
+    init() {
+        const toggleBtn = document.querySelector('.nav-toggle');
+        const navMenu = document.querySelector('.nav-menu');
+        const navLinks = document.querySelectorAll('.nav-link');
+
+        if (!toggleBtn || !navMenu) return;
+
+        // Toggle del menú
+        toggleBtn.addEventListener('click', () => {
+            const isExpanded = toggleBtn.getAttribute('aria-expanded') === 'true';
+            toggleBtn.setAttribute('aria-expanded', !isExpanded);
+            navMenu.classList.toggle('active');
+            document.body.style.overflow = navMenu.classList.contains('active') ? 'hidden' : '';
+        });
+
+        // Cerrar menú al hacer click en un link
+        navLinks.forEach(link => {
+            link.addEventListener('click', () => this.close());
+        });
+
+        // Cerrar menú al hacer click fuera
+        document.addEventListener('click', (e) => {
+            if (!navMenu.contains(e.target) && !toggleBtn.contains(e.target)) {
+                this.close();
+            }
+        });
+    },
+
+    /**
+     * Cerrar el menú si está abierto (también lo usa el modo presentación)
+     */
+    close() {
+        const toggleBtn = document.querySelector('.nav-toggle');
+        const navMenu = document.querySelector('.nav-menu');
+        if (!toggleBtn || !navMenu || !navMenu.classList.contains('active')) return;
+
+        toggleBtn.setAttribute('aria-expanded', 'false');
+        navMenu.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * ============================================
+ * MOVIMIENTO REDUCIDO
+ * ============================================
+ */
+
+/**
+ * Preferencia de movimiento compartida: todos los módulos consultan
+ * Motion.reduced y escuchan 'motionchange' para reaccionar en vivo.
+ * La clase .reduce-motion en <html> desactiva transiciones en el CSS.
+ */
+export const Motion = {
+    media: null,
+    reduced: false,
+
+    init() {
+        this.media = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        // El usuario puede cambiar la preferencia del sistema con la página abierta
+        const onChange = () => this.update(true);
+        if (this.media.addEventListener) {
+            this.media.addEventListener('change', onChange);
+        } else if (this.media.addListener) {
+            this.media.addListener(onChange);
+        }
+
+        this.update(false);
+    },
+
+    update(notify) {
+        this.reduced = this.media.matches;
+        document.documentElement.classList.toggle('reduce-motion', this.reduced);
+
+        if (notify) {
+            document.dispatchEvent(new CustomEvent('motionchange', { detail: { reduced: this.reduced } }));
+        }
+    },
+
+    /**
+     * Comportamiento para scrollTo / scrollIntoView
+     */
+    scrollBehavior() {
+        return this.reduced ? 'auto' : 'smooth';
+    }
+};
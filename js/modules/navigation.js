@@ -0,0 +1,229 @@
+/**
+ * ============================================
+ * NAVEGACIÓN: SCROLL SUAVE, SECCIÓN ACTIVA Y PROGRESO
+ * ============================================
+ * - Sección activa (scroll-spy) con IntersectionObserver: la que cruza la
+ *   franja de CONFIG.navigation.spyMargin; al llegar al final, la última
+ *   (aunque sea corta y nunca alcance la franja). Sin leer posiciones.
+ * - Barra de progreso y navegación que se oculta al bajar y vuelve al
+ *   subir, en un requestAnimationFrame por scroll con las medidas en caché.
+ */
+
+import { CONFIG } from './config.js';
+import { Motion } from './motion.js';
+import { Analytics } from './analytics.js';
+
+export const Navigation = {
+    nav: null,
+    links: [],
+    sections: [],
+    progressBar: null,
+    sentinel: null,
+    spyObserver: null,
+    bottomObserver: null,
+    visibleSections: new Set(),
+    atBottom: false,
+    activeSection: null,
+    isHidden: false,
+    paused: false,
+    frameId: null,
+    anchorY: 0,      // Dónde empezó el scroll en la dirección actual
+    navHeight: 0,
+    maxScroll: 0,
+
+    /**
+     * Inicializar navegación suave, sección activa y comportamiento al hacer scroll
+     */
+    init() {
+        this.nav = document.querySelector('.main-nav');
+        if (!this.nav) return;
+
+        this.links = Array.from(document.querySelectorAll('.nav-link[href^="#"]'));
+        this.sections = Array.from(document.querySelectorAll('section[id]'));
+        this.progressBar = document.querySelector('.scroll-progress-bar');
+
+        // Smooth scroll para links de navegación
+        this.links.forEach(link => {
+            link.addEventListener('click', (e) => {
+                const href = link.getAttribute('href');
+                if (href === '#') return;
+
+                const target = document.querySelector(href);
+                if (target) {
+                    e.preventDefault();
+                    const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - this.nav.offsetHeight;
+
+                    window.scrollTo({
+                        top: targetPosition,
+                        behavior: Motion.scrollBehavior()
+                    });
+                }
+            });
+        });
+
+        this.setupSpy();
+
+        // Medidas en caché: solo cambian al redimensionar o al crecer el contenido
+        this.measure();
+        window.addEventListener('resize', () => {
+            this.measure();
+            this.requestUpdate();
+        });
+        if ('ResizeObserver' in window) {
+            new ResizeObserver(() => {
+                this.measure();
+                this.requestUpdate();
+            }).observe(document.body);
+        }
+
+        window.addEventListener('scroll', () => this.requestUpdate(), { passive: true });
+
+        // Con el foco en la navegación (Tab), siempre visible
+        this.nav.addEventListener('focusin', () => this.setHidden(false));
+
+        this.anchorY = window.scrollY;
+        this.requestUpdate();
+    },
+
+    /**
+     * Observers de la franja (secciones) y del final de la página
+     */
+    setupSpy() {
+        this.spyObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.visibleSections.add(entry.target);
+                } else {
+                    this.visibleSections.delete(entry.target);
+                }
+            });
+            this.updateActiveLink();
+        }, { rootMargin: CONFIG.navigation.spyMargin });
+
+        // Marca de 1 px al final del body: visible = no se puede bajar más
+        this.sentinel = document.createElement('div');
+        this.sentinel.className = 'scroll-sentinel';
+        this.sentinel.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.sentinel);
+
+        this.bottomObserver = new IntersectionObserver((entries) => {
+            this.atBottom = entries[entries.length - 1].isIntersecting;
+            this.updateActiveLink();
+        });
+
+        this.observe();
+    },
+
+    observe() {
+        this.sections.forEach(section => this.spyObserver.observe(section));
+        this.bottomObserver.observe(this.sentinel);
+    },
+
+    /**
+     * Sin trabajo al hacer scroll (p. ej. mientras se juega la demo)
+     */
+    pause() {
+        this.paused = true;
+        if (this.spyObserver) this.spyObserver.disconnect();
+        if (this.bottomObserver) this.bottomObserver.disconnect();
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    },
+
+    resume() {
+        this.paused = false;
+        if (!this.spyObserver) return;
+
+        // Al volver a observar, los observers informan del estado actual
+        this.visibleSections.clear();
+        this.observe();
+        this.anchorY = window.scrollY;
+        this.requestUpdate();
+    },
+
+    /**
+     * Sección activa: la última (en orden del documento) que cruza la franja,
+     * o la última de la página si ya no se puede bajar más
+     */
+    updateActiveLink() {
+        if (this.paused) return;
+
+        const current = this.atBottom
+            ? this.sections[this.sections.length - 1]
+            : this.sections.filter(section => this.visibleSections.has(section)).pop();
+        if (!current || current.id === this.activeSection) return;
+
+        this.activeSection = current.id;
+
+        // Secciones sin link en la navegación (p. ej. #latest-game): ninguno activo
+        this.links.forEach(link => {
+            const isActive = link.getAttribute('href') === `#${current.id}`;
+            link.classList.toggle('active', isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        Analytics.track('section_view', { section: current.id });
+    },
+
+    measure() {
+        this.navHeight = this.nav.offsetHeight;
+        this.maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    },
+
+    /**
+     * Un solo cálculo por frame, por muchos eventos de scroll que lleguen
+     */
+    requestUpdate() {
+        if (this.paused || this.frameId !== null) return;
+
+        this.frameId = requestAnimationFrame(() => {
+            this.frameId = null;
+            this.update(window.scrollY);
+        });
+    },
+
+    update(scrollY) {
+        if (this.progressBar) {
+            const progress = this.maxScroll > 0 ? Math.min(Math.max(scrollY / this.maxScroll, 0), 1) : 0;
+            this.progressBar.style.transform = `scaleX(${progress})`;
+        }
+
+        // Arriba del todo siempre se ve
+        if (scrollY <= this.navHeight) {
+            this.setHidden(false);
+            this.anchorY = scrollY;
+            return;
+        }
+
+        const delta = scrollY - this.anchorY;
+        const isGoingDown = delta > 0;
+
+        // Un cambio de dirección vuelve a empezar la cuenta
+        if ((isGoingDown && this.isHidden) || (!isGoingDown && !this.isHidden)) {
+            this.anchorY = scrollY;
+            return;
+        }
+        if (Math.abs(delta) < CONFIG.navigation.hideThreshold) return;
+
+        this.setHidden(isGoingDown && !this.isInUse());
+        this.anchorY = scrollY;
+    },
+
+    /**
+     * Menú móvil abierto o foco dentro: la navegación se está usando
+     */
+    isInUse() {
+        const menu = this.nav.querySelector('.nav-menu');
+        return (menu && menu.classList.contains('active')) || this.nav.contains(document.activeElement);
+    },
+
+    setHidden(hidden) {
+        if (hidden === this.isHidden) return;
+        this.isHidden = hidden;
+        this.nav.classList.toggle('is-hidden', hidden);
+    }
+};
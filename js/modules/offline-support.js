@@ -0,0 +1,95 @@
+/**
+ * ============================================
+ * SOPORTE OFFLINE (SERVICE WORKER + INDICADOR)
+ * ============================================
+ */
+
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+
+export const OfflineSupport = {
+    indicator: null,
+    messageKey: null,
+    hideTimer: null,
+
+    /**
+     * Registrar el service worker y seguir el estado de la conexión
+     */
+    init() {
+        this.indicator = document.querySelector('.offline-indicator');
+
+        window.addEventListener('offline', () => this.update());
+        window.addEventListener('online', () => this.update({ cameBack: true }));
+        document.addEventListener('localechange', () => this.renderMessage());
+
+        this.update();
+        this.register();
+    },
+
+    async register() {
+        // Los service workers requieren HTTPS o localhost
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        // Sin controlador = primera visita: avisar cuando la caché esté lista
+        const firstInstall = !navigator.serviceWorker.controller;
+
+        try {
+            await navigator.serviceWorker.register(CONFIG.offline.serviceWorkerUrl);
+            await navigator.serviceWorker.ready;
+            if (firstInstall && !this.isOffline()) {
+                this.show('offline.ready', 'ready', CONFIG.offline.messageDuration);
+            }
+        } catch (error) {
+            console.warn('⚠️ No se pudo registrar el service worker:', error);
+        }
+    },
+
+    isOffline() {
+        return navigator.onLine === false;
+    },
+
+    /**
+     * Reflejar el estado de la conexión en <html> y en el indicador
+     */
+    update(options = {}) {
+        const offline = this.isOffline();
+        document.documentElement.classList.toggle('is-offline', offline);
+
+        if (offline) {
+            this.show('offline.active', 'offline');
+        } else if (options.cameBack) {
+            this.show('offline.back', 'ready', CONFIG.offline.messageDuration);
+        } else if (this.messageKey === 'offline.active') {
+            this.hide();
+        }
+    },
+
+    /**
+     * Mostrar un mensaje (sin duración = hasta que cambie el estado)
+     */
+    show(key, state, duration) {
+        if (!this.indicator) return;
+
+        clearTimeout(this.hideTimer);
+        this.messageKey = key;
+        this.indicator.dataset.state = state;
+        this.indicator.hidden = false;
+        this.renderMessage();
+
+        if (duration) {
+            this.hideTimer = setTimeout(() => this.hide(), duration);
+        }
+    },
+
+    hide() {
+        if (!this.indicator) return;
+        clearTimeout(this.hideTimer);
+        this.indicator.hidden = true;
+        this.messageKey = null;
+    },
+
+    renderMessage() {
+        if (!this.indicator || !this.messageKey) return;
+        this.indicator.querySelector('.offline-indicator-text').textContent = I18n.t(this.messageKey);
+    }
+};
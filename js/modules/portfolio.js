@@ -0,0 +1,279 @@
+/**
+ * ============================================
+ * PORTFOLIO (MANIFIESTO JSON + RENDER DE GALERÍA)
+ * ============================================
+ */
+
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+
+export const Portfolio = {
+    items: [],
+    games: [],
+    elements: new Map(),
+
+    /**
+     * Cargar el manifiesto y generar la galería
+     */
+    async init() {
+        try {
+            const manifest = await this.load(CONFIG.portfolio.manifestUrl);
+            this.items = manifest.items;
+            this.games = manifest.games;
+        } catch (error) {
+            console.error('❌ No se pudo cargar el portfolio:', error);
+            this.items = [];
+            this.games = [];
+        }
+
+        this.render();
+
+        // Los textos alternativos dependen del idioma
+        document.addEventListener('localechange', () => this.updateAltTexts());
+    },
+
+    /**
+     * Descargar y normalizar las entradas del manifiesto
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} al cargar ${url}`);
+        }
+
+        const manifest = await response.json();
+        const entries = Array.isArray(manifest) ? manifest : manifest.items || [];
+        const games = Array.isArray(manifest.games) ? manifest.games : [];
+
+        return {
+            items: entries.map(entry => ({
+                id: String(entry.id),
+                title: entry.title || '',
+                category: entry.category || '',
+                year: entry.year || '',
+                image: entry.image,
+                thumbnail: entry.thumbnail || entry.image,
+                description: entry.description || '',
+                descriptionKey: entry.descriptionKey || null,
+                tags: Array.isArray(entry.tags) ? entry.tags : [],
+                stages: this.normalizeStages(entry),
+                sprite: this.normalizeSprite(entry)
+            })),
+            // Juegos: conjuntos de capturas para la sección "Latest Game"
+            games: games.map(game => ({
+                id: String(game.id),
+                title: game.title || '',
+                year: game.year || '',
+                description: game.description || '',
+                platforms: Array.isArray(game.platforms) ? game.platforms : [],
+                images: (game.images || []).map(image => typeof image === 'string'
+                    ? { src: image, thumbnail: image, alt: '' }
+                    : { src: image.src, thumbnail: image.thumbnail || image.src, alt: image.alt || '' }),
+                demo: this.normalizeDemo(game.demo)
+            }))
+        };
+    },
+
+    /**
+     * Etapas del proceso (boceto → línea → color…). La imagen de la obra
+     * es la etapa final aunque no aparezca en la lista.
+     * @returns {Array<{label: string, image: string}>}
+     */
+    normalizeStages(entry) {
+        const stages = (Array.isArray(entry.stages) ? entry.stages : [])
+            .map(stage => typeof stage === 'string'
+                ? { label: '', image: stage }
+                : { label: stage.label || '', image: stage.image || stage.src })
+            .filter(stage => stage.image);
+
+        if (stages.length > 0 && entry.image && stages[stages.length - 1].image !== entry.image) {
+            stages.push({ label: '', image: entry.image });
+        }
+
+        return stages;
+    },
+
+    /**
+     * Hoja de sprites (la anima el lightbox). frames = 0: todas las casillas
+     * de la hoja (se calcula al cargar la imagen).
+     * @returns {{image, frameWidth, frameHeight, frames, fps, animations: Array<{name, start, end}>}|null}
+     */
+    normalizeSprite(entry) {
+        const sprite = entry.sprite;
+        if (!sprite || !(sprite.frameWidth > 0) || !(sprite.frameHeight > 0)) return null;
+
+        const animations = Object.entries(sprite.animations || {})
+            .filter(([, range]) => Array.isArray(range) && range.length === 2)
+            .map(([name, [start, end]]) => ({ name, start: Number(start), end: Number(end) }))
+            .filter(animation => animation.start >= 0 && animation.start <= animation.end);
+
+        return {
+            image: sprite.image || entry.image,
+            frameWidth: Number(sprite.frameWidth),
+            frameHeight: Number(sprite.frameHeight),
+            frames: Number(sprite.frames) > 0 ? Number(sprite.frames) : 0,
+            fps: Number(sprite.fps) > 0 ? Number(sprite.fps) : 12,
+            animations
+        };
+    },
+
+    /**
+     * Demo jugable del juego (la monta GameDemo). controls: teclas y clave
+     * i18n de la acción (content-i18n.js).
+     * @returns {{src, width, height, trailer, trailerThumbnail, controls: Array<{keys, label}>}|null}
+     */
+    normalizeDemo(demo) {
+        if (!demo || !demo.src) return null;
+
+        return {
+            src: demo.src,
+            width: Number(demo.width) > 0 ? Number(demo.width) : 16,
+            height: Number(demo.height) > 0 ? Number(demo.height) : 9,
+            trailer: demo.trailer || '',
+            trailerThumbnail: demo.trailerThumbnail || '',
+            controls: (Array.isArray(demo.controls) ? demo.controls : [])
+                .filter(control => Array.isArray(control.keys) && control.keys.length > 0)
+                .map(control => ({ keys: control.keys.map(String), label: control.label || '' }))
+        };
+    },
+
+    /**
+     * Nombre visible de una etapa (sin "label": "Etapa N" o "Final")
+     */
+    getStageLabel(item, index) {
+        const stage = item.stages[index];
+        if (stage.label) return stage.label;
+        return index === item.stages.length - 1
+            ? I18n.t('lightbox.stageFinal')
+            : I18n.t('lightbox.stage', { n: index + 1 });
+    },
+
+    /**
+     * Generar un .gallery-item por entrada dentro del grid de su categoría
+     */
+    render() {
+        const grids = document.querySelectorAll('.gallery-grid[data-gallery-category]');
+        grids.forEach(grid => { grid.innerHTML = ''; });
+        this.elements.clear();
+
+        this.items.forEach(item => {
+            const grid = document.querySelector(`.gallery-grid[data-gallery-category="${item.category}"]`);
+            if (!grid) {
+                console.warn(`⚠️ Sin grid para la categoría "${item.category}" (${item.id})`);
+                return;
+            }
+
+            const element = this.createItem(item);
+            grid.appendChild(element);
+            this.elements.set(item.id, element);
+        });
+    },
+
+    /**
+     * Crear el markup de un item (mismas clases que el HTML original)
+     */
+    createItem(item) {
+        const article = document.createElement('article');
+        article.className = `gallery-item ${item.category}-item`;
+        article.dataset.id = item.id;
+        article.dataset.category = item.category;
+        article.setAttribute('role', 'listitem');
+        article.setAttribute('tabindex', '0');
+
+        const isThumbnail = item.category === 'thumbnail';
+        const hasStages = item.stages.length > 1;
+        // Distintivo: animación (hoja de sprites) o proceso (etapas)
+        const badgeKey = item.sprite ? 'gallery.spriteBadge' : hasStages ? 'gallery.processBadge' : '';
+
+        article.innerHTML = `
+            <div class="gallery-item-wrapper">
+                <img class="gallery-image" loading="lazy">
+                ${badgeKey
+                    ? `<span class="gallery-item-badge" data-i18n="${badgeKey}"></span>`
+                    : ''}
+                <div class="gallery-overlay${isThumbnail ? ' thumbnail-overlay' : ''}">
+                    <div class="overlay-content">
+                        ${isThumbnail
+                            ? '<span class="platform-badge"></span>'
+                            : ''}
+                        <h4 class="gallery-item-title"></h4>
+                        ${isThumbnail
+                            ? ''
+                            : '<p class="gallery-item-category"></p><p class="gallery-item-year"></p>'}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Rellenar con textContent para no interpretar HTML del manifiesto
+        const img = article.querySelector('.gallery-image');
+        img.src = item.thumbnail;
+        img.dataset.sizes = CONFIG.lazyLoad.sizes[item.category] || CONFIG.lazyLoad.sizes.default;
+        img.alt = this.getAltText(item);
+
+        article.querySelector('.gallery-item-title').textContent = item.title;
+
+        if (badgeKey) {
+            article.querySelector('.gallery-item-badge').textContent = I18n.t(badgeKey);
+        }
+
+        if (isThumbnail) {
+            article.querySelector('.platform-badge').textContent = item.tags[0] || 'YouTube';
+        } else {
+            article.querySelector('.gallery-item-category').textContent = this.getCategoryLabel(item);
+            article.querySelector('.gallery-item-year').textContent = item.year;
+        }
+
+        return article;
+    },
+
+    /**
+     * Descripción en el idioma actual (content-i18n.js) o la del manifiesto
+     */
+    getDescription(item) {
+        return item.descriptionKey && I18n.has(item.descriptionKey)
+            ? I18n.t(item.descriptionKey)
+            : item.description;
+    },
+
+    /**
+     * Texto alternativo de la imagen
+     */
+    getAltText(item) {
+        return item.category === 'thumbnail'
+            ? I18n.t('gallery.altThumbnail', { platform: item.tags[0] || 'YouTube', title: item.title })
+            : I18n.t('gallery.altIllustration', { title: item.title });
+    },
+
+    /**
+     * Actualizar los alt de la galería tras un cambio de idioma
+     */
+    updateAltTexts() {
+        this.items.forEach(item => {
+            const element = this.getElement(item.id);
+            const img = element && element.querySelector('.gallery-image');
+            if (img) img.alt = this.getAltText(item);
+        });
+    },
+
+    /**
+     * Texto de categoría visible (las etiquetas del item)
+     */
+    getCategoryLabel(item) {
+        return item.tags.join(' · ');
+    },
+
+    /**
+     * Obtener el elemento .gallery-item de un item
+     */
+    getElement(id) {
+        return this.elements.get(id) || null;
+    },
+
+    /**
+     * Obtener la entrada del manifiesto de un item
+     */
+    getEntry(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+};
@@ -0,0 +1,123 @@
+/**
+ * ============================================
+ * ROUTER (URL ↔ LIGHTBOX Y FILTROS)
+ * ============================================
+ */
+
+import { CONFIG } from './config.js';
+import { Lightbox } from './lightbox.js';
+import { GalleryFilters } from './gallery-filters.js';
+
+export const Router = {
+    /**
+     * Aplicar el estado de la URL actual y escuchar el botón Atrás
+     */
+    init() {
+        window.addEventListener('popstate', () => this.applyState());
+        this.applyState();
+    },
+
+    /**
+     * Sincronizar filtros y lightbox con los parámetros de la URL
+     */
+    applyState() {
+        const params = new URLSearchParams(window.location.search);
+
+        GalleryFilters.apply(this.readFilters(params));
+
+        const workId = params.get(CONFIG.router.workParam);
+        const match = workId ? Lightbox.find(workId) : null;
+
+        // Una obra que los filtros ocultan no se podría navegar: se muestra todo
+        if (match && !Lightbox.isVisible(match.collection, match.index)) {
+            GalleryFilters.reset();
+            this.setFilters(GalleryFilters.state);
+        }
+
+        if (match) {
+            const isCurrent = Lightbox.collection === match.collection && Lightbox.currentIndex === match.index;
+            if (!Lightbox.isOpen || !isCurrent) {
+                Lightbox.open(match.collection, match.index, { silent: true });
+            }
+        } else if (Lightbox.isOpen) {
+            Lightbox.close({ silent: true });
+        }
+    },
+
+    /**
+     * Estado de los filtros de galería a partir de la URL
+     */
+    readFilters(params) {
+        const { filterParam, tagsParam, matchParam, queryParam, sortParam, selectionParam } = CONFIG.router;
+        const tags = params.get(tagsParam);
+        const selection = params.get(selectionParam);
+
+        return {
+            category: params.get(filterParam) || 'all',
+            tags: tags ? tags.split(',') : [],
+            mode: params.get(matchParam) || 'or',
+            query: params.get(queryParam) || '',
+            sort: params.get(sortParam) || 'default',
+            selection: selection ? selection.split(',') : []
+        };
+    },
+
+    /**
+     * Construir una URL con parámetros cambiados (null los elimina)
+     * @param {Object} values - { nombreParametro: valor }
+     */
+    buildUrl(values) {
+        const url = new URL(window.location.href);
+        Object.entries(values).forEach(([name, value]) => {
+            if (value) {
+                url.searchParams.set(name, value);
+            } else {
+                url.searchParams.delete(name);
+            }
+        });
+        return url;
+    },
+
+    /**
+     * Abrir una obra: nueva entrada en el historial para que Atrás cierre el lightbox
+     */
+    pushWork(id) {
+        const state = { ...(history.state || {}), lightbox: true };
+        history.pushState(state, '', this.buildUrl({ [CONFIG.router.workParam]: id }));
+    },
+
+    /**
+     * Cambiar de obra sin llenar el historial (prev/next)
+     */
+    replaceWork(id) {
+        history.replaceState(history.state, '', this.buildUrl({ [CONFIG.router.workParam]: id }));
+    },
+
+    /**
+     * Quitar la obra de la URL al cerrar
+     */
+    clearWork() {
+        // Si abrimos nosotros la entrada, volver atrás deja el historial como estaba
+        if (history.state && history.state.lightbox) {
+            history.back();
+            return;
+        }
+        history.replaceState(history.state, '', this.buildUrl({ [CONFIG.router.workParam]: null }));
+    },
+
+    /**
+     * Guardar los filtros activos (los valores por defecto no se escriben en la URL)
+     */
+    setFilters(state) {
+        const { filterParam, tagsParam, matchParam, queryParam, sortParam, selectionParam } = CONFIG.router;
+
+        history.replaceState(history.state, '', this.buildUrl({
+            [filterParam]: state.category === 'all' ? null : state.category,
+            [tagsParam]: state.tags.join(','),
+            [matchParam]: state.mode === 'and' && state.tags.length > 1 ? 'and' : null,
+            [queryParam]: state.query,
+            [sortParam]: state.sort === 'default' ? null : state.sort,
+            [selectionParam]: state.selection.join(',')
+        }));
+    }
+};
@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * SCROLL REVEAL ANIMATIONS
+ * ============================================
+ */
+
+import { CONFIG } from './config.js';
+import { Motion } from './motion.js';
+import { Portfolio } from './portfolio.js';
+
+export const ScrollReveal = {
+    observer: null,
+    elements: [],
+
+    /**
+     * Inicializar animaciones de scroll
+     */
+    init() {
+        // Seleccionar elementos que deben animarse (los items de galería vienen del portfolio)
+        const elementsToReveal = [
+            ...document.querySelectorAll('.section-header, .about-content, .video-card, .contact-content'),
+            ...Portfolio.elements.values()
+        ];
+        
+        // Con movimiento reducido el contenido se muestra tal cual, sin animar
+        if (Motion.reduced) return;
+        this.elements = elementsToReveal;
+
+        // Crear Intersection Observer para scroll reveal
+        const revealObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('reveal', 'active');
+                    // Dejar de observar una vez que se ha revelado
+                    revealObserver.unobserve(entry.target);
+                }
+            });
+        }, {
+            threshold: CONFIG.scrollReveal.threshold,
+            rootMargin: CONFIG.scrollReveal.rootMargin
+        });
+        this.observer = revealObserver;
+
+        // Observar cada elemento
+        elementsToReveal.forEach(element => {
+            element.classList.add('reveal');
+            revealObserver.observe(element);
+        });
+
+        document.addEventListener('motionchange', (e) => {
+            if (e.detail.reduced) this.revealAll();
+        });
+    },
+
+    /**
+     * Dejar de vigilar el scroll (p. ej. mientras se juega la demo)
+     */
+    pause() {
+        if (this.observer) this.observer.disconnect();
+    },
+
+    /**
+     * Volver a vigilar lo que aún no se ha revelado
+     */
+    resume() {
+        if (!this.observer) return;
+        this.elements
+            .filter(element => !element.classList.contains('active'))
+            .forEach(element => this.observer.observe(element));
+    },
+
+    /**
+     * Mostrar de golpe lo que quedaba por revelar (al activar movimiento reducido)
+     */
+    revealAll() {
+        if (this.observer) this.observer.disconnect();
+        this.elements.forEach(element => element.classList.add('active'));
+        this.observer = null;
+    }
+};
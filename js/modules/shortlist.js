@@ -0,0 +1,363 @@
+/**
+ * ============================================
+ * SHORTLIST (OBRAS FAVORITAS DEL CLIENTE)
+ * ============================================
+ * Corazón en cada obra de la galería y en el lightbox. La selección se
+ * guarda en este navegador, se comparte con un enlace (?selection=…) que
+ * abre la galería filtrada y se imprime como hoja de selección (css/print.css).
+ */
+
+import { CONFIG } from './config.js';
+import { announce } from './utils.js';
+import { I18n } from './i18n.js';
+import { Motion } from './motion.js';
+import { Portfolio } from './portfolio.js';
+import { GalleryFilters } from './gallery-filters.js';
+
+export const Shortlist = {
+    ids: [],
+    isOpen: false,
+    button: null,
+    drawer: null,
+    sheet: null,
+
+    /**
+     * Inicializar corazones, panel y hoja de impresión
+     */
+    init() {
+        this.ids = this.load();
+        this.button = document.querySelector('.shortlist-button');
+        this.drawer = document.querySelector('.shortlist-drawer');
+        this.sheet = document.querySelector('.selection-sheet');
+
+        this.renderToggles();
+
+        if (this.button && this.drawer) {
+            this.setupDrawer();
+        }
+
+        // Otra pestaña cambió la selección
+        window.addEventListener('storage', (e) => {
+            if (e.key !== CONFIG.shortlist.storageKey) return;
+            this.ids = this.load();
+            this.render();
+        });
+
+        document.addEventListener('localechange', () => this.render());
+
+        this.render();
+    },
+
+    /**
+     * Ids guardados (sin los que ya no están en el manifiesto)
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.shortlist.storageKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(id => Portfolio.getEntry(id)) : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    save() {
+        try {
+            localStorage.setItem(CONFIG.shortlist.storageKey, JSON.stringify(this.ids));
+        } catch (e) {
+            // Sin persistencia: la selección dura hasta recargar
+        }
+    },
+
+    has(id) {
+        return this.ids.includes(id);
+    },
+
+    /**
+     * Añadir o quitar una obra
+     */
+    toggle(id) {
+        const entry = Portfolio.getEntry(id);
+        if (!entry) return;
+
+        const added = !this.has(id);
+        this.ids = added ? [...this.ids, id] : this.ids.filter(saved => saved !== id);
+        this.change();
+        announce(I18n.t(added ? 'shortlist.added' : 'shortlist.removed', { title: entry.title }));
+    },
+
+    clear() {
+        if (this.ids.length === 0) return;
+        this.ids = [];
+        this.change();
+        announce(I18n.t('shortlist.cleared'));
+    },
+
+    /**
+     * Guardar, repintar y avisar al resto de módulos (p. ej. el lightbox)
+     */
+    change() {
+        this.save();
+        this.render();
+        document.dispatchEvent(new CustomEvent('shortlistchange', { detail: { ids: [...this.ids] } }));
+    },
+
+    /**
+     * Un corazón por obra de la galería
+     */
+    renderToggles() {
+        Portfolio.items.forEach(entry => {
+            const element = Portfolio.getElement(entry.id);
+            const wrapper = element && element.querySelector('.gallery-item-wrapper');
+            if (!wrapper) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'gallery-shortlist shortlist-toggle';
+            button.innerHTML = '<span class="shortlist-toggle-icon" aria-hidden="true">♥</span>';
+            // Sigue la parada de Tab del item (GalleryKeyboard)
+            button.tabIndex = element.tabIndex;
+
+            // Que el click o Enter no abran también el lightbox del item
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggle(entry.id);
+            });
+            button.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') e.stopPropagation();
+            });
+
+            wrapper.appendChild(button);
+        });
+    },
+
+    /**
+     * Estado y etiqueta accesible de un corazón
+     */
+    syncButton(button, entry) {
+        const saved = this.has(entry.id);
+        button.setAttribute('aria-pressed', String(saved));
+        button.setAttribute('aria-label', I18n.t(saved ? 'shortlist.remove' : 'shortlist.add', { title: entry.title }));
+    },
+
+    /**
+     * Panel lateral con la selección
+     */
+    setupDrawer() {
+        this.button.addEventListener('click', () => (this.isOpen ? this.close() : this.open()));
+        this.drawer.querySelector('.shortlist-close').addEventListener('click', () => this.close());
+        this.drawer.querySelector('.shortlist-copy').addEventListener('click', () => this.copyLink());
+        this.drawer.querySelector('.shortlist-show').addEventListener('click', () => this.showInGallery());
+        this.drawer.querySelector('.shortlist-print').addEventListener('click', () => this.print());
+        this.drawer.querySelector('.shortlist-clear').addEventListener('click', () => this.clear());
+
+        this.drawer.querySelector('.shortlist-list').addEventListener('click', (e) => {
+            const remove = e.target.closest('.shortlist-remove');
+            if (remove) this.toggle(remove.dataset.id);
+        });
+
+        // Escape o click fuera cierran el panel
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.key === 'Escape') this.close({ restoreFocus: true });
+        });
+        document.addEventListener('click', (e) => {
+            if (this.isOpen && e.target.isConnected && !this.drawer.contains(e.target) && !this.button.contains(e.target)) {
+                this.close();
+            }
+        });
+    },
+
+    open() {
+        this.isOpen = true;
+        this.drawer.hidden = false;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.drawer.querySelector('.shortlist-close').focus();
+    },
+
+    /**
+     * @param {Object} options - restoreFocus: devolver el foco al botón flotante
+     */
+    close(options = {}) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.drawer.hidden = true;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.render();
+
+        if (options.restoreFocus && !this.button.hidden) {
+            this.button.focus();
+        }
+    },
+
+    /**
+     * Enlace que abre la galería filtrada a la selección
+     */
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = 'gallery';
+        url.searchParams.set(CONFIG.router.selectionParam, this.ids.join(','));
+        return url.toString();
+    },
+
+    async copyLink() {
+        const input = this.drawer.querySelector('.shortlist-link');
+
+        try {
+            await navigator.clipboard.writeText(input.value);
+            announce(I18n.t('shortlist.copied'));
+        } catch (e) {
+            // Sin portapapeles: dejar el enlace seleccionado para copiarlo a mano
+            input.focus();
+            input.select();
+            announce(I18n.t('shortlist.copyManual'));
+        }
+    },
+
+    /**
+     * Filtrar la galería a la selección (como al abrir el enlace compartido)
+     */
+    showInGallery() {
+        GalleryFilters.update({ ...GalleryFilters.getDefaults(), selection: [...this.ids] });
+        this.close();
+
+        const gallery = document.getElementById('gallery');
+        if (gallery) gallery.scrollIntoView({ behavior: Motion.scrollBehavior(), block: 'start' });
+    },
+
+    /**
+     * Imprimir solo la hoja de selección (css/print.css)
+     */
+    print() {
+        this.renderSheet();
+        const root = document.documentElement;
+        root.classList.add('print-selection');
+        window.addEventListener('afterprint', () => root.classList.remove('print-selection'), { once: true });
+        window.print();
+    },
+
+    /**
+     * Repintar corazones, contador, panel y hoja
+     */
+    render() {
+        Portfolio.items.forEach(entry => {
+            const element = Portfolio.getElement(entry.id);
+            const button = element && element.querySelector('.gallery-shortlist');
+            if (button) this.syncButton(button, entry);
+            if (element) element.classList.toggle('is-shortlisted', this.has(entry.id));
+        });
+
+        if (!this.button || !this.drawer) return;
+
+        const count = this.ids.length;
+        this.button.querySelector('.shortlist-count').textContent = count;
+        this.button.setAttribute('aria-label', I18n.t('shortlist.open', { count }));
+        // Sin obras no hace falta el botón (salvo con el panel abierto)
+        this.button.hidden = count === 0 && !this.isOpen;
+
+        this.renderList();
+        this.renderSheet();
+    },
+
+    renderList() {
+        const list = this.drawer.querySelector('.shortlist-list');
+        const hasItems = this.ids.length > 0;
+
+        this.drawer.querySelector('.shortlist-empty').hidden = hasItems;
+        this.drawer.querySelector('.shortlist-share').hidden = !hasItems;
+        this.drawer.querySelectorAll('.shortlist-actions button').forEach(button => {
+            button.disabled = !hasItems;
+        });
+        this.drawer.querySelector('.shortlist-link').value = hasItems ? this.getShareUrl() : '';
+
+        // Conservar el foco si se quita una obra desde la lista
+        const focused = list.contains(document.activeElement);
+
+        list.innerHTML = '';
+        this.ids.forEach(id => {
+            const entry = Portfolio.getEntry(id);
+            const item = document.createElement('li');
+            item.className = 'shortlist-item';
+            item.innerHTML = `
+                <img class="shortlist-thumb" alt="" loading="lazy">
+                <div class="shortlist-item-info">
+                    <p class="shortlist-item-title"></p>
+                    <p class="shortlist-item-meta"></p>
+                </div>
+                <button type="button" class="shortlist-remove">
+                    <span aria-hidden="true">&times;</span>
+                </button>
+            `;
+
+            // Rellenar con textContent para no interpretar HTML del manifiesto
+            item.querySelector('.shortlist-thumb').src = entry.thumbnail;
+            item.querySelector('.shortlist-item-title').textContent = entry.title;
+            item.querySelector('.shortlist-item-meta').textContent = [GalleryFilters.getCategoryLabel(entry.category), entry.year]
+                .filter(Boolean)
+                .join(' · ');
+
+            const remove = item.querySelector('.shortlist-remove');
+            remove.dataset.id = id;
+            remove.setAttribute('aria-label', I18n.t('shortlist.remove', { title: entry.title }));
+
+            list.appendChild(item);
+        });
+
+        if (focused) {
+            const next = list.querySelector('.shortlist-remove') || this.drawer.querySelector('.shortlist-close');
+            next.focus();
+        }
+    },
+
+    /**
+     * Hoja de selección para imprimir: título, categoría y año de cada obra
+     */
+    renderSheet() {
+        if (!this.sheet) return;
+
+        const logo = document.querySelector('.logo-text');
+        const date = new Date().toLocaleDateString(I18n.lang, { year: 'numeric', month: 'long', day: 'numeric' });
+
+        this.sheet.innerHTML = `
+            <header class="selection-sheet-header">
+                <p class="selection-sheet-name"></p>
+                <h1 class="selection-sheet-title"></h1>
+                <p class="selection-sheet-meta"></p>
+                <p class="selection-sheet-url"></p>
+            </header>
+            <ol class="selection-sheet-list"></ol>
+        `;
+
+        this.sheet.querySelector('.selection-sheet-name').textContent = logo ? logo.textContent : '';
+        this.sheet.querySelector('.selection-sheet-title').textContent = I18n.t('shortlist.sheetTitle');
+        this.sheet.querySelector('.selection-sheet-meta').textContent =
+            `${I18n.t('shortlist.count', { count: this.ids.length })} · ${date}`;
+        this.sheet.querySelector('.selection-sheet-url').textContent = this.ids.length > 0 ? this.getShareUrl() : '';
+
+        const list = this.sheet.querySelector('.selection-sheet-list');
+        this.ids.forEach(id => {
+            const entry = Portfolio.getEntry(id);
+            const item = document.createElement('li');
+            item.className = 'selection-sheet-item';
+            item.innerHTML = `
+                <img class="selection-sheet-image" alt="">
+                <div class="selection-sheet-info">
+                    <h2 class="selection-sheet-item-title"></h2>
+                    <dl class="selection-sheet-details">
+                        <dt></dt><dd class="selection-sheet-category"></dd>
+                        <dt></dt><dd class="selection-sheet-year"></dd>
+                    </dl>
+                </div>
+            `;
+
+            item.querySelector('.selection-sheet-image').src = entry.thumbnail;
+            item.querySelector('.selection-sheet-item-title').textContent = entry.title;
+            const [categoryTerm, yearTerm] = item.querySelectorAll('dt');
+            categoryTerm.textContent = I18n.t('shortlist.category');
+            yearTerm.textContent = I18n.t('shortlist.year');
+            item.querySelector('.selection-sheet-category').textContent = GalleryFilters.getCategoryLabel(entry.category);
+            item.querySelector('.selection-sheet-year').textContent = entry.year || '—';
+
+            list.appendChild(item);
+        });
+    }
+};
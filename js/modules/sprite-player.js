@@ -0,0 +1,406 @@
+/**
+ * ============================================
+ * REPRODUCTOR DE HOJAS DE SPRITES (LIGHTBOX)
+ * ============================================
+ * Anima en un <canvas> 2D las obras con "sprite" en el manifiesto:
+ * reproducir/pausar, frame a frame, velocidad, rango en bucle y
+ * animaciones con nombre (idle, run…). Escala por múltiplos enteros y
+ * sin suavizado para que cada píxel del sprite sea un bloque nítido.
+ * Sin WebGL: solo drawImage, funciona en cualquier equipo.
+ */
+
+import { CONFIG } from './config.js';
+import { debounce } from './utils.js';
+import { Motion } from './motion.js';
+import { I18n } from './i18n.js';
+
+export const SpritePlayer = {
+    container: null,
+    sprite: null,
+    image: null,
+    canvas: null,
+    context: null,
+    title: '',
+    columns: 0,
+    frames: 0,
+    frame: 0,
+    range: { start: 0, end: 0 },
+    playing: false,
+    speed: 1,
+    elapsed: 0,
+    lastTime: null,
+    frameId: null,
+    onFrame: null,
+    onResize: null,
+
+    /**
+     * Montar el reproductor en un contenedor (uno a la vez: el del lightbox)
+     * @param {Object} options - title: nombre de la obra (etiqueta del canvas)
+     */
+    render(container, sprite, options = {}) {
+        this.stop();
+
+        this.container = container;
+        this.sprite = sprite;
+        this.title = options.title || '';
+        this.speed = 1;
+        this.frames = 0;
+        this.frame = 0;
+
+        container.innerHTML = `
+            <canvas class="sprite-canvas" tabindex="0" role="img"></canvas>
+            <p class="sprite-status" hidden></p>
+            <div class="sprite-controls" role="group" data-i18n-attr="aria-label:sprite.controls">
+                <div class="sprite-transport">
+                    <button type="button" class="sprite-step sprite-prev" data-i18n-attr="aria-label:sprite.prevFrame">
+                        <span aria-hidden="true">⏮</span>
+                    </button>
+                    <button type="button" class="sprite-play" aria-pressed="false">
+                        <span class="sprite-play-icon" aria-hidden="true">▶</span>
+                    </button>
+                    <button type="button" class="sprite-step sprite-next" data-i18n-attr="aria-label:sprite.nextFrame">
+                        <span aria-hidden="true">⏭</span>
+                    </button>
+                    <span class="sprite-frame"></span>
+                </div>
+                <div class="sprite-animations" role="group" data-i18n-attr="aria-label:sprite.animations"></div>
+                <div class="sprite-options">
+                    <label class="sprite-field">
+                        <span data-i18n="sprite.speed">Speed</span>
+                        <select class="sprite-speed"></select>
+                    </label>
+                    <label class="sprite-field">
+                        <span data-i18n="sprite.loopFrom">Loop from</span>
+                        <input type="number" class="sprite-from" min="1" step="1">
+                    </label>
+                    <label class="sprite-field">
+                        <span data-i18n="sprite.loopTo">to</span>
+                        <input type="number" class="sprite-to" min="1" step="1">
+                    </label>
+                </div>
+            </div>
+        `;
+
+        this.canvas = container.querySelector('.sprite-canvas');
+        this.context = this.canvas.getContext('2d');
+
+        const speedSelect = container.querySelector('.sprite-speed');
+        CONFIG.spritePlayer.speeds.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            option.selected = speed === this.speed;
+            speedSelect.appendChild(option);
+        });
+
+        this.setupControls(container);
+        I18n.translate(container);
+        this.updateTexts();
+        // Los controles se activan cuando la hoja termina de cargar
+        this.setDisabled(true);
+
+        // La hoja original, nunca una variante responsive: redimensionarla estropearía los píxeles
+        const image = new Image();
+        this.image = image;
+        image.addEventListener('load', () => {
+            if (this.image === image) this.handleLoad();
+        });
+        image.addEventListener('error', () => {
+            if (this.image === image) this.showStatus('sprite.error');
+        });
+        image.src = sprite.image;
+
+        this.onResize = debounce(() => this.resize(), CONFIG.spritePlayer.resizeDelay);
+        window.addEventListener('resize', this.onResize);
+    },
+
+    /**
+     * Detener la animación y soltar la hoja (al cambiar de obra o cerrar)
+     */
+    stop() {
+        this.pause();
+        if (this.onResize) window.removeEventListener('resize', this.onResize);
+        this.onResize = null;
+        this.image = null;
+        this.sprite = null;
+        if (this.container) this.container.innerHTML = '';
+        this.container = null;
+    },
+
+    setupControls(container) {
+        this.onFrame = this.loop.bind(this);
+
+        container.querySelector('.sprite-play').addEventListener('click', () => this.toggle());
+        container.querySelector('.sprite-prev').addEventListener('click', () => this.step(-1));
+        container.querySelector('.sprite-next').addEventListener('click', () => this.step(1));
+        container.querySelector('.sprite-speed').addEventListener('change', (e) => {
+            this.speed = Number(e.target.value) || 1;
+        });
+
+        container.querySelector('.sprite-animations').addEventListener('click', (e) => {
+            const button = e.target.closest('.sprite-animation');
+            if (button) this.setRange(Number(button.dataset.start), Number(button.dataset.end));
+        });
+
+        // Los campos cuentan desde 1, como el contador de frames
+        const from = container.querySelector('.sprite-from');
+        const to = container.querySelector('.sprite-to');
+        const applyRange = () => this.setRange(Number(from.value) - 1, Number(to.value) - 1);
+        from.addEventListener('change', applyRange);
+        to.addEventListener('change', applyRange);
+
+        // Con el foco en el canvas: flechas frame a frame, espacio reproduce/pausa
+        this.canvas.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.step(e.key === 'ArrowLeft' ? -1 : 1);
+            } else if (e.key === ' ' || e.key === 'k') {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+    },
+
+    /**
+     * Hoja cargada: casillas, animaciones y primer frame
+     */
+    handleLoad() {
+        const { frameWidth, frameHeight } = this.sprite;
+        this.columns = Math.floor(this.image.naturalWidth / frameWidth);
+        const rows = Math.floor(this.image.naturalHeight / frameHeight);
+        const cells = this.columns * rows;
+
+        if (cells === 0) {
+            this.showStatus('sprite.error');
+            return;
+        }
+
+        this.frames = this.sprite.frames ? Math.min(this.sprite.frames, cells) : cells;
+        this.renderAnimations();
+        this.setDisabled(false);
+
+        // La primera animación con nombre es la de inicio (si no hay, toda la hoja)
+        const first = this.getAnimations()[0];
+        this.setRange(first.start, first.end);
+        this.resize();
+
+        // Con movimiento reducido se abre en pausa, en el primer frame
+        if (!Motion.reduced) this.play();
+    },
+
+    /**
+     * Animaciones del manifiesto (recortadas a la hoja) más "todos los frames"
+     */
+    getAnimations() {
+        const last = this.frames - 1;
+        const named = this.sprite.animations
+            .filter(animation => animation.start <= last)
+            .map(animation => ({ ...animation, end: Math.min(animation.end, last) }));
+
+        return [...named, { name: '', start: 0, end: last }];
+    },
+
+    renderAnimations() {
+        const group = this.container.querySelector('.sprite-animations');
+        group.innerHTML = '';
+
+        this.getAnimations().forEach(animation => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'sprite-animation';
+            button.dataset.start = animation.start;
+            button.dataset.end = animation.end;
+            button.dataset.name = animation.name;
+            button.textContent = animation.name || I18n.t('sprite.allFrames');
+            group.appendChild(button);
+        });
+
+        this.container.querySelectorAll('.sprite-from, .sprite-to').forEach(input => {
+            input.max = this.frames;
+        });
+    },
+
+    /**
+     * Rango en bucle (frames desde 0). Vuelve al primer frame del rango.
+     */
+    setRange(start, end) {
+        if (this.frames === 0) return;
+
+        const clamp = value => Math.min(Math.max(Number.isFinite(value) ? value : 0, 0), this.frames - 1);
+        const first = clamp(start);
+        const last = Math.max(clamp(end), first);
+
+        this.range = { start: first, end: last };
+        this.frame = first;
+        this.elapsed = 0;
+        this.draw();
+        this.sync();
+    },
+
+    play() {
+        if (this.playing || this.frames === 0) return;
+        this.playing = true;
+        this.lastTime = null;
+        this.frameId = requestAnimationFrame(this.onFrame);
+        this.sync();
+    },
+
+    pause() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        if (!this.playing) return;
+        this.playing = false;
+        this.sync();
+    },
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    },
+
+    /**
+     * Frame a frame (pausa la animación)
+     */
+    step(delta) {
+        if (this.frames === 0) return;
+        this.pause();
+        this.advance(delta);
+    },
+
+    /**
+     * Avanzar (o retroceder) dentro del rango, dando la vuelta
+     */
+    advance(delta) {
+        const { start, end } = this.range;
+        const length = end - start + 1;
+        const offset = (((this.frame - start + delta) % length) + length) % length;
+        this.frame = start + offset;
+        this.draw();
+        this.sync();
+    },
+
+    /**
+     * requestAnimationFrame: acumula el tiempo y avanza los frames que tocan
+     * (la velocidad no depende de los Hz de la pantalla)
+     */
+    loop(now) {
+        if (!this.playing) return;
+
+        if (this.lastTime !== null) {
+            this.elapsed += now - this.lastTime;
+            const duration = this.getFrameDuration();
+            if (this.elapsed >= duration) {
+                const steps = Math.floor(this.elapsed / duration);
+                this.elapsed -= steps * duration;
+                this.advance(steps);
+            }
+        }
+
+        this.lastTime = now;
+        this.frameId = requestAnimationFrame(this.onFrame);
+    },
+
+    getFrameDuration() {
+        return 1000 / (this.sprite.fps * this.speed);
+    },
+
+    /**
+     * Tamaño del canvas: el mayor múltiplo entero del frame que cabe
+     * (en píxeles del dispositivo, para que no haya píxeles a medias)
+     */
+    resize() {
+        if (!this.canvas || this.frames === 0) return;
+
+        const { frameWidth, frameHeight } = this.sprite;
+        const ratio = window.devicePixelRatio || 1;
+        const maxWidth = (this.container.clientWidth || frameWidth) * ratio;
+        const maxHeight = window.innerHeight * CONFIG.spritePlayer.maxHeight * ratio;
+        const scale = Math.max(1, Math.floor(Math.min(maxWidth / frameWidth, maxHeight / frameHeight)));
+
+        this.canvas.width = frameWidth * scale;
+        this.canvas.height = frameHeight * scale;
+        this.canvas.style.width = `${this.canvas.width / ratio}px`;
+        this.canvas.style.height = `${this.canvas.height / ratio}px`;
+        this.draw();
+    },
+
+    draw() {
+        if (!this.context || this.frames === 0) return;
+
+        const { frameWidth, frameHeight } = this.sprite;
+        const column = this.frame % this.columns;
+        const row = Math.floor(this.frame / this.columns);
+
+        // Cambiar el tamaño del canvas reinicia el contexto: desactivar el suavizado en cada dibujo
+        this.context.imageSmoothingEnabled = false;
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.context.drawImage(
+            this.image,
+            column * frameWidth, row * frameHeight, frameWidth, frameHeight,
+            0, 0, this.canvas.width, this.canvas.height
+        );
+    },
+
+    /**
+     * Reflejar el estado en los controles
+     */
+    sync() {
+        if (!this.container) return;
+
+        const playButton = this.container.querySelector('.sprite-play');
+        playButton.setAttribute('aria-pressed', String(this.playing));
+        playButton.setAttribute('aria-label', I18n.t(this.playing ? 'sprite.pause' : 'sprite.play'));
+        playButton.querySelector('.sprite-play-icon').textContent = this.playing ? '❚❚' : '▶';
+
+        if (this.frames === 0) return;
+
+        this.container.querySelector('.sprite-frame').textContent = I18n.t('sprite.frame', {
+            n: this.frame + 1,
+            total: this.frames
+        });
+
+        const { start, end } = this.range;
+        this.container.querySelector('.sprite-from').value = start + 1;
+        this.container.querySelector('.sprite-to').value = end + 1;
+
+        // Animación activa: la que coincide con el rango (un rango a mano no marca ninguna)
+        this.container.querySelectorAll('.sprite-animation').forEach(button => {
+            const active = Number(button.dataset.start) === start && Number(button.dataset.end) === end;
+            button.setAttribute('aria-pressed', String(active));
+        });
+    },
+
+    /**
+     * Textos sin data-i18n (los llama el lightbox al cambiar de idioma)
+     */
+    updateTexts() {
+        if (!this.container) return;
+
+        this.canvas.setAttribute('aria-label', I18n.t('sprite.label', { title: this.title }));
+        this.container.querySelectorAll('.sprite-animation').forEach(button => {
+            if (!button.dataset.name) button.textContent = I18n.t('sprite.allFrames');
+        });
+
+        const status = this.container.querySelector('.sprite-status');
+        if (status.dataset.key) status.textContent = I18n.t(status.dataset.key);
+
+        this.sync();
+    },
+
+    setDisabled(disabled) {
+        this.container.querySelectorAll('.sprite-controls button, .sprite-controls select, .sprite-controls input')
+            .forEach(control => { control.disabled = disabled; });
+    },
+
+    showStatus(key) {
+        const status = this.container.querySelector('.sprite-status');
+        status.dataset.key = key;
+        status.textContent = I18n.t(key);
+        status.hidden = false;
+        this.canvas.hidden = true;
+        this.setDisabled(true);
+    }
+};
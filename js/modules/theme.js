@@ -0,0 +1,108 @@
+/**
+ * ============================================
+ * TEMA (CLARO / OSCURO / AUTOMÁTICO)
+ * ============================================
+ * El script de <head> ya pone data-theme antes del primer pintado;
+ * este módulo gestiona el selector y sigue los cambios del sistema.
+ */
+
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+
+export const Theme = {
+    modes: ['auto', 'light', 'dark'],
+    preference: 'auto',
+    media: null,
+
+    /**
+     * Leer la preferencia, conectar el selector y escuchar al sistema
+     */
+    init() {
+        this.media = window.matchMedia('(prefers-color-scheme: light)');
+        this.preference = this.load();
+
+        const toggle = document.querySelector('.theme-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.cycle());
+        }
+
+        // En "auto" se sigue el tema del sistema también con la página abierta
+        const onSystemChange = () => {
+            if (this.preference === 'auto') this.apply('auto', { persist: false });
+        };
+        if (this.media.addEventListener) {
+            this.media.addEventListener('change', onSystemChange);
+        } else if (this.media.addListener) {
+            this.media.addListener(onSystemChange);
+        }
+
+        document.addEventListener('localechange', () => this.updateToggle());
+
+        this.apply(this.preference, { persist: false });
+    },
+
+    load() {
+        try {
+            const stored = localStorage.getItem(CONFIG.theme.storageKey);
+            return this.modes.includes(stored) ? stored : 'auto';
+        } catch (e) {
+            return 'auto';
+        }
+    },
+
+    /**
+     * Tema efectivo: en "auto", el del sistema (oscuro si no pide claro)
+     */
+    resolve(preference) {
+        if (preference !== 'auto') return preference;
+        return this.media && this.media.matches ? 'light' : 'dark';
+    },
+
+    getNext() {
+        return this.modes[(this.modes.indexOf(this.preference) + 1) % this.modes.length];
+    },
+
+    cycle() {
+        this.apply(this.getNext());
+    },
+
+    /**
+     * Aplicar una preferencia: data-theme en <html>, theme-color y selector
+     */
+    apply(preference, options = {}) {
+        this.preference = this.modes.includes(preference) ? preference : 'auto';
+        const theme = this.resolve(this.preference);
+        document.documentElement.setAttribute('data-theme', theme);
+
+        if (options.persist !== false) {
+            try {
+                localStorage.setItem(CONFIG.theme.storageKey, this.preference);
+            } catch (e) {
+                // Sin persistencia: el cambio dura lo que la visita
+            }
+        }
+
+        const themeColor = document.querySelector('meta[name="theme-color"]');
+        if (themeColor) {
+            themeColor.setAttribute('content', CONFIG.theme.colors[theme]);
+        }
+
+        this.updateToggle();
+    },
+
+    /**
+     * Icono, texto y aria-label del selector (anuncia el modo siguiente)
+     */
+    updateToggle() {
+        const toggle = document.querySelector('.theme-toggle');
+        if (!toggle) return;
+
+        const current = I18n.t(`theme.${this.preference}`);
+        toggle.dataset.themePreference = this.preference;
+        toggle.querySelector('.theme-toggle-label').textContent = current;
+        toggle.setAttribute('aria-label', I18n.t('theme.toggleLabel', {
+            current,
+            next: I18n.t(`theme.${this.getNext()}`)
+        }));
+    }
+};
@@ -0,0 +1,18 @@
+/**
+ * ============================================
+ * UTILIDADES ADICIONALES
+ * ============================================
+ */
+
+export const Utilities = {
+    /**
+     * Inicializar utilidades
+     */
+    init() {
+        // Actualizar año actual en el footer
+        const yearElement = document.getElementById('current-year');
+        if (yearElement) {
+            yearElement.textContent = new Date().getFullYear();
+        }
+    }
+};
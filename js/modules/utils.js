@@ -0,0 +1,69 @@
+/**
+ * ============================================
+ * UTILIDADES
+ * ============================================
+ */
+
+/**
+ * Utilidad: Debounce para optimizar eventos
+ */
+export function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+/**
+ * Utilidad: texto en minúsculas y sin tildes (búsquedas)
+ */
+export function normalizeText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Utilidad: mantener el foco de Tab dentro de un contenedor (modales)
+ */
+export function trapFocus(container, e) {
+    const focusable = Array.from(container.querySelectorAll('button, [href], iframe, [tabindex]:not([tabindex="-1"])'))
+        .filter(el => !el.disabled && !el.hidden);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (!container.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Utilidad: anunciar un mensaje a los lectores de pantalla
+ * (región aria-live compartida, .sr-announcer en index.html)
+ */
+export function announce(message) {
+    let region = document.querySelector('.sr-announcer');
+    if (!region) {
+        region = document.createElement('div');
+        region.className = 'sr-announcer visually-hidden';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        document.body.appendChild(region);
+    }
+
+    // Vaciar y escribir después: así el mismo texto dos veces seguidas también se lee
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 100);
+}
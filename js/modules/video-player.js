@@ -0,0 +1,179 @@
+/**
+ * ============================================
+ * REPRODUCTOR DE VIDEO (YOUTUBE / TIKTOK)
+ * ============================================
+ */
+
+import { I18n } from './i18n.js';
+import { Lightbox } from './lightbox.js';
+import { OfflineSupport } from './offline-support.js';
+
+export const VideoPlayer = {
+    videos: [],
+    consented: false,
+
+    /**
+     * Registrar las .video-card como colección de videos del lightbox
+     */
+    init() {
+        document.querySelectorAll('.video-card').forEach(card => {
+            const link = card.querySelector('.video-link');
+            const wrapper = card.querySelector('.video-thumbnail-wrapper');
+            const source = link ? this.parseUrl(link.href) : null;
+            if (!wrapper || !source) return;
+
+            const thumbnail = card.querySelector('.video-thumbnail');
+            const title = card.querySelector('.video-title');
+
+            wrapper.setAttribute('role', 'button');
+            wrapper.setAttribute('tabindex', '0');
+
+            this.videos.push({
+                type: 'video-embed',
+                id: `video-${source.platform}-${source.id}`,
+                title: title ? title.textContent.trim() : '',
+                embed: {
+                    ...source,
+                    url: link.href,
+                    thumbnail: thumbnail ? thumbnail.currentSrc || thumbnail.src : ''
+                },
+                trigger: wrapper
+            });
+        });
+
+        Lightbox.register('videos', this.videos, { labelKey: 'animations.title' });
+
+        this.updateTriggerLabels();
+        document.addEventListener('localechange', () => this.updateTriggerLabels());
+    },
+
+    /**
+     * Interpretar un enlace de YouTube (watch, youtu.be, shorts) o TikTok
+     * @returns {{platform, name, id, embedUrl, vertical}|null}
+     */
+    parseUrl(href) {
+        let url;
+        try {
+            url = new URL(href);
+        } catch (e) {
+            return null;
+        }
+
+        const host = url.hostname.replace(/^(www\.|m\.)/, '');
+        const parts = url.pathname.split('/').filter(Boolean);
+        let id = null;
+        let vertical = false;
+
+        if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+            if (parts[0] === 'watch') {
+                id = url.searchParams.get('v');
+            } else if (parts[0] === 'shorts' || parts[0] === 'embed') {
+                id = parts[1];
+                vertical = parts[0] === 'shorts';
+            }
+        } else if (host === 'youtu.be') {
+            id = parts[0];
+        }
+
+        if (id && /^[\w-]{11}$/.test(id)) {
+            return {
+                platform: 'youtube',
+                name: 'YouTube',
+                id,
+                vertical,
+                embedUrl: `https://www.youtube-nocookie.com/embed/${id}?autoplay=1&rel=0&playsinline=1`
+            };
+        }
+
+        if (host === 'tiktok.com') {
+            const videoIndex = parts.indexOf('video');
+            const tiktokId = videoIndex !== -1 ? parts[videoIndex + 1] : null;
+            if (tiktokId && /^\d+$/.test(tiktokId)) {
+                return {
+                    platform: 'tiktok',
+                    name: 'TikTok',
+                    id: tiktokId,
+                    vertical: true,
+                    embedUrl: `https://www.tiktok.com/player/v1/${tiktokId}?autoplay=1`
+                };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * aria-label de cada miniatura en el idioma actual
+     */
+    updateTriggerLabels() {
+        this.videos.forEach(video => {
+            video.trigger.setAttribute('aria-label', I18n.t('video.play', { title: video.title }));
+        });
+    },
+
+    /**
+     * Pintar un video-embed en el contenedor del lightbox:
+     * fachada o, si ya se aceptó en esta visita, el reproductor
+     */
+    render(container, media) {
+        if (OfflineSupport.isOffline()) {
+            this.renderOffline(container, media);
+        } else if (this.consented) {
+            this.loadPlayer(container, media);
+        } else {
+            this.renderFacade(container, media);
+        }
+    },
+
+    /**
+     * Sin conexión el reproductor no cargaría: solo la miniatura y un aviso
+     */
+    renderOffline(container, media) {
+        container.innerHTML = `
+            <img class="video-facade-image" alt="">
+            <p class="video-facade-notice"></p>
+        `;
+
+        container.querySelector('.video-facade-image').src = media.embed.thumbnail;
+        container.querySelector('.video-facade-notice').textContent = I18n.t('video.offline');
+    },
+
+    /**
+     * Fachada: miniatura + botón. Ningún iframe de terceros hasta hacer click.
+     */
+    renderFacade(container, media) {
+        container.innerHTML = `
+            <button class="video-facade" type="button">
+                <img class="video-facade-image" alt="">
+                <span class="video-facade-play" aria-hidden="true">▶</span>
+                <span class="video-facade-label"></span>
+            </button>
+            <p class="video-facade-notice"></p>
+        `;
+
+        container.querySelector('.video-facade-image').src = media.embed.thumbnail;
+        container.querySelector('.video-facade-label').textContent = I18n.t('video.load');
+        container.querySelector('.video-facade-notice').textContent = I18n.t('video.consent', { platform: media.embed.name });
+
+        container.querySelector('.video-facade').addEventListener('click', () => {
+            this.consented = true;
+            this.loadPlayer(container, media);
+        });
+    },
+
+    /**
+     * Insertar el iframe del reproductor
+     */
+    loadPlayer(container, media) {
+        const iframe = document.createElement('iframe');
+        iframe.className = 'video-iframe';
+        iframe.src = media.embed.embedUrl;
+        iframe.title = media.title;
+        iframe.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+        iframe.allowFullscreen = true;
+        iframe.setAttribute('referrerpolicy', 'strict-origin-when-cross-origin');
+
+        container.innerHTML = '';
+        container.appendChild(iframe);
+    }
+};
@@ -0,0 +1,1122 @@
+/**
+ * ============================================
+ * CONTENIDO → index.html Y data/portfolio.json
+ * ============================================
+ * Genera las partes de la web que cambian con cada proyecto a partir de
+ * los archivos de content/ (formato de cada uno: content/README.md):
+ * - content/gallery/*.md    → data/portfolio.json ("items")
+ * - content/latest-game.md  → sección #latest-game y data/portfolio.json ("games", con la demo jugable)
+ * - content/videos/*.yml    → tarjetas de YouTube y TikTok de #animations
+ * - content/about.md        → sección #about
+ * - content/site.yml        → metadatos para redes y buscadores (Open Graph y
+ *                             JSON-LD), sitemap.xml y una página para
+ *                             compartir cada obra (work/<id>/index.html)
+ * Los textos con traducción ({ en, es }) van a js/modules/content-i18n.js.
+ *
+ * Antes de escribir nada comprueba los campos obligatorios y que existan
+ * todas las imágenes y archivos enlazados: si algo falla, lista los
+ * errores y no toca ningún archivo.
+ *
+ * Uso:
+ *   npm run build:content             (valida y genera)
+ *   npm run build:content -- --check  (solo valida y avisa si lo generado no está al día)
+ * ============================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const OUTPUTS = {
+    html: 'index.html',
+    portfolio: 'data/portfolio.json',
+    dictionaries: 'js/modules/content-i18n.js',
+    sitemap: 'sitemap.xml',
+    shareDir: 'work' // work/<id>/index.html → ?work=<id>
+};
+
+// En los .md, el texto en inglés va primero y el español después de esta línea
+const LANGUAGE_MARKER = /^[ \t]*<!--\s*es\s*-->[ \t]*$/m;
+const LANGUAGES = ['en', 'es'];
+
+// Textos fijos de cada tarjeta de video (los traduce I18n con sus claves)
+const PLATFORMS = {
+    youtube: {
+        label: 'YouTube',
+        watchKey: 'videos.watchOnYouTube',
+        watchText: 'Watch on YouTube',
+        watchLabelKey: 'videos.watchOnYouTubeLabel',
+        watchLabel: 'Watch video on YouTube'
+    },
+    tiktok: {
+        label: 'TikTok',
+        watchKey: 'videos.watchOnTikTok',
+        watchText: 'Watch on TikTok',
+        watchLabelKey: 'videos.watchOnTikTokLabel',
+        watchLabel: 'Watch video on TikTok'
+    }
+};
+
+const DURATION_PATTERN = /^(\d+:)?\d{1,2}:\d{2}$/;
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * ============================================
+ * LECTURA Y VALIDACIÓN
+ * ============================================
+ */
+
+/**
+ * Estado de una ejecución: errores acumulados y textos traducibles
+ */
+function createContext(root) {
+    return {
+        root,
+        errors: [],
+        dictionaries: Object.fromEntries(LANGUAGES.map(lang => [lang, {}]))
+    };
+}
+
+function fail(context, file, message) {
+    context.errors.push(`${file}: ${message}`);
+}
+
+/**
+ * Ruta relativa a la raíz, con "/" (la que se muestra en los errores)
+ */
+function relative(context, file) {
+    return path.relative(context.root, file).split(path.sep).join('/');
+}
+
+function listFiles(context, dir, extensions) {
+    const fullDir = path.join(context.root, dir);
+    if (!fs.existsSync(fullDir)) {
+        fail(context, dir, 'no existe la carpeta');
+        return [];
+    }
+    return fs.readdirSync(fullDir)
+        .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .map(name => path.join(fullDir, name));
+}
+
+function parseYaml(context, file, text, lineOffset = 0) {
+    try {
+        const data = yaml.load(text);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            fail(context, file, 'los datos tienen que ser una lista de campos (clave: valor)');
+            return null;
+        }
+        return data;
+    } catch (error) {
+        const line = error.mark ? ` (línea ${error.mark.line + 1 + lineOffset})` : '';
+        fail(context, file, `YAML no válido${line}: ${error.reason || error.message}`);
+        return null;
+    }
+}
+
+/**
+ * .md con bloque de datos YAML entre "---" y el texto a continuación
+ */
+function readMarkdown(context, fullPath) {
+    const file = relative(context, fullPath);
+    if (!fs.existsSync(fullPath)) {
+        fail(context, file, 'no existe el archivo');
+        return null;
+    }
+
+    const source = fs.readFileSync(fullPath, 'utf8');
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n([\s\S]*))?$/);
+    if (!match) {
+        fail(context, file, 'tiene que empezar con el bloque de datos (--- … ---)');
+        return null;
+    }
+
+    const data = parseYaml(context, file, match[1], 1);
+    return data && { file, data, body: match[2] || '' };
+}
+
+function readYamlFile(context, fullPath) {
+    const file = relative(context, fullPath);
+    const data = parseYaml(context, file, fs.readFileSync(fullPath, 'utf8'));
+    return data && { file, data };
+}
+
+/**
+ * Identificador a partir del nombre del archivo ("04-cave.md" → "cave");
+ * el número inicial solo sirve para ordenar
+ */
+function idFromFile(context, file, data) {
+    const id = data.id !== undefined
+        ? String(data.id)
+        : path.basename(file, path.extname(file)).replace(/^\d+[-_]/, '');
+    if (!ID_PATTERN.test(id)) {
+        fail(context, file, `id "${id}" no válido: usa minúsculas, números y guiones (aparece en la URL ?work=)`);
+    }
+    return id;
+}
+
+/**
+ * "La coronación de Isaac" → "la-coronacion-de-isaac"
+ */
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function checkRequired(context, file, data, fields) {
+    const missing = fields.filter(field => isBlank(data[field]));
+    missing.forEach(field => fail(context, file, `falta el campo obligatorio "${field}"`));
+    return missing.length === 0;
+}
+
+/**
+ * Imagen o archivo enlazado: tiene que existir en el repositorio
+ */
+function checkFile(context, file, field, src, kind = 'la imagen') {
+    if (typeof src !== 'string' || src.trim() === '') {
+        fail(context, file, `${field}: tiene que ser una ruta (p. ej. images/portfolio/obra.jpg)`);
+        return false;
+    }
+    if (/^[a-z]+:\/\//i.test(src) || src.startsWith('/')) {
+        fail(context, file, `${field}: usa una ruta relativa a la raíz de la web, no "${src}"`);
+        return false;
+    }
+    if (!fs.existsSync(path.join(context.root, src))) {
+        fail(context, file, `${field}: no existe ${kind} "${src}"`);
+        return false;
+    }
+    return true;
+}
+
+function readList(context, file, field, value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        fail(context, file, `${field}: tiene que ser una lista`);
+        return [];
+    }
+    return value;
+}
+
+/**
+ * Texto traducible: "texto" (el mismo en todos los idiomas) o { en, es }
+ */
+function readLocalized(context, file, field, value) {
+    if (typeof value === 'string' || typeof value === 'number') {
+        return { en: String(value) };
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const unknown = Object.keys(value).filter(lang => !LANGUAGES.includes(lang));
+        if (unknown.length > 0) {
+            fail(context, file, `${field}: idioma desconocido "${unknown.join('", "')}" (usa ${LANGUAGES.join(' / ')})`);
+        }
+        if (isBlank(value.en)) {
+            fail(context, file, `${field}: falta el texto en inglés (en)`);
+            return null;
+        }
+        return Object.fromEntries(LANGUAGES.filter(lang => !isBlank(value[lang])).map(lang => [lang, String(value[lang])]));
+    }
+    fail(context, file, `${field}: tiene que ser un texto o { en: …, es: … }`);
+    return null;
+}
+
+/**
+ * Párrafos del cuerpo de un .md, por idioma (separados por líneas en blanco)
+ */
+function readParagraphs(context, file, body) {
+    const [en, es = ''] = body.split(LANGUAGE_MARKER);
+    const split = text => text.split(/\r?\n[ \t]*\r?\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+
+    const paragraphs = { en: split(en), es: split(es) };
+    if (paragraphs.es.length > 0 && paragraphs.es.length !== paragraphs.en.length) {
+        fail(context, file, `el texto en español tiene ${paragraphs.es.length} párrafo(s) y el inglés ${paragraphs.en.length}: tienen que coincidir`);
+    }
+
+    // Un texto por párrafo, con el mismo formato que readLocalized
+    return paragraphs.en.map((text, index) => paragraphs.es[index]
+        ? { en: text, es: paragraphs.es[index] }
+        : { en: text });
+}
+
+/**
+ * Registrar un texto en content-i18n.js y devolver su clave
+ */
+function addText(context, key, text) {
+    LANGUAGES.forEach(lang => {
+        if (text[lang] !== undefined) context.dictionaries[lang][key] = text[lang];
+    });
+    return key;
+}
+
+function checkUniqueIds(context, entries, label) {
+    const seen = new Map();
+    entries.forEach(entry => {
+        if (seen.has(entry.id)) {
+            fail(context, entry.file, `id "${entry.id}" repetido (también en ${seen.get(entry.id)}): cada ${label} necesita uno distinto`);
+        }
+        seen.set(entry.id, entry.file);
+    });
+}
+
+/**
+ * ============================================
+ * CONTENIDO POR SECCIÓN
+ * ============================================
+ */
+
+/**
+ * Categorías de la galería: los grids de index.html (data-gallery-category)
+ */
+function getGalleryCategories(html) {
+    return Array.from(html.matchAll(/data-gallery-category="([^"]+)"/g), match => match[1]);
+}
+
+/**
+ * Hoja de sprites de una obra: tamaño de frame, fps y animaciones con nombre
+ * (rangos de frames, contando desde 0). La imagen por defecto es la de la obra.
+ */
+function readSprite(context, file, value, image) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        fail(context, file, 'sprite: tiene que ser una lista de campos (frameWidth, frameHeight…)');
+        return null;
+    }
+
+    const isPositiveInteger = number => Number.isInteger(number) && number > 0;
+    const sprite = { image: value.image || image };
+    if (value.image) checkFile(context, file, 'sprite.image', value.image);
+
+    ['frameWidth', 'frameHeight'].forEach(field => {
+        if (!isPositiveInteger(value[field])) {
+            fail(context, file, `sprite.${field}: tiene que ser un número de píxeles (p. ej. 64), no "${value[field]}"`);
+        }
+        sprite[field] = value[field];
+    });
+
+    if (value.frames !== undefined) {
+        if (!isPositiveInteger(value.frames)) {
+            fail(context, file, `sprite.frames: tiene que ser un número de frames (p. ej. 24), no "${value.frames}"`);
+        }
+        sprite.frames = value.frames;
+    }
+
+    if (value.fps !== undefined) {
+        if (typeof value.fps !== 'number' || value.fps <= 0 || value.fps > 60) {
+            fail(context, file, `sprite.fps: tiene que ser un número entre 1 y 60, no "${value.fps}"`);
+        }
+        sprite.fps = value.fps;
+    }
+
+    if (value.animations !== undefined) {
+        if (!value.animations || typeof value.animations !== 'object' || Array.isArray(value.animations)) {
+            fail(context, file, 'sprite.animations: tiene que ser una lista de nombre: [primer frame, último frame]');
+        } else {
+            Object.entries(value.animations).forEach(([name, range]) => {
+                const valid = Array.isArray(range) && range.length === 2 &&
+                    range.every(frame => Number.isInteger(frame) && frame >= 0) && range[0] <= range[1];
+                if (!valid) {
+                    fail(context, file, `sprite.animations.${name}: tiene que ser [primer frame, último frame] (p. ej. [0, 5])`);
+                } else if (isPositiveInteger(sprite.frames) && range[1] >= sprite.frames) {
+                    fail(context, file, `sprite.animations.${name}: el frame ${range[1]} no existe (la hoja tiene ${sprite.frames}, del 0 al ${sprite.frames - 1})`);
+                }
+            });
+            sprite.animations = value.animations;
+        }
+    }
+
+    return sprite;
+}
+
+function loadGallery(context, categories) {
+    const entries = listFiles(context, 'content/gallery', ['.md'])
+        .map(fullPath => readMarkdown(context, fullPath))
+        .filter(Boolean)
+        .map(({ file, data, body }) => {
+            checkRequired(context, file, data, ['title', 'category', 'image']);
+
+            if (!isBlank(data.category) && !categories.includes(data.category)) {
+                fail(context, file, `category "${data.category}" no existe: usa ${categories.map(name => `"${name}"`).join(' o ')}`);
+            }
+            if (data.year !== undefined && !Number.isInteger(data.year)) {
+                fail(context, file, `year tiene que ser un año (p. ej. 2024), no "${data.year}"`);
+            }
+
+            const image = data.image;
+            const thumbnail = data.thumbnail || image;
+            checkFile(context, file, 'image', image);
+            if (data.thumbnail) checkFile(context, file, 'thumbnail', thumbnail);
+
+            const tags = readList(context, file, 'tags', data.tags).map(String);
+
+            const stages = readList(context, file, 'stages', data.stages).map((stage, index) => {
+                const src = typeof stage === 'string' ? stage : stage && (stage.image || stage.src);
+                checkFile(context, file, `stages[${index + 1}]`, src);
+                return stage;
+            });
+
+            // La descripción en inglés queda en el manifiesto (páginas para compartir, sin JS)
+            // y, por idioma, en content-i18n.js
+            const paragraphs = readParagraphs(context, file, body);
+            const description = Object.fromEntries(LANGUAGES
+                .filter(lang => paragraphs.length > 0 && paragraphs.every(text => text[lang]))
+                .map(lang => [lang, paragraphs.map(text => text[lang]).join(' ')]));
+
+            const item = {
+                id: idFromFile(context, file, data),
+                title: String(data.title || ''),
+                category: data.category,
+                year: data.year,
+                image,
+                thumbnail,
+                description: description.en || '',
+                tags
+            };
+            if (description.en) item.descriptionKey = addText(context, `gallery.${item.id}.description`, description);
+            if (stages.length > 0) item.stages = stages;
+            if (data.sprite !== undefined) item.sprite = readSprite(context, file, data.sprite, image);
+
+            return { file, id: item.id, item };
+        });
+
+    checkUniqueIds(context, entries, 'obra');
+    return entries.map(entry => entry.item);
+}
+
+function loadVideos(context) {
+    const entries = listFiles(context, 'content/videos', ['.yml', '.yaml'])
+        .map(fullPath => readYamlFile(context, fullPath))
+        .filter(Boolean)
+        .map(({ file, data }) => {
+            checkRequired(context, file, data, ['platform', 'title', 'url', 'thumbnail', 'duration']);
+
+            if (!isBlank(data.platform) && !PLATFORMS[data.platform]) {
+                fail(context, file, `platform "${data.platform}" no existe: usa ${Object.keys(PLATFORMS).map(name => `"${name}"`).join(' o ')}`);
+            }
+            if (!isBlank(data.url) && !/^https?:\/\//.test(String(data.url))) {
+                fail(context, file, `url tiene que ser un enlace completo (https://…), no "${data.url}"`);
+            }
+            if (!isBlank(data.duration) && !DURATION_PATTERN.test(String(data.duration))) {
+                fail(context, file, `duration "${data.duration}" no válida: usa m:ss (entre comillas, p. ej. "2:30")`);
+            }
+            if (!isBlank(data.thumbnail)) checkFile(context, file, 'thumbnail', data.thumbnail);
+
+            const title = String(data.title || '');
+            return {
+                file,
+                id: idFromFile(context, file, data),
+                platform: data.platform,
+                title,
+                url: String(data.url || ''),
+                thumbnail: data.thumbnail,
+                alt: isBlank(data.alt)
+                    ? { en: `Video preview: ${title}`, es: `Vista previa del video: ${title}` }
+                    : readLocalized(context, file, 'alt', data.alt),
+                duration: String(data.duration || ''),
+                description: isBlank(data.description) ? null : readLocalized(context, file, 'description', data.description)
+            };
+        });
+
+    checkUniqueIds(context, entries, 'video');
+    return entries;
+}
+
+/**
+ * Demo jugable (export HTML5/WebGL alojado en el propio sitio): ruta de su
+ * index.html, proporción, tráiler para móviles y leyenda de controles
+ */
+function readDemo(context, file, value, image) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        fail(context, file, 'demo: tiene que ser una lista de campos (src, controls…)');
+        return null;
+    }
+
+    if (isBlank(value.src)) {
+        fail(context, file, 'demo: falta el campo obligatorio "src"');
+    } else {
+        checkFile(context, file, 'demo.src', value.src, 'el archivo');
+    }
+
+    ['width', 'height'].forEach(field => {
+        if (value[field] !== undefined && !(Number.isInteger(value[field]) && value[field] > 0)) {
+            fail(context, file, `demo.${field}: tiene que ser un número de píxeles (p. ej. 1280), no "${value[field]}"`);
+        }
+    });
+    if (!isBlank(value.trailer) && !/^https?:\/\//.test(String(value.trailer))) {
+        fail(context, file, `demo.trailer tiene que ser un enlace completo (https://…), no "${value.trailer}"`);
+    }
+    if (!isBlank(value.trailerThumbnail)) checkFile(context, file, 'demo.trailerThumbnail', value.trailerThumbnail);
+
+    const controls = readList(context, file, 'demo.controls', value.controls).map((control, index) => {
+        const field = `demo.controls[${index + 1}]`;
+        const keys = control && (Array.isArray(control.keys) ? control.keys : [control.keys]).filter(key => !isBlank(key));
+        if (!keys || keys.length === 0) {
+            fail(context, file, `${field}: falta "keys" (p. ej. [W, A, S, D])`);
+            return null;
+        }
+        const action = readLocalized(context, file, `${field}.action`, control.action);
+        return action && { keys: keys.map(String), action };
+    }).filter(Boolean);
+
+    return {
+        src: value.src,
+        width: value.width || 16,
+        height: value.height || 9,
+        trailer: isBlank(value.trailer) ? '' : String(value.trailer),
+        trailerThumbnail: value.trailerThumbnail || image,
+        controls
+    };
+}
+
+function loadLatestGame(context) {
+    const source = readMarkdown(context, path.join(context.root, 'content/latest-game.md'));
+    if (!source) return null;
+    const { file, data, body } = source;
+
+    checkRequired(context, file, data, ['title', 'image', 'summary', 'imageAlt']);
+    if (!isBlank(data.image)) checkFile(context, file, 'image', data.image);
+
+    const screenshots = readList(context, file, 'screenshots', data.screenshots);
+    screenshots.forEach((src, index) => {
+        checkFile(context, file, `screenshots[${index + 1}]`, typeof src === 'string' ? src : src && src.src);
+    });
+
+    const description = readParagraphs(context, file, body);
+    if (description.length === 0) {
+        fail(context, file, 'falta la descripción (el texto después del bloque de datos)');
+    }
+
+    return {
+        file,
+        id: data.id === undefined ? slugify(data.title) : String(data.id),
+        title: String(data.title || ''),
+        summary: String(data.summary || ''),
+        platforms: readList(context, file, 'platforms', data.platforms).map(String),
+        image: data.image,
+        imageAlt: isBlank(data.imageAlt) ? null : readLocalized(context, file, 'imageAlt', data.imageAlt),
+        screenshots: screenshots.length > 0 ? screenshots : [data.image],
+        features: readList(context, file, 'features', data.features)
+            .map((feature, index) => readLocalized(context, file, `features[${index + 1}]`, feature))
+            .filter(Boolean),
+        demo: data.demo === undefined ? null : readDemo(context, file, data.demo, data.image),
+        description
+    };
+}
+
+function loadAbout(context) {
+    const source = readMarkdown(context, path.join(context.root, 'content/about.md'));
+    if (!source) return null;
+    const { file, data, body } = source;
+
+    checkRequired(context, file, data, ['image', 'imageAlt']);
+    if (!isBlank(data.image)) checkFile(context, file, 'image', data.image);
+    if (!isBlank(data.resume)) checkFile(context, file, 'resume', data.resume, 'el archivo');
+
+    const intro = readParagraphs(context, file, body);
+    if (intro.length === 0) {
+        fail(context, file, 'falta la presentación (el texto después del bloque de datos)');
+    }
+
+    // Herramientas: lista simple o grupos { group, items }
+    const tools = readList(context, file, 'tools', data.tools).map((entry, index) => {
+        if (typeof entry === 'string') return { group: null, items: [entry] };
+        if (entry && Array.isArray(entry.items)) {
+            return { group: entry.group ? String(entry.group) : null, items: entry.items.map(String) };
+        }
+        fail(context, file, `tools[${index + 1}]: tiene que ser un texto o { group, items: [...] }`);
+        return { group: null, items: [] };
+    });
+
+    return {
+        file,
+        image: data.image,
+        imageAlt: isBlank(data.imageAlt) ? null : readLocalized(context, file, 'imageAlt', data.imageAlt),
+        specialties: readList(context, file, 'specialties', data.specialties)
+            .map((specialty, index) => readLocalized(context, file, `specialties[${index + 1}]`, specialty))
+            .filter(Boolean),
+        tools,
+        resume: isBlank(data.resume) ? null : data.resume,
+        intro
+    };
+}
+
+/**
+ * Datos del sitio: dirección pública, textos para compartir y perfiles del autor
+ */
+function loadSite(context) {
+    const fullPath = path.join(context.root, 'content/site.yml');
+    if (!fs.existsSync(fullPath)) {
+        fail(context, 'content/site.yml', 'no existe el archivo');
+        return null;
+    }
+    const source = readYamlFile(context, fullPath);
+    if (!source) return null;
+    const { file, data } = source;
+
+    checkRequired(context, file, data, ['url', 'title', 'description', 'image', 'name']);
+    const validUrl = /^https?:\/\/[^/\s]+/.test(String(data.url || ''));
+    if (!isBlank(data.url) && !validUrl) {
+        fail(context, file, `url tiene que ser la dirección completa de la web (https://…), no "${data.url}"`);
+    }
+    if (!isBlank(data.image)) checkFile(context, file, 'image', data.image);
+
+    const profiles = readList(context, file, 'profiles', data.profiles).map(String);
+    profiles.forEach((profile, index) => {
+        if (!/^https?:\/\//.test(profile)) {
+            fail(context, file, `profiles[${index + 1}] tiene que ser un enlace completo (https://…), no "${profile}"`);
+        }
+    });
+
+    // Todas las direcciones se construyen a partir de url
+    if (!validUrl) return null;
+
+    return {
+        // Siempre con "/" final: las rutas se resuelven a partir de ella
+        url: String(data.url || '').replace(/\/?$/, '/'),
+        title: String(data.title || ''),
+        description: String(data.description || ''),
+        image: data.image,
+        name: String(data.name || ''),
+        jobTitle: isBlank(data.jobTitle) ? null : String(data.jobTitle),
+        profiles
+    };
+}
+
+/**
+ * ============================================
+ * PLANTILLAS (mismas clases que el HTML original)
+ * ============================================
+ */
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return escapeHtml(value).replace(/"/g, '&quot;');
+}
+
+// Un "--" cerraría el comentario antes de tiempo
+function escapeComment(value) {
+    return String(value).replace(/-{2,}/g, '-');
+}
+
+function indent(text, spaces) {
+    const prefix = ' '.repeat(spaces);
+    return text.split('\n').map(line => line ? prefix + line : line).join('\n');
+}
+
+function renderVideoCard(context, video) {
+    const platform = PLATFORMS[video.platform];
+    const alt = video.alt
+        ? `alt="${escapeAttribute(video.alt.en)}"\n                 data-i18n-attr="alt:${addText(context, `videos.${video.id}.alt`, video.alt)}"`
+        : 'alt=""';
+    const description = video.description
+        ? `<p class="video-description" data-i18n="${addText(context, `videos.${video.id}.description`, video.description)}">${escapeHtml(video.description.en)}</p>`
+        : '';
+
+    return `<article class="video-card ${video.platform}-card" role="listitem">
+    <div class="video-wrapper">
+        <div class="video-thumbnail-wrapper">
+            <img src="${escapeAttribute(video.thumbnail)}"
+                 ${alt}
+                 class="video-thumbnail"
+                 data-sizes="(max-width: 768px) 100vw, 700px"
+                 loading="lazy">
+            <div class="video-overlay">
+                <span class="play-icon" aria-hidden="true">▶</span>
+                <span class="platform-label">${platform.label}</span>
+            </div>
+        </div>
+        <div class="video-info">
+            <h4 class="video-title">${escapeHtml(video.title)}</h4>
+${description ? indent(description, 12) + '\n' : ''}            <p class="video-duration"><span data-i18n="videos.duration">Duration</span>: ${escapeHtml(video.duration)}</p>
+        </div>
+        <a href="${escapeAttribute(video.url)}"
+           class="video-link"
+           target="_blank"
+           rel="noopener noreferrer"
+           aria-label="${platform.watchLabel}"
+           data-i18n-attr="aria-label:${platform.watchLabelKey}">
+            <span data-i18n="${platform.watchKey}">${platform.watchText}</span>
+        </a>
+    </div>
+</article>`;
+}
+
+function renderVideos(context, videos, platform) {
+    return videos
+        .filter(video => video.platform === platform)
+        .map(video => renderVideoCard(context, video))
+        .join('\n\n');
+}
+
+function renderLatestGame(context, game) {
+    const alt = game.imageAlt
+        ? `alt="${escapeAttribute(game.imageAlt.en)}"\n         data-i18n-attr="alt:${addText(context, 'latest.imageAlt', game.imageAlt)}"`
+        : 'alt=""';
+    const paragraphs = game.description
+        .map((text, index) => `<p data-i18n="${addText(context, `latest.description${index + 1}`, text)}">${escapeHtml(text.en)}</p>`)
+        .join('\n');
+    const features = game.features
+        .map((text, index) => `<li class="feature-item" data-i18n="${addText(context, `latest.feature${index + 1}`, text)}">${escapeHtml(text.en)}</li>`)
+        .join('\n');
+
+    return `<div class="latest-game-visual">
+    <img src="${escapeAttribute(game.image)}"
+         ${alt}
+         class="latest-game-image"
+         data-sizes="(max-width: 1024px) 100vw, 700px"
+         loading="lazy">
+</div>
+
+<div class="latest-game-text">
+    <h3 class="latest-game-title">"${escapeHtml(game.title)}"</h3>
+    <div class="latest-game-description">
+${indent(paragraphs, 8)}
+    </div>
+${features ? `
+    <div class="latest-game-features">
+        <h4 class="features-title" data-i18n="latest.features">Key Features</h4>
+        <ul class="features-list" role="list">
+${indent(features, 12)}
+        </ul>
+    </div>
+` : ''}
+    <div class="latest-game-cta">
+        <a href="#gallery" class="btn btn-primary" data-i18n="latest.viewPortfolio">View Portfolio</a>
+        <a href="#contact" class="btn btn-outline" data-i18n="latest.contact">Contact</a>
+    </div>
+</div>`;
+}
+
+/**
+ * Demo para data/portfolio.json: las acciones de la leyenda van a content-i18n.js
+ */
+function renderDemo(context, demo) {
+    return {
+        ...demo,
+        controls: demo.controls.map((control, index) => ({
+            keys: control.keys,
+            label: addText(context, `latest.demoControl${index + 1}`, control.action)
+        }))
+    };
+}
+
+function renderAbout(context, about) {
+    const alt = about.imageAlt
+        ? `alt="${escapeAttribute(about.imageAlt.en)}"\n         data-i18n-attr="alt:${addText(context, 'about.imageAlt', about.imageAlt)}"`
+        : 'alt=""';
+    const intro = about.intro
+        .map((text, index) => `<p class="intro-paragraph" data-i18n="${addText(context, `about.intro${index + 1}`, text)}">${escapeHtml(text.en)}</p>`)
+        .join('\n');
+    const specialties = about.specialties
+        .map((text, index) => `<li class="skill-item" data-i18n="${addText(context, `about.skill${index + 1}`, text)}">${escapeHtml(text.en)}</li>`)
+        .join('\n');
+    const tools = about.tools
+        .map(({ group, items }) => [
+            group ? `<!-- ${escapeComment(group)} -->` : '',
+            ...items.map(tool => `<li class="tool-item">${escapeHtml(tool)}</li>`)
+        ].filter(Boolean).join('\n'))
+        .join('\n\n');
+
+    const sections = [`<div class="about-intro">
+${indent(intro, 4)}
+</div>`];
+
+    if (specialties) {
+        sections.push(`<div class="about-skills">
+    <h3 class="skills-title" data-i18n="about.specialties">Specialties</h3>
+    <ul class="skills-list" role="list">
+${indent(specialties, 8)}
+    </ul>
+</div>`);
+    }
+
+    if (tools) {
+        sections.push(`<div class="about-tools">
+    <h3 class="tools-title" data-i18n="about.tools">Tools</h3>
+    <ul class="tools-list" role="list">
+${indent(tools, 8)}
+    </ul>
+</div>`);
+    }
+
+    if (about.resume) {
+        sections.push(`<div class="about-cta">
+    <a href="${escapeAttribute(about.resume)}"
+       class="btn btn-outline"
+       download
+       aria-label="Download resume PDF"
+       data-i18n-attr="aria-label:about.resumeLabel">
+        <span data-i18n="about.resume">Download resume</span>
+    </a>
+</div>`);
+    }
+
+    return `<div class="about-image-wrapper">
+    <img src="${escapeAttribute(about.image)}"
+         ${alt}
+         class="about-image"
+         data-sizes="(max-width: 1024px) 100vw, 470px"
+         loading="lazy">
+</div>
+
+<div class="about-text">
+${indent(sections.join('\n\n'), 4)}
+</div>`;
+}
+
+/**
+ * ============================================
+ * SEO: DATOS ESTRUCTURADOS, SITEMAP Y PÁGINAS PARA COMPARTIR
+ * ============================================
+ * Las redes (LinkedIn, X…) no ejecutan JS: cada obra tiene su propia
+ * página estática con su og:image, que lleva al lightbox de la obra.
+ */
+
+/**
+ * Ruta del sitio → dirección pública completa (lo que piden Open Graph y JSON-LD)
+ */
+function absoluteUrl(site, src) {
+    return new URL(encodeURI(src), site.url).href;
+}
+
+function sharePath(id) {
+    return `${OUTPUTS.shareDir}/${id}/index.html`;
+}
+
+function shareUrl(site, id) {
+    return `${site.url}${OUTPUTS.shareDir}/${id}/`;
+}
+
+/**
+ * "1:02:03" / "0:04" → duración ISO 8601 ("PT1H2M3S" / "PT4S")
+ */
+function isoDuration(duration) {
+    const [seconds = 0, minutes = 0, hours = 0] = duration.split(':').map(Number).reverse();
+    const parts = [[hours, 'H'], [minutes, 'M'], [seconds, 'S']]
+        .filter(([value]) => value > 0)
+        .map(([value, unit]) => `${value}${unit}`);
+    return `PT${parts.join('') || '0S'}`;
+}
+
+/**
+ * <script type="application/ld+json"> sin que un "</" del contenido lo cierre
+ */
+function renderJsonLd(data) {
+    const json = JSON.stringify(data, null, 4).replace(/<\//g, '<\\/');
+    return `<script type="application/ld+json">\n${indent(json, 4)}\n</script>`;
+}
+
+/**
+ * og:* y twitter:* de una página
+ */
+function renderShareMeta({ type, url, title, description, image, imageAlt }) {
+    return [
+        `<meta property="og:type" content="${type}">`,
+        `<meta property="og:url" content="${escapeAttribute(url)}">`,
+        `<meta property="og:title" content="${escapeAttribute(title)}">`,
+        `<meta property="og:description" content="${escapeAttribute(description)}">`,
+        `<meta property="og:image" content="${escapeAttribute(image)}">`,
+        `<meta property="og:image:alt" content="${escapeAttribute(imageAlt)}">`,
+        '',
+        '<meta name="twitter:card" content="summary_large_image">',
+        `<meta name="twitter:title" content="${escapeAttribute(title)}">`,
+        `<meta name="twitter:description" content="${escapeAttribute(description)}">`,
+        `<meta name="twitter:image" content="${escapeAttribute(image)}">`
+    ].join('\n');
+}
+
+function renderPerson(site, about) {
+    return {
+        '@type': 'Person',
+        '@id': `${site.url}#person`,
+        name: site.name,
+        url: site.url,
+        ...(site.jobTitle && { jobTitle: site.jobTitle }),
+        ...(about && { image: absoluteUrl(site, about.image) }),
+        ...(site.profiles.length > 0 && { sameAs: site.profiles })
+    };
+}
+
+function renderArtwork(site, item) {
+    return {
+        '@type': 'VisualArtwork',
+        '@id': `${shareUrl(site, item.id)}#artwork`,
+        name: item.title,
+        url: shareUrl(site, item.id),
+        image: absoluteUrl(site, item.image),
+        thumbnailUrl: absoluteUrl(site, item.thumbnail),
+        ...(item.description && { description: item.description }),
+        ...(item.year && { dateCreated: String(item.year) }),
+        ...(item.tags.length > 0 && { keywords: item.tags.join(', ') }),
+        creator: { '@id': `${site.url}#person` }
+    };
+}
+
+function renderVideoObject(site, video) {
+    return {
+        '@type': 'VideoObject',
+        name: video.title,
+        ...(video.description && { description: video.description.en }),
+        thumbnailUrl: absoluteUrl(site, video.thumbnail),
+        url: video.url,
+        duration: isoDuration(video.duration),
+        creator: { '@id': `${site.url}#person` }
+    };
+}
+
+/**
+ * Zona "seo" del <head> de index.html: la portada al compartirla y todo el
+ * portfolio como datos estructurados
+ */
+function renderSeo(site, about, items, videos) {
+    const meta = renderShareMeta({
+        type: 'website',
+        url: site.url,
+        title: site.title,
+        description: site.description,
+        image: absoluteUrl(site, site.image),
+        imageAlt: site.title
+    });
+
+    return `<link rel="canonical" href="${escapeAttribute(site.url)}">
+${meta}
+
+${renderJsonLd({
+        '@context': 'https://schema.org',
+        '@graph': [
+            renderPerson(site, about),
+            ...items.map(item => renderArtwork(site, item)),
+            ...videos.map(video => renderVideoObject(site, video))
+        ]
+    })}`;
+}
+
+/**
+ * Página para compartir una obra: sus metadatos y, al abrirla, el lightbox
+ * (?work=<id>). Sin JS queda el enlace.
+ */
+function renderSharePage(site, item) {
+    const title = `${item.title} – ${site.name}`;
+    const description = item.description || site.description;
+    const target = `../../?work=${item.id}#gallery`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <!-- Generado por npm run build:content a partir de content/: no editar -->
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeAttribute(description)}">
+    <link rel="canonical" href="${escapeAttribute(shareUrl(site, item.id))}">
+${indent(renderShareMeta({
+        type: 'article',
+        url: shareUrl(site, item.id),
+        title,
+        description,
+        image: absoluteUrl(site, item.image),
+        imageAlt: item.title
+    }), 4)}
+
+${indent(renderJsonLd({ '@context': 'https://schema.org', ...renderArtwork(site, item), creator: renderPerson(site, null) }), 4)}
+
+    <script>location.replace(${JSON.stringify(target)});</script>
+</head>
+<body>
+    <p><a href="${escapeAttribute(target)}">${escapeHtml(title)}</a></p>
+</body>
+</html>
+`;
+}
+
+function renderSitemap(site, items) {
+    const urls = [
+        `    <url>\n        <loc>${escapeHtml(site.url)}</loc>\n    </url>`,
+        ...items.map(item => `    <url>
+        <loc>${escapeHtml(shareUrl(site, item.id))}</loc>
+        <image:image>
+            <image:loc>${escapeHtml(absoluteUrl(site, item.image))}</image:loc>
+        </image:image>
+    </url>`)
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Generado por npm run build:content: no editar -->
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * ============================================
+ * SALIDA
+ * ============================================
+ */
+
+/**
+ * Sustituir lo que hay entre <!-- build:content nombre --> y <!-- /build:content nombre -->
+ */
+function replaceRegion(context, html, name, content) {
+    const pattern = new RegExp(`([ \\t]*)<!-- build:content ${name} -->[\\s\\S]*?<!-- /build:content ${name} -->`);
+    const match = html.match(pattern);
+    if (!match) {
+        fail(context, OUTPUTS.html, `falta la zona <!-- build:content ${name} --> … <!-- /build:content ${name} -->`);
+        return html;
+    }
+
+    const [, margin] = match;
+    const body = content.split('\n').map(line => line ? margin + line : line).join('\n');
+    return html.replace(pattern, () => `${margin}<!-- build:content ${name} -->\n${body}\n${margin}<!-- /build:content ${name} -->`);
+}
+
+/**
+ * JSON con 4 espacios, como el resto de data/, y listas cortas en una línea
+ */
+function formatJson(data) {
+    const value = '(?:"(?:[^"\\\\\\n]|\\\\.)*"|-?\\d+(?:\\.\\d+)?|true|false|null)';
+    const inlineArray = new RegExp(`\\[\\n\\s+(${value}(?:,\\n\\s+${value})*)\\n\\s+\\]`, 'g');
+    return `${JSON.stringify(data, null, 4).replace(inlineArray, (match, items) => `[${items.split(/,\n\s+/).join(', ')}]`)}\n`;
+}
+
+function renderDictionaries(dictionaries) {
+    return `/**
+ * ============================================
+ * TEXTOS DEL CONTENIDO (GENERADO)
+ * ============================================
+ * No editar: lo escribe npm run build:content a partir de content/
+ * (about, último juego y videos). I18n los añade a sus diccionarios.
+ * ============================================
+ */
+
+export const CONTENT_DICTIONARIES = ${JSON.stringify(dictionaries, null, 4)};
+`;
+}
+
+/**
+ * Validar content/ y devolver los archivos generados (sin escribirlos)
+ * @returns {{ errors: string[], files: Object<string, string> }}
+ */
+function build(root = ROOT) {
+    const context = createContext(root);
+    const htmlPath = path.join(root, OUTPUTS.html);
+    let html = fs.existsSync(htmlPath) ? fs.readFileSync(htmlPath, 'utf8') : '';
+    if (!html) fail(context, OUTPUTS.html, 'no existe el archivo');
+
+    const items = loadGallery(context, getGalleryCategories(html));
+    const videos = loadVideos(context);
+    const game = loadLatestGame(context);
+    const about = loadAbout(context);
+    const site = loadSite(context);
+
+    if (about) html = replaceRegion(context, html, 'about', renderAbout(context, about));
+    if (game) html = replaceRegion(context, html, 'latest-game', renderLatestGame(context, game));
+    html = replaceRegion(context, html, 'videos-youtube', renderVideos(context, videos, 'youtube'));
+    html = replaceRegion(context, html, 'videos-tiktok', renderVideos(context, videos, 'tiktok'));
+    if (site) html = replaceRegion(context, html, 'seo', renderSeo(site, about, items, videos));
+
+    const portfolio = {
+        items,
+        games: game ? [{
+            id: game.id,
+            title: game.title,
+            description: game.summary,
+            platforms: game.platforms,
+            images: game.screenshots,
+            ...(game.demo && { demo: renderDemo(context, game.demo) })
+        }] : []
+    };
+
+    if (context.errors.length > 0) {
+        return { errors: context.errors, files: {} };
+    }
+
+    return {
+        errors: [],
+        files: {
+            [OUTPUTS.html]: html,
+            [OUTPUTS.portfolio]: formatJson(portfolio),
+            [OUTPUTS.dictionaries]: renderDictionaries(context.dictionaries),
+            [OUTPUTS.sitemap]: renderSitemap(site, items),
+            ...Object.fromEntries(items.map(item => [sharePath(item.id), renderSharePage(site, item)]))
+        }
+    };
+}
+
+/**
+ * Páginas para compartir de obras que ya no existen (se borran al generar)
+ */
+function findStaleSharePages(root, files) {
+    const dir = path.join(root, OUTPUTS.shareDir);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .map(id => sharePath(id))
+        .filter(file => fs.existsSync(path.join(root, file)) && !(file in files));
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const { errors, files } = build(ROOT);
+
+    if (errors.length > 0) {
+        console.error(`❌ ${errors.length} error(es) en content/ (no se ha generado nada):`);
+        errors.forEach(error => console.error(`  ✖ ${error}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    const changed = Object.keys(files).filter(file => {
+        const fullPath = path.join(ROOT, file);
+        return !fs.existsSync(fullPath) || fs.readFileSync(fullPath, 'utf8') !== files[file];
+    });
+    const stale = findStaleSharePages(ROOT, files);
+
+    if (check) {
+        if (changed.length > 0 || stale.length > 0) {
+            console.error(`❌ Contenido válido, pero sin generar: ${[...changed, ...stale].join(', ')} (ejecuta npm run build:content)`);
+            process.exitCode = 1;
+        } else {
+            console.log('✅ Contenido válido y al día');
+        }
+        return;
+    }
+
+    changed.forEach(file => {
+        fs.mkdirSync(path.dirname(path.join(ROOT, file)), { recursive: true });
+        fs.writeFileSync(path.join(ROOT, file), files[file]);
+        console.log(`  ✔ ${file}`);
+    });
+    stale.forEach(file => {
+        fs.rmSync(path.join(ROOT, path.dirname(file)), { recursive: true });
+        console.log(`  ✖ ${file}`);
+    });
+    console.log(changed.length > 0 || stale.length > 0
+        ? '✅ Contenido generado'
+        : '✅ Nada que cambiar: el contenido ya estaba al día');
+}
+
+module.exports = { build };
+
+if (require.main === module) {
+    main();
+}
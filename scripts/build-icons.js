@@ -0,0 +1,67 @@
+/**
+ * ============================================
+ * ICONOS DE LA PWA
+ * ============================================
+ * Genera los iconos que pide manifest.webmanifest (192 y 512 px, normal y
+ * "maskable") a partir de images/icon.png: el glifo centrado sobre el
+ * color de acento de la web.
+ *
+ * Uso:
+ *   npm run build:icons
+ *
+ * Los PNG resultantes (images/icons/) se suben al repositorio: el
+ * manifiesto los referencia directamente.
+ * ============================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE = path.join(ROOT, 'images', 'icon.png');
+const OUTPUT_DIR = path.join(ROOT, 'images', 'icons');
+
+const BACKGROUND = '#FF6B6B'; // --accent-primary en css/styles.css
+const SIZES = [192, 512];
+
+// Proporción del glifo respecto al icono (maskable necesita más margen: zona segura del 80%)
+const VARIANTS = {
+    any: 0.7,
+    maskable: 0.55
+};
+
+async function buildIcon(size, purpose, ratio) {
+    const glyphSize = Math.round(size * ratio);
+    const glyph = await sharp(SOURCE)
+        .resize(glyphSize, glyphSize, { kernel: 'mitchell', fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .toBuffer();
+
+    const fileName = purpose === 'any' ? `icon-${size}.png` : `icon-${purpose}-${size}.png`;
+
+    await sharp({ create: { width: size, height: size, channels: 4, background: BACKGROUND } })
+        .composite([{ input: glyph, gravity: 'center' }])
+        .png({ compressionLevel: 9 })
+        .toFile(path.join(OUTPUT_DIR, fileName));
+
+    console.log(`  ✔ images/icons/${fileName}`);
+}
+
+async function main() {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    for (const size of SIZES) {
+        for (const [purpose, ratio] of Object.entries(VARIANTS)) {
+            await buildIcon(size, purpose, ratio);
+        }
+    }
+
+    console.log('✅ Iconos generados');
+}
+
+main().catch(error => {
+    console.error('❌ No se pudieron generar los iconos:', error);
+    process.exitCode = 1;
+});
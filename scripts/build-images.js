@@ -0,0 +1,164 @@
+/**
+ * ============================================
+ * PIPELINE DE IMÁGENES RESPONSIVE
+ * ============================================
+ * Genera, para cada imagen de images/, varias anchuras en AVIF, WebP y
+ * el formato original (JPEG/PNG), más un placeholder diminuto (LQIP) en
+ * base64. Escribe data/images.json, que LazyLoad usa para montar
+ * <picture>/srcset y el Lightbox para cargar la variante más grande.
+ *
+ * Uso:
+ *   npm run build:images            (solo regenera lo que ha cambiado)
+ *   npm run build:images -- --force (regenera todo)
+ *
+ * Después de ejecutarlo, sube images/responsive/ y data/images.json junto
+ * con las imágenes nuevas. Sin el manifiesto la web sigue funcionando con
+ * las imágenes originales.
+ * ============================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'images');
+const OUTPUT_DIR = path.join(SOURCE_DIR, 'responsive');
+// Carpetas que no se procesan: la propia salida y los iconos de la PWA (npm run build:icons)
+const SKIP_DIRS = [OUTPUT_DIR, path.join(SOURCE_DIR, 'icons')];
+const MANIFEST_PATH = path.join(ROOT, 'data', 'images.json');
+
+const WIDTHS = [320, 640, 960, 1280, 1920];
+const MAX_WIDTH = 2560;
+const PLACEHOLDER_WIDTH = 24;
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Formatos generados: AVIF y WebP para navegadores modernos + el original como respaldo
+const FORMATS = {
+    'image/avif': { extension: 'avif', options: { quality: 50 } },
+    'image/webp': { extension: 'webp', options: { quality: 75 } }
+};
+const FALLBACK_FORMATS = {
+    jpeg: { type: 'image/jpeg', extension: 'jpg', options: { quality: 80, mozjpeg: true } },
+    png: { type: 'image/png', extension: 'png', options: { compressionLevel: 9 } },
+    webp: { type: 'image/webp', extension: 'webp', options: { quality: 75 } }
+};
+
+const force = process.argv.includes('--force');
+
+/**
+ * Listar las imágenes fuente (sin entrar en SKIP_DIRS)
+ */
+function findImages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return SKIP_DIRS.includes(fullPath) ? [] : findImages(fullPath);
+        }
+        return SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+    });
+}
+
+/**
+ * Ruta relativa a la raíz de la web, con "/" (la misma que usa el HTML)
+ */
+function toUrl(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+/**
+ * ¿Hay que (re)generar el archivo de salida?
+ */
+function isStale(source, output) {
+    if (force || !fs.existsSync(output)) return true;
+    return fs.statSync(output).mtimeMs < fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Anchuras a generar: las estándar menores que el original + el original (con tope)
+ */
+function getWidths(originalWidth) {
+    const largest = Math.min(originalWidth, MAX_WIDTH);
+    return [...WIDTHS.filter(width => width < largest), largest];
+}
+
+/**
+ * Generar las variantes de una imagen y devolver su entrada del manifiesto
+ */
+async function processImage(source) {
+    const metadata = await sharp(source).metadata();
+
+    // Las fotos de cámara pueden venir giradas por EXIF: ancho/alto ya orientados
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const fallback = FALLBACK_FORMATS[metadata.format] || FALLBACK_FORMATS.jpeg;
+    const formats = { ...FORMATS, [fallback.type]: fallback };
+
+    // Misma estructura de carpetas que images/, nombre en minúsculas (illustration-01.JPG → illustration-01-640.jpg)
+    const relative = path.relative(SOURCE_DIR, source);
+    const baseName = path.basename(relative, path.extname(relative)).toLowerCase();
+    const outputDir = path.join(OUTPUT_DIR, path.dirname(relative));
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const widths = getWidths(width);
+    const sources = {};
+
+    for (const [type, format] of Object.entries(formats)) {
+        sources[type] = [];
+
+        for (const variantWidth of widths) {
+            const output = path.join(outputDir, `${baseName}-${variantWidth}.${format.extension}`);
+
+            if (isStale(source, output)) {
+                await sharp(source)
+                    .rotate()
+                    .resize({ width: variantWidth, withoutEnlargement: true })
+                    .toFormat(format.extension === 'jpg' ? 'jpeg' : format.extension, format.options)
+                    .toFile(output);
+            }
+
+            sources[type].push({ src: toUrl(output), width: variantWidth });
+        }
+    }
+
+    // LQIP: miniatura borrosa incrustada en el manifiesto (sin petición extra)
+    const placeholder = await sharp(source)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur(1)
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return {
+        width,
+        height,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+        sources
+    };
+}
+
+async function main() {
+    const images = findImages(SOURCE_DIR).sort();
+    const manifest = { images: {} };
+
+    console.log(`🖼️  Procesando ${images.length} imágenes${force ? ' (--force)' : ''}...`);
+
+    for (const source of images) {
+        try {
+            manifest.images[toUrl(source)] = await processImage(source);
+            console.log(`  ✔ ${toUrl(source)}`);
+        } catch (error) {
+            console.error(`  ❌ ${toUrl(source)}: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 4)}\n`);
+    console.log(`✅ Manifiesto escrito en ${toUrl(MANIFEST_PATH)}`);
+}
+
+main();
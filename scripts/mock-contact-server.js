@@ -0,0 +1,94 @@
+/**
+ * ============================================
+ * SERVIDOR MOCK PARA EL FORMULARIO DE CONTACTO
+ * ============================================
+ * Servidor HTTP local (sin dependencias) para probar los transportes
+ * "json" y "formspree" sin enviar correos reales.
+ *
+ * Uso:
+ *   node scripts/mock-contact-server.js [puerto]
+ *
+ * Variables de entorno:
+ *   MOCK_FAIL_TIMES  Número de peticiones iniciales que responden 503 (prueba reintentos)
+ *   MOCK_DELAY       ms de espera antes de responder (prueba timeouts)
+ *   MOCK_STATUS      Código HTTP fijo para todas las respuestas (ej. 422)
+ *
+ * En index.html: data-transport="json" data-endpoint="http://localhost:8787/contact"
+ * ============================================
+ */
+
+'use strict';
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+const FAIL_TIMES = Number(process.env.MOCK_FAIL_TIMES) || 0;
+const DELAY = Number(process.env.MOCK_DELAY) || 0;
+const FIXED_STATUS = Number(process.env.MOCK_STATUS) || 0;
+
+let requestCount = 0;
+
+/**
+ * Interpretar el cuerpo según el Content-Type (JSON o form-encoded)
+ */
+function parseBody(raw, contentType = '') {
+    if (contentType.includes('application/json')) {
+        return JSON.parse(raw || '{}');
+    }
+    return Object.fromEntries(new URLSearchParams(raw));
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    // Preflight CORS del transporte JSON
+    if (req.method === 'OPTIONS') {
+        send(res, 204, {});
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        send(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        requestCount++;
+
+        setTimeout(() => {
+            let data;
+            try {
+                data = parseBody(raw, req.headers['content-type']);
+            } catch (error) {
+                send(res, 400, { error: 'Invalid JSON body' });
+                return;
+            }
+
+            console.log(`📨 #${requestCount} ${req.url}`, data);
+
+            if (FIXED_STATUS) {
+                send(res, FIXED_STATUS, { errors: [{ message: `Mock status ${FIXED_STATUS}` }] });
+            } else if (requestCount <= FAIL_TIMES) {
+                send(res, 503, { error: 'Mock temporary failure' });
+            } else if (!data.email || !data.message) {
+                send(res, 422, { errors: [{ message: 'Email and message are required.' }] });
+            } else {
+                send(res, 200, { ok: true });
+            }
+        }, DELAY);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`✅ Mock de contacto escuchando en http://localhost:${PORT}/contact`);
+});
@@ -0,0 +1,248 @@
+/**
+ * ============================================
+ * SERVICE WORKER – PORTFOLIO OFFLINE
+ * ============================================
+ * - Precache: la página, estilos, script, CV e imágenes de la galería
+ *   (las rutas de la galería se leen de data/portfolio.json)
+ * - images/: cache-first (una vez vista, la imagen no vuelve a descargarse)
+ * - HTML y resto de archivos propios: network-first con copia en caché
+ *   (con límite de espera para redes lentas)
+ * - Versionado: al cambiar CACHE_VERSION se borran las cachés anteriores
+ *
+ * 🔹 PERSONALIZAR: sube CACHE_VERSION cada vez que publiques cambios en
+ * index.html, css/ o js/ para que los visitantes reciban la versión nueva.
+ * ============================================
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v2';
+const PRECACHE = `portfolio-precache-${CACHE_VERSION}`;
+const RUNTIME = `portfolio-runtime-${CACHE_VERSION}`;
+
+// Wi-Fi lenta: pasado este tiempo sin respuesta se usa la copia en caché
+const NETWORK_TIMEOUT = 4000;
+
+const CORE_ASSETS = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'css/print.css',
+    'js/main.js',
+    // Módulos que importa js/main.js (uno por archivo en js/modules/)
+    'js/modules/config.js',
+    'js/modules/utils.js',
+    'js/modules/motion.js',
+    'js/modules/content-i18n.js',
+    'js/modules/i18n.js',
+    'js/modules/theme.js',
+    'js/modules/portfolio.js',
+    'js/modules/router.js',
+    'js/modules/scroll-reveal.js',
+    'js/modules/lazy-load.js',
+    'js/modules/lightbox.js',
+    'js/modules/sprite-player.js',
+    'js/modules/game-demo.js',
+    'js/modules/latest-game.js',
+    'js/modules/video-player.js',
+    'js/modules/offline-support.js',
+    'js/modules/analytics.js',
+    'js/modules/mobile-menu.js',
+    'js/modules/navigation.js',
+    'js/modules/gallery-layout.js',
+    'js/modules/gallery-keyboard.js',
+    'js/modules/gallery-filters.js',
+    'js/modules/form-validation.js',
+    'js/modules/contact-form.js',
+    'js/modules/utilities.js',
+    'js/modules/kiosk.js',
+    'js/modules/shortlist.js',
+    'js/modules/app.js',
+    'data/portfolio.json',
+    'assets/resume.pdf',
+    'manifest.webmanifest',
+    'images/icon.png',
+    'images/icons/icon-192.png'
+];
+
+// Opcionales: si no existen (p. ej. sin npm run build:images) no bloquean la instalación
+const OPTIONAL_ASSETS = [
+    'data/images.json'
+];
+
+/**
+ * Rutas de imágenes de la galería y de los juegos según el manifiesto
+ */
+async function getGalleryImages() {
+    const response = await fetch('data/portfolio.json', { cache: 'no-cache' });
+    const manifest = await response.json();
+    const items = Array.isArray(manifest) ? manifest : manifest.items || [];
+    const games = Array.isArray(manifest.games) ? manifest.games : [];
+
+    const paths = new Set();
+    items.forEach(item => {
+        if (item.image) paths.add(item.image);
+        if (item.thumbnail) paths.add(item.thumbnail);
+        (item.stages || []).forEach(stage => {
+            const src = typeof stage === 'string' ? stage : stage.image || stage.src;
+            if (src) paths.add(src);
+        });
+    });
+    games.forEach(game => {
+        (game.images || []).forEach(image => paths.add(typeof image === 'string' ? image : image.src));
+    });
+
+    return Array.from(paths);
+}
+
+/**
+ * Añadir a la caché sin que un archivo que falte tumbe la instalación
+ */
+async function addEach(cache, urls) {
+    const results = await Promise.allSettled(urls.map(url => cache.add(url)));
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.warn(`⚠️ SW: no se pudo precachear ${urls[index]}`);
+        }
+    });
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE);
+
+        // Lo esencial tiene que estar: si falla, la instalación falla y se reintenta
+        await cache.addAll(CORE_ASSETS);
+        await addEach(cache, OPTIONAL_ASSETS);
+
+        // Las imágenes de la galería van a la caché de imágenes (cache-first)
+        try {
+            const images = await getGalleryImages();
+            await addEach(await caches.open(RUNTIME), images);
+        } catch (error) {
+            console.warn('⚠️ SW: no se pudo leer el manifiesto de la galería', error);
+        }
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Borrar las cachés de versiones anteriores
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('portfolio-') && key !== PRECACHE && key !== RUNTIME)
+            .map(key => caches.delete(key)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Solo GET del propio sitio (YouTube, TikTok, fuentes, Formspree... van directos a la red)
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, { fallback: 'index.html' }));
+    } else if (url.pathname.includes('/images/')) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Imágenes: caché primero; si no está, red y se guarda
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Sin red: una variante responsive que no se vio antes se sirve con el original
+        const original = await findOriginal(request.url);
+        if (original) return original;
+        throw error;
+    }
+}
+
+/**
+ * HTML, CSS, JS y datos: red primero (contenido al día) y caché si no hay red
+ */
+async function networkFirst(request, options = {}) {
+    const network = fetch(request).then(async response => {
+        if (response.ok) {
+            const cache = await caches.open(PRECACHE);
+            // ?work=… y ?filter=… son la misma página
+            const key = request.mode === 'navigate' ? stripSearch(request.url) : request;
+            await cache.put(key, response.clone());
+        }
+        return response;
+    });
+    // Si ya se respondió desde caché, un fallo posterior de la red no importa
+    network.catch(() => {});
+
+    try {
+        return await withTimeout(network, NETWORK_TIMEOUT);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+
+        if (options.fallback) {
+            const fallback = await caches.match(options.fallback);
+            if (fallback) return fallback;
+        }
+
+        // Sin copia: seguir esperando a la red (o devolver su error)
+        return network;
+    }
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('timeout')), ms);
+        promise.then(
+            value => { clearTimeout(timer); resolve(value); },
+            error => { clearTimeout(timer); reject(error); }
+        );
+    });
+}
+
+function stripSearch(href) {
+    const url = new URL(href);
+    url.search = '';
+    url.hash = '';
+    return url.href;
+}
+
+/**
+ * Buscar en data/images.json la imagen original de una variante
+ * (images/responsive/…-640.webp → images/portfolio/….jpg)
+ */
+async function findOriginal(href) {
+    const manifestResponse = await caches.match('data/images.json');
+    if (!manifestResponse) return null;
+
+    const { images = {} } = await manifestResponse.json();
+    const path = new URL(href).pathname;
+
+    for (const [original, entry] of Object.entries(images)) {
+        const isVariant = Object.values(entry.sources).some(variants =>
+            variants.some(variant => path.endsWith(`/${variant.src}`)));
+        if (isVariant) {
+            return caches.match(original);
+        }
+    }
+    return null;
+}
@@ -0,0 +1,220 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { setupDom, ROOT } from './helpers/dom.mjs';
+
+const { build } = createRequire(import.meta.url)('../scripts/build-content.js');
+
+/**
+ * Sitio mínimo en una carpeta temporal: index.html con las zonas y content/
+ */
+function createSite(files) {
+    const root = mkdtempSync(path.join(tmpdir(), 'build-content-'));
+    const all = {
+        'index.html': `<!-- build:content seo --><!-- /build:content seo -->
+<div data-gallery-category="illustration"></div>
+<!-- build:content about --><!-- /build:content about -->
+<!-- build:content latest-game --><!-- /build:content latest-game -->
+<!-- build:content videos-youtube --><!-- /build:content videos-youtube -->
+<!-- build:content videos-tiktok --><!-- /build:content videos-tiktok -->`,
+        'images/cave.jpg': '',
+        'images/me.jpg': '',
+        'content/gallery/01-cave.md': '---\ntitle: Cave\ncategory: illustration\nyear: 2024\nimage: images/cave.jpg\ntags: [Environment]\n---\nA cave.\n',
+        'content/videos/01-pig.yml': 'platform: youtube\ntitle: Pig\nurl: https://youtu.be/x\nthumbnail: images/cave.jpg\nduration: "0:04"\ndescription:\n  en: Piggy banks.\n  es: Alcancías.\n',
+        'content/latest-game.md': '---\ntitle: Game\nsummary: A game.\nimage: images/cave.jpg\nimageAlt: Game\n---\nFirst.\n\nSecond.\n',
+        'content/about.md': '---\nimage: images/me.jpg\nimageAlt:\n  en: Me\n  es: Yo\n---\nHello.\n\n<!-- es -->\n\nHola.\n',
+        'content/site.yml': 'url: https://me.github.io/site\ntitle: Me\ndescription: My portfolio.\nimage: images/me.jpg\nname: Me\nprofiles: [https://github.com/me]\n',
+        ...files
+    };
+
+    Object.entries(all).forEach(([file, content]) => {
+        mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        writeFileSync(path.join(root, file), content);
+    });
+    return root;
+}
+
+function buildSite(files) {
+    const root = createSite(files);
+    try {
+        return build(root);
+    } finally {
+        rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('el contenido del repositorio es válido y lo generado está al día', () => {
+    const { errors, files } = build(ROOT);
+
+    assert.deepEqual(errors, []);
+    Object.entries(files).forEach(([file, content]) => {
+        assert.equal(readFileSync(path.join(ROOT, file), 'utf8'), content, `${file} no está al día: npm run build:content`);
+    });
+});
+
+test('genera las secciones con las clases del HTML y los textos por idioma', () => {
+    const { errors, files } = buildSite();
+    assert.deepEqual(errors, []);
+
+    const html = files['index.html'];
+    assert.match(html, /<article class="video-card youtube-card" role="listitem">/);
+    assert.match(html, /<p class="video-description" data-i18n="videos\.pig\.description">Piggy banks\.<\/p>/);
+    assert.match(html, /<p data-i18n="latest\.description2">Second\.<\/p>/);
+    assert.match(html, /<p class="intro-paragraph" data-i18n="about\.intro1">Hello\.<\/p>/);
+    assert.doesNotMatch(html, /tiktok-card/);
+
+    const portfolio = JSON.parse(files['data/portfolio.json']);
+    assert.equal(portfolio.items[0].id, 'cave');
+    assert.equal(portfolio.items[0].thumbnail, 'images/cave.jpg');
+    assert.deepEqual(portfolio.games[0].images, ['images/cave.jpg']);
+
+    assert.match(files['js/modules/content-i18n.js'], /"about\.intro1": "Hola\."/);
+});
+
+test('la descripción de la obra y el alt del video por defecto también se traducen', () => {
+    const { errors, files } = buildSite({
+        'content/gallery/01-cave.md': '---\ntitle: Cave\ncategory: illustration\nimage: images/cave.jpg\n---\nA cave.\n\n<!-- es -->\n\nUna cueva.\n'
+    });
+    assert.deepEqual(errors, []);
+
+    // En el manifiesto queda el inglés (páginas para compartir); el resto, en content-i18n.js
+    const [cave] = JSON.parse(files['data/portfolio.json']).items;
+    assert.equal(cave.description, 'A cave.');
+    assert.equal(cave.descriptionKey, 'gallery.cave.description');
+
+    const texts = files['js/modules/content-i18n.js'];
+    assert.match(texts, /"gallery\.cave\.description": "Una cueva\."/);
+    assert.match(texts, /"videos\.pig\.alt": "Vista previa del video: Pig"/);
+    assert.match(files['index.html'], /alt="Video preview: Pig"\s+data-i18n-attr="alt:videos\.pig\.alt"/);
+});
+
+test('imágenes que no existen y campos obligatorios: errores claros y nada generado', () => {
+    const { errors, files } = buildSite({
+        'content/gallery/02-door.md': '---\ntitle: Door\ncategory: sculpture\nimage: images/door.jpg\n---\n',
+        'content/videos/02-gorilla.yml': 'platform: vimeo\ntitle: Gorilla\nthumbnail: images/gorilla.jpg\nduration: 41\n'
+    });
+
+    assert.deepEqual(files, {});
+    assert.deepEqual(errors, [
+        'content/gallery/02-door.md: category "sculpture" no existe: usa "illustration"',
+        'content/gallery/02-door.md: image: no existe la imagen "images/door.jpg"',
+        'content/videos/02-gorilla.yml: falta el campo obligatorio "url"',
+        'content/videos/02-gorilla.yml: platform "vimeo" no existe: usa "youtube" o "tiktok"',
+        'content/videos/02-gorilla.yml: duration "41" no válida: usa m:ss (entre comillas, p. ej. "2:30")',
+        'content/videos/02-gorilla.yml: thumbnail: no existe la imagen "images/gorilla.jpg"'
+    ]);
+});
+
+test('hojas de sprites: se copian al manifiesto y se validan sus frames', () => {
+    const sprite = 'sprite:\n  frameWidth: 32\n  frameHeight: 32\n  frames: 8\n  fps: 10\n  animations:\n    idle: [0, 3]\n    run: [4, 7]\n';
+    const { errors, files } = buildSite({
+        'content/gallery/01-cave.md': `---\ntitle: Cave\ncategory: illustration\nimage: images/cave.jpg\n${sprite}---\n`
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(JSON.parse(files['data/portfolio.json']).items[0].sprite, {
+        image: 'images/cave.jpg',
+        frameWidth: 32,
+        frameHeight: 32,
+        frames: 8,
+        fps: 10,
+        animations: { idle: [0, 3], run: [4, 7] }
+    });
+
+    const invalid = buildSite({
+        'content/gallery/01-cave.md': '---\ntitle: Cave\ncategory: illustration\nimage: images/cave.jpg\nsprite:\n  image: images/knight.png\n  frameWidth: 0\n  frameHeight: 32\n  frames: 4\n  animations:\n    run: [2, 6]\n    jump: [3]\n---\n'
+    });
+    assert.deepEqual(invalid.errors, [
+        'content/gallery/01-cave.md: sprite.image: no existe la imagen "images/knight.png"',
+        'content/gallery/01-cave.md: sprite.frameWidth: tiene que ser un número de píxeles (p. ej. 64), no "0"',
+        'content/gallery/01-cave.md: sprite.animations.run: el frame 6 no existe (la hoja tiene 4, del 0 al 3)',
+        'content/gallery/01-cave.md: sprite.animations.jump: tiene que ser [primer frame, último frame] (p. ej. [0, 5])'
+    ]);
+});
+
+test('SEO: tarjeta de la portada, JSON-LD, sitemap y una página por obra', () => {
+    const { errors, files } = buildSite();
+    assert.deepEqual(errors, []);
+
+    const html = files['index.html'];
+    assert.match(html, /<meta property="og:image" content="https:\/\/me\.github\.io\/site\/images\/me\.jpg">/);
+    const graph = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1])['@graph'];
+    assert.deepEqual(graph.map(node => node['@type']), ['Person', 'VisualArtwork', 'VideoObject']);
+    assert.deepEqual(graph[0].sameAs, ['https://github.com/me']);
+    assert.equal(graph[1].url, 'https://me.github.io/site/work/cave/');
+    assert.equal(graph[1].dateCreated, '2024');
+    assert.equal(graph[2].duration, 'PT4S');
+    assert.equal(graph[2].thumbnailUrl, 'https://me.github.io/site/images/cave.jpg');
+
+    // La obra se comparte con su propia imagen y lleva a su lightbox
+    const page = files['work/cave/index.html'];
+    assert.match(page, /<meta property="og:title" content="Cave – Me">/);
+    assert.match(page, /<meta property="og:description" content="A cave\.">/);
+    assert.match(page, /<meta property="og:image" content="https:\/\/me\.github\.io\/site\/images\/cave\.jpg">/);
+    assert.match(page, /location\.replace\("\.\.\/\.\.\/\?work=cave#gallery"\)/);
+
+    assert.match(files['sitemap.xml'], /<loc>https:\/\/me\.github\.io\/site\/work\/cave\/<\/loc>/);
+
+    const invalid = buildSite({
+        'content/site.yml': 'url: me.github.io\ntitle: Me\ndescription: My portfolio.\nimage: images/og.jpg\nprofiles: [github.com/me]\n'
+    });
+    assert.deepEqual(invalid.errors, [
+        'content/site.yml: falta el campo obligatorio "name"',
+        'content/site.yml: url tiene que ser la dirección completa de la web (https://…), no "me.github.io"',
+        'content/site.yml: image: no existe la imagen "images/og.jpg"',
+        'content/site.yml: profiles[1] tiene que ser un enlace completo (https://…), no "github.com/me"'
+    ]);
+});
+
+test('el español tiene que tener los mismos párrafos que el inglés', () => {
+    const { errors } = buildSite({
+        'content/about.md': '---\nimage: images/me.jpg\nimageAlt: Me\n---\nOne.\n\nTwo.\n\n<!-- es -->\n\nUno.\n'
+    });
+
+    assert.deepEqual(errors, ['content/about.md: el texto en español tiene 1 párrafo(s) y el inglés 2: tienen que coincidir']);
+});
+
+test('los textos generados se traducen al cambiar de idioma', async () => {
+    const { document } = setupDom();
+    const { I18n } = await import('../js/modules/i18n.js');
+
+    I18n.apply('es', { persist: false });
+    assert.match(document.querySelector('.intro-paragraph').textContent, /^Soy desarrollador/);
+    assert.equal(document.querySelector('.skill-item').textContent, 'Arte digital');
+
+    I18n.apply('en', { persist: false });
+    assert.equal(document.querySelector('.skill-item').textContent, 'Digital Art');
+});
+
+test('demo jugable: se copia al manifiesto con sus controles traducibles', () => {
+    const demo = 'demo:\n  src: games/demo/index.html\n  width: 1280\n  height: 720\n  trailer: https://youtu.be/x\n  controls:\n    - keys: [W, A, S, D]\n      action:\n        en: Move\n        es: Moverse\n';
+    const { errors, files } = buildSite({
+        'games/demo/index.html': '',
+        'content/latest-game.md': `---\ntitle: Game\nsummary: A game.\nimage: images/cave.jpg\nimageAlt: Game\n${demo}---\nFirst.\n`
+    });
+
+    assert.deepEqual(errors, []);
+    const { controls, ...rest } = JSON.parse(files['data/portfolio.json']).games[0].demo;
+    assert.deepEqual(rest, {
+        src: 'games/demo/index.html',
+        width: 1280,
+        height: 720,
+        trailer: 'https://youtu.be/x',
+        trailerThumbnail: 'images/cave.jpg'
+    });
+    assert.deepEqual(controls[0].keys, ['W', 'A', 'S', 'D']);
+    assert.match(files['js/modules/content-i18n.js'], new RegExp(`"${controls[0].label}": "Moverse"`));
+
+    const invalid = buildSite({
+        'content/latest-game.md': '---\ntitle: Game\nsummary: A game.\nimage: images/cave.jpg\nimageAlt: Game\ndemo:\n  src: games/missing/index.html\n  width: wide\n  trailer: youtu.be/x\n  controls:\n    - action: Move\n---\nFirst.\n'
+    });
+    assert.deepEqual(invalid.errors, [
+        'content/latest-game.md: demo.src: no existe el archivo "games/missing/index.html"',
+        'content/latest-game.md: demo.width: tiene que ser un número de píxeles (p. ej. 1280), no "wide"',
+        'content/latest-game.md: demo.trailer tiene que ser un enlace completo (https://…), no "youtu.be/x"',
+        'content/latest-game.md: demo.controls[1]: falta "keys" (p. ej. [W, A, S, D])'
+    ]);
+});
@@ -0,0 +1,185 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, wait } from './helpers/dom.mjs';
+
+const { window, document } = setupDom();
+const { I18n } = await import('../js/modules/i18n.js');
+const { FormValidation, ValidationRules } = await import('../js/modules/form-validation.js');
+const { ContactForm } = await import('../js/modules/contact-form.js');
+
+I18n.init();
+FormValidation.init();
+
+const form = document.querySelector('.contact-form');
+const field = (id) => document.getElementById(id);
+const errorOf = (id) => document.getElementById(`${id}-error`).textContent;
+
+/**
+ * Escribir en un campo como el usuario (input + blur)
+ */
+function fill(id, value) {
+    const input = field(id);
+    input.value = value;
+    input.dispatchEvent(new window.Event('input'));
+    input.dispatchEvent(new window.Event('blur'));
+}
+
+function fillValid() {
+    fill('name', 'Ada Lovelace');
+    fill('email', 'ada@example.com');
+    fill('subject', 'Commission');
+    fill('message', 'A character illustration for my game, please.');
+}
+
+beforeEach(() => {
+    form.reset();
+    FormValidation.fields.forEach(input => FormValidation.validateField(input));
+    form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    I18n.apply('en', { persist: false });
+});
+
+test('required: un campo obligatorio vacío muestra el error al salir', () => {
+    fill('name', '   ');
+    assert.equal(errorOf('name'), 'This field is required');
+    assert.equal(field('name').getAttribute('aria-invalid'), 'true');
+    assert.ok(field('name').classList.contains('error'));
+});
+
+test('email: rechaza direcciones sin dominio', () => {
+    fill('email', 'ada@example');
+    assert.equal(errorOf('email'), 'Please enter a valid email');
+
+    fill('email', 'ada@example.com');
+    assert.equal(errorOf('email'), '');
+    assert.equal(field('email').getAttribute('aria-invalid'), 'false');
+});
+
+test('minlength / maxlength: el mensaje incluye el límite', () => {
+    fill('name', 'A');
+    assert.equal(errorOf('name'), 'Please use at least 2 characters');
+
+    fill('subject', 'x'.repeat(121));
+    assert.equal(errorOf('subject'), 'Please use no more than 120 characters');
+});
+
+test('min / max / gte: rango de presupuesto con mensaje propio del campo', () => {
+    fill('budget-min', '-5');
+    assert.equal(errorOf('budget-min'), 'The minimum is 0');
+
+    fill('budget-min', '500');
+    fill('budget-max', '100');
+    assert.equal(errorOf('budget-max'), 'The maximum budget must be at least the minimum budget');
+
+    fill('budget-max', '900');
+    assert.equal(errorOf('budget-max'), '');
+});
+
+test('los campos opcionales vacíos no se validan', () => {
+    fill('budget-min', '');
+    assert.equal(errorOf('budget-min'), '');
+    assert.equal(FormValidation.getError(field('reference')), null);
+});
+
+test('maxsize y filetype: adjuntos demasiado grandes o de otro tipo', () => {
+    const input = field('reference');
+    const setFiles = (files) => Object.defineProperty(input, 'files', { configurable: true, value: files });
+
+    setFiles([new window.File(['x'.repeat(10)], 'sketch.gif', { type: 'image/gif' })]);
+    assert.match(FormValidation.getError(input), /^Allowed file types: /);
+
+    const big = new window.File(['x'], 'sketch.png', { type: 'image/png' });
+    Object.defineProperty(big, 'size', { value: 6 * 1024 * 1024 });
+    setFiles([big]);
+    assert.equal(FormValidation.getError(input), 'The file must be smaller than 5 MB');
+
+    setFiles([new window.File(['x'], 'sketch.png', { type: 'image/png' })]);
+    assert.equal(FormValidation.getError(input), null);
+});
+
+test('pattern y match: reglas declarativas con data-*', () => {
+    const local = document.createElement('form');
+    local.innerHTML = `
+        <input name="code" data-pattern="[A-Z]{3}-\\d{2}">
+        <input name="password" value="secret">
+        <input name="confirm" data-match="password">`;
+    const [code, , confirm] = local.elements;
+
+    code.value = 'abc-12';
+    assert.equal(FormValidation.getError(code), 'Please match the requested format');
+    code.value = 'ABC-12';
+    assert.equal(FormValidation.getError(code), null);
+
+    confirm.value = 'secreto';
+    assert.equal(ValidationRules.match.validate(confirm, 'password', local), false);
+    assert.equal(FormValidation.getError(confirm), 'This field does not match');
+});
+
+test('registerRule añade reglas propias con sus mensajes', () => {
+    FormValidation.registerRule('even', {
+        param: input => input.dataset.even ? true : null,
+        validate: input => Number(input.value) % 2 === 0
+    }, { en: 'Must be even', es: 'Tiene que ser par' });
+
+    const input = document.createElement('input');
+    input.dataset.even = 'true';
+    input.value = '3';
+    assert.equal(FormValidation.getError(input), 'Must be even');
+
+    I18n.apply('es', { persist: false });
+    assert.equal(FormValidation.getError(input), 'Tiene que ser par');
+
+    delete ValidationRules.even;
+    assert.throws(() => FormValidation.registerRule('broken', {}), TypeError);
+});
+
+test('los mensajes visibles cambian con el idioma', () => {
+    fill('name', '');
+    I18n.apply('es', { persist: false });
+    assert.equal(errorOf('name'), 'Este campo es obligatorio');
+});
+
+test('enviar con errores muestra el resumen y no envía', () => {
+    let sent = 0;
+    const original = ContactForm.submit;
+    ContactForm.submit = async () => { sent++; };
+
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    const summary = form.querySelector('.form-error-summary');
+
+    assert.equal(sent, 0);
+    assert.equal(summary.hidden, false);
+    assert.equal(document.activeElement, summary);
+    assert.equal(summary.querySelectorAll('li').length, 4);
+
+    ContactForm.submit = original;
+});
+
+test('enviar un formulario válido llama al transporte y lo vacía', async () => {
+    let sent = 0;
+    const original = ContactForm.submit;
+    ContactForm.submit = async () => { sent++; };
+
+    fillValid();
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait();
+
+    assert.equal(sent, 1);
+    assert.equal(form.querySelector('.form-error-summary').hidden, true);
+    assert.equal(field('name').value, '');
+
+    ContactForm.submit = original;
+});
+
+test('si el idioma cambia durante el envío, el botón vuelve en el nuevo', async () => {
+    const original = ContactForm.submit;
+    ContactForm.submit = async () => {
+        I18n.apply('es', { persist: false });
+    };
+
+    fillValid();
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait();
+
+    assert.equal(form.querySelector('.form-submit').textContent, 'Enviar mensaje');
+    ContactForm.submit = original;
+});
@@ -0,0 +1,126 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, wait, pressKey } from './helpers/dom.mjs';
+
+const { window, document } = setupDom();
+const { init } = await import('../js/modules/app.js');
+const { GalleryFilters } = await import('../js/modules/gallery-filters.js');
+const { Portfolio } = await import('../js/modules/portfolio.js');
+const { I18n } = await import('../js/modules/i18n.js');
+await init();
+
+const visibleIds = () => Array.from(document.querySelectorAll('.gallery-item'))
+    .filter(item => !item.hidden)
+    .map(item => item.dataset.id)
+    .sort();
+const idsWhere = (predicate) => Portfolio.items.filter(predicate).map(entry => entry.id).sort();
+const button = (filter) => document.querySelector(`.filter-btn[data-filter="${filter}"]`);
+const tagButton = (tag) => document.querySelector(`.filter-tag[data-tag="${tag}"]`);
+
+/**
+ * Dos etiquetas que comparten alguna obra pero no todas (para comparar Y / O)
+ */
+function findTagPair() {
+    const tagged = tag => new Set(idsWhere(entry => entry.tags.includes(tag)));
+    for (const a of GalleryFilters.tags) {
+        for (const b of GalleryFilters.tags) {
+            if (a >= b) continue;
+            const both = [...tagged(a)].filter(id => tagged(b).has(id));
+            if (both.length > 0 && both.length < tagged(a).size + tagged(b).size - both.length) return [a, b];
+        }
+    }
+    return null;
+}
+
+beforeEach(() => {
+    GalleryFilters.update(GalleryFilters.getDefaults());
+    I18n.apply('en', { persist: false });
+});
+
+test('al cargar se ven todas las obras', () => {
+    assert.deepEqual(visibleIds(), idsWhere(() => true));
+    assert.equal(document.querySelector('.filter-count').textContent, `${Portfolio.items.length} of ${Portfolio.items.length} works`);
+});
+
+test('la pestaña de categoría oculta el resto y marca el botón', () => {
+    button('thumbnail').click();
+
+    assert.deepEqual(visibleIds(), idsWhere(entry => entry.category === 'thumbnail'));
+    assert.ok(button('thumbnail').classList.contains('active'));
+    assert.equal(button('all').getAttribute('aria-selected'), 'false');
+    assert.equal(new URL(window.location.href).searchParams.get('filter'), 'thumbnail');
+
+    // El bloque de la categoría sin resultados desaparece entero
+    assert.equal(document.getElementById('illustrations-gallery').style.display, 'none');
+});
+
+test('etiquetas: O muestra cualquiera, Y solo las que tienen todas', () => {
+    const pair = findTagPair();
+    assert.ok(pair, 'el manifiesto necesita dos etiquetas que se solapen');
+    const [a, b] = pair;
+
+    tagButton(a).click();
+    tagButton(b).click();
+    assert.equal(tagButton(a).getAttribute('aria-pressed'), 'true');
+    assert.deepEqual(visibleIds(), idsWhere(entry => entry.tags.includes(a) || entry.tags.includes(b)));
+
+    document.querySelector('.filter-mode-btn[data-mode="and"]').click();
+    assert.deepEqual(visibleIds(), idsWhere(entry => entry.tags.includes(a) && entry.tags.includes(b)));
+});
+
+test('la búsqueda ignora mayúsculas y tildes y usa el nombre traducido de la categoría', async () => {
+    I18n.apply('es', { persist: false });
+    const search = document.querySelector('.filter-search');
+    search.value = 'ILUSTRACION';
+    search.dispatchEvent(new window.Event('input'));
+    await wait(400);
+
+    assert.deepEqual(visibleIds(), idsWhere(entry => entry.category === 'illustration'));
+});
+
+test('sin resultados se muestra el estado vacío y su botón lo restablece', () => {
+    GalleryFilters.update({ query: 'zzzz-no-existe' });
+
+    const empty = document.querySelector('.gallery-empty');
+    assert.deepEqual(visibleIds(), []);
+    assert.equal(empty.hidden, false);
+
+    empty.querySelector('.gallery-empty-reset').click();
+    assert.equal(empty.hidden, true);
+    assert.deepEqual(visibleIds(), idsWhere(() => true));
+});
+
+test('las chips de filtros activos se pueden quitar una a una', () => {
+    GalleryFilters.update({ category: 'illustration', query: 'cave' });
+    const chips = () => Array.from(document.querySelectorAll('.filter-chip:not(.filter-chip-clear)'));
+    assert.equal(chips().length, 2);
+
+    chips().find(chip => chip.dataset.type === 'query').click();
+    assert.equal(GalleryFilters.state.query, '');
+    assert.deepEqual(visibleIds(), idsWhere(entry => entry.category === 'illustration'));
+});
+
+test('los cambios de resultados se anuncian a lectores de pantalla', async () => {
+    button('illustration').click();
+    await wait(150);
+
+    const count = idsWhere(entry => entry.category === 'illustration').length;
+    assert.equal(document.querySelector('.sr-announcer').textContent, `${count} of ${Portfolio.items.length} works`);
+});
+
+test('teclado: una sola parada de Tab por grid que sigue a los filtros', () => {
+    const grid = document.querySelector('.illustrations-grid');
+    const stops = () => Array.from(grid.querySelectorAll('.gallery-item')).filter(item => item.tabIndex === 0);
+
+    assert.equal(stops().length, 1);
+    const [first, second] = Array.from(grid.querySelectorAll('.gallery-item'));
+    first.focus();
+    pressKey('ArrowRight');
+    assert.equal(document.activeElement, second);
+    assert.deepEqual(stops(), [second]);
+
+    // Si la parada queda oculta, pasa a la primera obra visible
+    GalleryFilters.update({ query: Portfolio.items.find(entry => entry.id === first.dataset.id).title });
+    assert.ok(second.hidden);
+    assert.deepEqual(stops(), [first]);
+});
@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, pressKey } from './helpers/dom.mjs';
+
+const { window, document, setMedia } = setupDom();
+
+// Manifiesto con una demo jugable en el último juego
+const serve = window.fetch;
+globalThis.fetch = window.fetch = async (input) => {
+    const response = await serve(input);
+    if (!String(input).endsWith('data/portfolio.json')) return response;
+
+    const manifest = await response.json();
+    manifest.games[0].demo = {
+        src: 'games/demo/index.html',
+        width: 1280,
+        height: 720,
+        trailer: 'https://youtu.be/demo',
+        trailerThumbnail: 'images/hero-image.jpg',
+        controls: [
+            { keys: ['W', 'A', 'S', 'D'], label: 'latest.demoControl1' },
+            { keys: ['Space'], label: 'latest.demoControl2' }
+        ]
+    };
+    return new Response(JSON.stringify(manifest), { headers: { 'Content-Type': 'application/json' } });
+};
+
+// jsdom no tiene WebGL: se simula un navegador de escritorio que sí lo tiene
+window.WebGLRenderingContext = function WebGLRenderingContext() {};
+window.HTMLCanvasElement.prototype.getContext = (type) => (type === 'webgl2' ? {} : null);
+
+const { init } = await import('../js/modules/app.js');
+const { GameDemo } = await import('../js/modules/game-demo.js');
+const { Navigation } = await import('../js/modules/navigation.js');
+const { Portfolio } = await import('../js/modules/portfolio.js');
+const { I18n, I18N_DICTIONARIES } = await import('../js/modules/i18n.js');
+
+// Textos de los controles (en el sitio real los genera scripts/build-content.js)
+Object.assign(I18N_DICTIONARIES.en, { 'latest.demoControl1': 'Move', 'latest.demoControl2': 'Jump' });
+await init();
+
+const play = () => document.querySelector('.game-demo-play');
+const player = () => document.querySelector('.game-demo');
+const frame = () => player().querySelector('.game-demo-frame');
+const visual = document.querySelector('.latest-game-visual');
+
+/**
+ * Mensaje del juego al sitio (window.postMessage desde el iframe)
+ */
+function message(data) {
+    window.dispatchEvent(new window.MessageEvent('message', { data, source: frame().contentWindow }));
+}
+
+test('el botón "Play demo" aparece junto a los enlaces del juego, sin cargar nada', () => {
+    assert.equal(play().parentElement, document.querySelector('.latest-game-cta'));
+    assert.match(play().textContent, /Play demo/);
+    assert.equal(play().getAttribute('aria-label'), `Play the ${Portfolio.games[0].title} demo in the browser`);
+    assert.equal(document.querySelector('iframe'), null);
+});
+
+test('al pulsarlo se monta el iframe aislado con su pantalla de carga', () => {
+    play().click();
+
+    assert.ok(player());
+    assert.equal(visual.hidden, true);
+    assert.equal(play().hidden, true);
+    assert.ok(document.documentElement.classList.contains('demo-active'));
+    assert.equal(Navigation.paused, true);
+
+    assert.equal(frame().getAttribute('sandbox'), 'allow-scripts allow-pointer-lock');
+    assert.match(frame().getAttribute('src'), /games\/demo\/index\.html$/);
+    assert.equal(frame().title, `${Portfolio.games[0].title} (playable demo)`);
+    assert.equal(player().querySelector('.game-demo-stage').style.aspectRatio, '1280 / 720');
+
+    const loading = player().querySelector('.game-demo-loading');
+    assert.equal(loading.hidden, false);
+    assert.ok(loading.querySelector('.game-demo-progress').classList.contains('is-indeterminate'));
+});
+
+test('la leyenda de controles se ve mientras carga', () => {
+    const legend = player().querySelector('.game-demo-legend');
+    assert.equal(legend.hidden, false);
+    assert.deepEqual(Array.from(legend.querySelectorAll('dt')).map(term => term.textContent), ['WASD', 'Space']);
+    assert.deepEqual(Array.from(legend.querySelectorAll('dd')).map(item => item.textContent), ['Move', 'Jump']);
+    assert.equal(player().querySelector('.game-demo-controls').getAttribute('aria-expanded'), 'true');
+});
+
+test('el progreso del juego llena la barra y "ready" da paso al juego', () => {
+    // Mensajes de otras ventanas: se ignoran
+    window.dispatchEvent(new window.MessageEvent('message', { data: { type: 'ready' }, source: window }));
+    assert.equal(GameDemo.isReady, false);
+
+    message({ type: 'progress', value: 0.4 });
+    const progress = player().querySelector('.game-demo-progress');
+    assert.equal(progress.getAttribute('aria-valuenow'), '40');
+    assert.equal(progress.classList.contains('is-indeterminate'), false);
+
+    // El iframe ya cargó, pero el juego avisó de su progreso: se espera a "ready"
+    frame().dispatchEvent(new window.Event('load'));
+    assert.equal(GameDemo.isReady, false);
+
+    message({ type: 'ready' });
+    assert.equal(player().querySelector('.game-demo-loading').hidden, true);
+    assert.equal(player().querySelector('.game-demo-legend').hidden, true);
+    assert.equal(document.activeElement, frame());
+});
+
+test('silenciar avisa al juego y se recuerda', () => {
+    const sent = [];
+    frame().contentWindow.postMessage = (data) => sent.push(data);
+
+    const mute = player().querySelector('.game-demo-mute');
+    mute.click();
+    assert.equal(mute.getAttribute('aria-pressed'), 'true');
+    assert.deepEqual(sent, [{ type: 'mute', muted: true }]);
+    assert.equal(window.localStorage.getItem('demo-muted'), 'true');
+});
+
+test('controles y avisos del bloqueo del ratón', () => {
+    const toggle = player().querySelector('.game-demo-controls');
+    toggle.click();
+    assert.equal(player().querySelector('.game-demo-legend').hidden, false);
+    pressKey('Escape');
+    assert.equal(player().querySelector('.game-demo-legend').hidden, true);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+
+    message({ type: 'pointerlock', locked: true });
+    const hint = player().querySelector('.game-demo-hint');
+    assert.equal(hint.hidden, false);
+    assert.equal(hint.textContent, 'Mouse captured by the game. Press Esc to release it');
+
+    I18n.apply('es', { persist: false });
+    assert.equal(hint.textContent, 'El juego ha capturado el ratón. Pulsa Esc para liberarlo');
+    assert.equal(player().querySelector('.game-demo-close [data-i18n]').textContent, 'Dejar de jugar');
+    I18n.apply('en', { persist: false });
+});
+
+test('"Stop playing" quita el iframe y reanuda la página', () => {
+    player().querySelector('.game-demo-close').click();
+
+    assert.equal(player(), null);
+    assert.equal(document.querySelector('iframe'), null);
+    assert.equal(visual.hidden, false);
+    assert.equal(document.documentElement.classList.contains('demo-active'), false);
+    assert.equal(Navigation.paused, false);
+    assert.equal(document.activeElement, play());
+});
+
+test('sin progreso, el "load" del iframe basta; si no carga, se puede reintentar', () => {
+    play().click();
+    // El sonido sigue silenciado en la siguiente partida
+    assert.equal(player().querySelector('.game-demo-mute').getAttribute('aria-pressed'), 'true');
+
+    frame().dispatchEvent(new window.Event('load'));
+    assert.equal(GameDemo.isReady, true);
+    player().querySelector('.game-demo-close').click();
+
+    // Sin "load" ni "ready" antes de loadTimeout: pantalla de error
+    play().click();
+    GameDemo.showError();
+    const error = player().querySelector('.game-demo-error');
+    assert.equal(error.hidden, false);
+    assert.equal(document.activeElement, player().querySelector('.game-demo-retry'));
+
+    const first = frame();
+    player().querySelector('.game-demo-retry').click();
+    assert.notEqual(frame(), first);
+    assert.equal(error.hidden, true);
+
+    player().querySelector('.game-demo-close').click();
+});
+
+test('en móvil o sin WebGL se ofrece el tráiler', () => {
+    setMedia('(max-width: 768px), (pointer: coarse)', true);
+    assert.equal(GameDemo.canPlay(), false);
+    setMedia('(max-width: 768px), (pointer: coarse)', false);
+
+    delete window.WebGLRenderingContext;
+    assert.equal(GameDemo.canPlay(), false);
+
+    GameDemo.renderFallback(document.querySelector('.latest-game-cta'));
+    GameDemo.updateTexts();
+
+    const trailer = document.querySelector('.game-demo-trailer');
+    assert.equal(trailer.href, 'https://youtu.be/demo');
+    assert.equal(trailer.getAttribute('aria-label'), `Watch the ${Portfolio.games[0].title} trailer (opens in a new tab)`);
+    assert.equal(visual.hidden, true);
+    assert.equal(document.querySelector('.game-demo-note').textContent,
+        'The playable demo needs a desktop browser with WebGL.');
+});
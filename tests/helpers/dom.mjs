@@ -0,0 +1,158 @@
+/**
+ * ============================================
+ * ENTORNO DE PRUEBAS (JSDOM)
+ * ============================================
+ * Monta index.html en jsdom y expone window, document, etc. como globales
+ * para que los módulos de js/modules/ funcionen igual que en el navegador.
+ * Sin red: fetch sirve los archivos del repositorio y IntersectionObserver
+ * y matchMedia son simulados (los tests deciden qué entra en pantalla).
+ *
+ * Importar los módulos DESPUÉS de llamar a setupDom() (con import()
+ * dinámico): al evaluarse ya necesitan document.
+ * ============================================
+ */
+
+import { readFile } from 'node:fs/promises';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Globales de Node que jsdom tiene que reemplazar (sus eventos y formularios no se mezclan)
+const OVERRIDES = ['window', 'document', 'navigator', 'Event', 'EventTarget', 'CustomEvent',
+    'AbortController', 'AbortSignal', 'DOMException', 'Blob', 'File', 'FormData', 'MessageEvent'];
+
+/**
+ * IntersectionObserver simulado: nada está visible hasta que el test lo diga
+ */
+export class MockIntersectionObserver {
+    static instances = [];
+
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.options = options;
+        this.elements = new Set();
+        MockIntersectionObserver.instances.push(this);
+    }
+
+    observe(element) { this.elements.add(element); }
+    unobserve(element) { this.elements.delete(element); }
+    disconnect() { this.elements.clear(); }
+    takeRecords() { return []; }
+
+    /**
+     * Simular que un elemento entra (o sale) del viewport en todos los observers
+     */
+    static trigger(element, isIntersecting = true) {
+        MockIntersectionObserver.instances.forEach(observer => {
+            if (!observer.elements.has(element)) return;
+            observer.callback([{ target: element, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 }], observer);
+        });
+    }
+}
+
+/**
+ * matchMedia simulado: setMedia('(prefers-reduced-motion: reduce)', true) cambia
+ * el resultado y avisa a quien escuche "change", como el navegador
+ */
+function createMatchMedia() {
+    const matches = new Map();
+    const lists = [];
+
+    const matchMedia = (query) => {
+        const listeners = new Set();
+        const list = {
+            media: query,
+            get matches() { return Boolean(matches.get(query)); },
+            addEventListener(type, listener) { if (type === 'change') listeners.add(listener); },
+            removeEventListener(type, listener) { listeners.delete(listener); },
+            addListener(listener) { listeners.add(listener); },
+            removeListener(listener) { listeners.delete(listener); },
+            notify() { listeners.forEach(listener => listener({ matches: list.matches, media: query })); }
+        };
+        lists.push(list);
+        return list;
+    };
+
+    const setMedia = (query, value) => {
+        matches.set(query, value);
+        lists.filter(list => list.media === query).forEach(list => list.notify());
+    };
+
+    return { matchMedia, setMedia };
+}
+
+/**
+ * fetch sin red: rutas relativas del propio sitio → archivos del repositorio
+ */
+function createFetch(window) {
+    return async (input) => {
+        const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+        if (url.origin !== window.location.origin) {
+            throw new TypeError(`Sin red en los tests: ${url.href}`);
+        }
+
+        try {
+            const body = await readFile(path.join(ROOT, decodeURIComponent(url.pathname)));
+            const type = url.pathname.endsWith('.json') ? 'application/json' : 'text/plain';
+            return new Response(body, { status: 200, headers: { 'Content-Type': type } });
+        } catch (error) {
+            return new Response('Not found', { status: 404 });
+        }
+    };
+}
+
+/**
+ * Crear la página (index.html por defecto) e instalar sus globales
+ */
+export function setupDom({ url = 'http://localhost/', html } = {}) {
+    const markup = html ?? readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        // Los scripts los importa el propio test
+        .replace(/<script\b[\s\S]*?<\/script>/g, '');
+
+    const dom = new JSDOM(markup, { url, pretendToBeVisual: true });
+    const { window } = dom;
+    const { matchMedia, setMedia } = createMatchMedia();
+
+    window.matchMedia = matchMedia;
+    window.IntersectionObserver = MockIntersectionObserver;
+    window.fetch = createFetch(window);
+    // jsdom no implementa el scroll: sin esto cada scrollTo escribe un error
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    Object.getOwnPropertyNames(window).forEach(key => {
+        if (key in globalThis && !OVERRIDES.includes(key)) return;
+        Object.defineProperty(globalThis, key, {
+            configurable: true,
+            writable: true,
+            value: key === 'window' ? window : window[key]
+        });
+    });
+    ['window', 'document', 'navigator', 'fetch', 'matchMedia', 'IntersectionObserver'].forEach(key => {
+        Object.defineProperty(globalThis, key, { configurable: true, writable: true, value: window[key] });
+    });
+
+    // Los módulos anuncian cada paso por consola: fuera de la salida de los tests
+    console.log = () => {};
+
+    return { dom, window, document: window.document, setMedia };
+}
+
+/**
+ * Esperar a que terminen temporizadores cortos (fundidos, debounce)
+ */
+export function wait(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Pulsar una tecla sobre un elemento (por defecto, el que tiene el foco)
+ */
+export function pressKey(key, target = document.activeElement, options = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
@@ -0,0 +1,215 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, wait, pressKey } from './helpers/dom.mjs';
+
+// ?kiosk=0.1: una diapositiva cada 100 ms
+const { window, document, setMedia } = setupDom({ url: 'http://localhost/?kiosk=0.1&transition=slide' });
+
+// Fullscreen API: el navegador la rechaza sin un gesto del usuario
+let allowFullscreen = false;
+let fullscreenElement = null;
+Object.defineProperty(document, 'fullscreenElement', { configurable: true, get: () => fullscreenElement });
+document.documentElement.requestFullscreen = async () => {
+    if (!allowFullscreen) throw new TypeError('Permissions check failed');
+    fullscreenElement = document.documentElement;
+    document.dispatchEvent(new window.Event('fullscreenchange'));
+};
+document.exitFullscreen = async () => {
+    fullscreenElement = null;
+    document.dispatchEvent(new window.Event('fullscreenchange'));
+};
+
+// Screen Wake Lock API
+const wakeLocks = [];
+Object.defineProperty(window.navigator, 'wakeLock', {
+    configurable: true,
+    value: {
+        async request(type) {
+            const lock = new window.EventTarget();
+            lock.type = type;
+            lock.release = async () => { lock.dispatchEvent(new window.Event('release')); };
+            wakeLocks.push(lock);
+            return lock;
+        }
+    }
+});
+
+// Manifiesto con una demo jugable en el último juego, en un navegador con WebGL
+const serve = window.fetch;
+globalThis.fetch = window.fetch = async (input) => {
+    const response = await serve(input);
+    if (!String(input).endsWith('data/portfolio.json')) return response;
+
+    const manifest = await response.json();
+    manifest.games[0].demo = { src: 'games/demo/index.html', width: 1280, height: 720 };
+    return new Response(JSON.stringify(manifest), { headers: { 'Content-Type': 'application/json' } });
+};
+window.WebGLRenderingContext = function WebGLRenderingContext() {};
+window.HTMLCanvasElement.prototype.getContext = (type) => (type === 'webgl2' ? {} : null);
+
+const { CONFIG } = await import('../js/modules/config.js');
+Object.assign(CONFIG.kiosk, { transitionDuration: 0, touchResume: 50, idleTimeout: 150 });
+
+const { init } = await import('../js/modules/app.js');
+const { Kiosk } = await import('../js/modules/kiosk.js');
+const { Portfolio } = await import('../js/modules/portfolio.js');
+const { GameDemo } = await import('../js/modules/game-demo.js');
+const { Navigation } = await import('../js/modules/navigation.js');
+await init();
+
+const overlay = () => document.querySelector('.kiosk');
+const currentTitle = () => overlay().querySelector('.kiosk-slide.is-current .kiosk-title').textContent;
+
+function pointer(type, target, pointerType) {
+    const event = new window.MouseEvent(type, { bubbles: true });
+    Object.defineProperty(event, 'pointerType', { value: pointerType });
+    target.dispatchEvent(event);
+}
+
+test('?kiosk arranca la presentación sin navegación, con pantalla encendida', () => {
+    assert.ok(overlay());
+    assert.ok(document.documentElement.classList.contains('kiosk-active'));
+    assert.equal(overlay().dataset.transition, 'slide');
+    assert.equal(wakeLocks.length, 1);
+    assert.equal(wakeLocks[0].type, 'screen');
+
+    // Último juego, obras de la galería y videos, en el orden de la página
+    const videos = document.querySelectorAll('.video-card').length;
+    assert.equal(Kiosk.slides.length, 1 + Portfolio.items.length + videos);
+    assert.equal(currentTitle(), Portfolio.games[0].title);
+    assert.equal(Kiosk.slides[1].title, Portfolio.items[0].title);
+    assert.equal(Kiosk.slides.at(-1).subtitle(), 'Video · TikTok');
+
+    // Sin gesto no hay pantalla completa: se avisa
+    assert.equal(overlay().querySelector('.kiosk-hint').hidden, false);
+    assert.equal(document.activeElement, overlay().querySelector('.kiosk-pause'));
+});
+
+test('avanza sola y el contador lo refleja', async () => {
+    await wait(130);
+    assert.equal(Kiosk.index, 1);
+    assert.equal(currentTitle(), Portfolio.items[0].title);
+    assert.equal(overlay().querySelector('.kiosk-counter').textContent, `2 / ${Kiosk.slides.length}`);
+    assert.equal(overlay().querySelectorAll('.kiosk-slide').length, 1);
+});
+
+test('el botón de pausa detiene el avance y lo reanuda', async () => {
+    const button = overlay().querySelector('.kiosk-pause');
+    button.click();
+    const index = Kiosk.index;
+    assert.equal(button.getAttribute('aria-pressed'), 'true');
+    assert.ok(overlay().classList.contains('is-paused'));
+
+    await wait(150);
+    assert.equal(Kiosk.index, index);
+
+    button.click();
+    assert.equal(button.getAttribute('aria-pressed'), 'false');
+    await wait(130);
+    assert.notEqual(Kiosk.index, index);
+});
+
+test('pausa con el ratón sobre la imagen y al tocar', async () => {
+    const image = () => overlay().querySelector('.kiosk-slide.is-current .kiosk-image');
+
+    pointer('pointerover', image(), 'mouse');
+    const index = Kiosk.index;
+    await wait(150);
+    assert.equal(Kiosk.index, index);
+    pointer('pointerout', image(), 'mouse');
+
+    pointer('pointerdown', image(), 'touch');
+    assert.ok(overlay().classList.contains('is-paused'));
+    pointer('pointerup', image(), 'touch');
+    // Sigue pausada un momento después de soltar (touchResume)
+    await wait(30);
+    assert.ok(overlay().classList.contains('is-paused'));
+    await wait(40);
+    assert.equal(overlay().classList.contains('is-paused'), false);
+});
+
+test('flechas para moverse y vuelta al principio', () => {
+    Kiosk.pause('user');
+    Kiosk.show(0);
+
+    pressKey('ArrowLeft');
+    assert.equal(Kiosk.index, Kiosk.slides.length - 1);
+    assert.equal(overlay().dataset.direction, 'back');
+
+    pressKey('ArrowRight');
+    assert.equal(Kiosk.index, 0);
+    assert.equal(overlay().dataset.direction, 'forward');
+    Kiosk.resume('user');
+});
+
+test('Escape sale y, sin actividad, la presentación vuelve sola', async () => {
+    pressKey('Escape');
+    assert.equal(overlay(), null);
+    assert.equal(document.documentElement.classList.contains('kiosk-active'), false);
+
+    // Mover el ratón reinicia la cuenta atrás
+    await wait(100);
+    pointer('pointermove', document.body, 'mouse');
+    await wait(100);
+    assert.equal(overlay(), null);
+
+    await wait(100);
+    assert.ok(overlay());
+    assert.equal(Kiosk.index, 0);
+});
+
+test('el botón de la navegación la abre a pantalla completa y cierra el menú móvil', () => {
+    pressKey('Escape');
+    document.querySelector('.nav-toggle').click();
+    assert.ok(document.querySelector('.nav-menu').classList.contains('active'));
+
+    allowFullscreen = true;
+    const button = document.querySelector('.kiosk-toggle');
+    button.click();
+
+    assert.ok(overlay());
+    assert.equal(document.querySelector('.nav-menu').classList.contains('active'), false);
+    assert.equal(fullscreenElement, document.documentElement);
+
+    overlay().querySelector('.kiosk-exit').click();
+    assert.equal(overlay(), null);
+    assert.equal(document.activeElement, button);
+});
+
+test('?kiosk: mientras se juega la demo no vuelve la presentación; al abrirla, la demo se cierra', async () => {
+    document.querySelector('.game-demo-play').click();
+    const frame = document.querySelector('.game-demo-frame');
+
+    // Nadie toca la página (se juega dentro del iframe) y aun así no vuelve
+    await wait(350);
+    assert.equal(overlay(), null);
+    assert.equal(GameDemo.isPlaying, true);
+
+    // Los mensajes del juego cuentan como actividad
+    const timer = Kiosk.idleTimer;
+    window.dispatchEvent(new window.MessageEvent('message', { data: { type: 'progress', value: 0.5 }, source: frame.contentWindow }));
+    assert.notEqual(Kiosk.idleTimer, timer);
+
+    document.querySelector('.kiosk-toggle').click();
+    assert.ok(overlay());
+    assert.equal(GameDemo.isPlaying, false);
+    assert.equal(document.querySelector('.game-demo-frame'), null);
+    assert.equal(Navigation.paused, false);
+    overlay().querySelector('.kiosk-exit').click();
+});
+
+test('salir de la pantalla completa cierra la presentación; movimiento reducido quita la transición', async () => {
+    document.querySelector('.kiosk-toggle').click();
+    await wait(0);
+    await document.exitFullscreen();
+    assert.equal(overlay(), null);
+
+    setMedia('(prefers-reduced-motion: reduce)', true);
+    Kiosk.start();
+    assert.equal(overlay().dataset.transition, 'none');
+    Kiosk.stop();
+    setMedia('(prefers-reduced-motion: reduce)', false);
+
+    // Que la cuenta atrás de ?kiosk no deje el proceso vivo
+    clearTimeout(Kiosk.idleTimer);
+});
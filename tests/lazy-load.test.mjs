@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, MockIntersectionObserver } from './helpers/dom.mjs';
+
+const { window, document } = setupDom({
+    html: `<!DOCTYPE html><body>
+        <img id="deferred" data-src="images/portfolio/cave.jpg" loading="lazy" alt="">
+        <img id="responsive" src="images/portfolio/door.jpg" loading="lazy" data-sizes="50vw" alt="">
+    </body>`
+});
+const { LazyLoad } = await import('../js/modules/lazy-load.js');
+
+// Manifiesto mínimo, como el que escribe npm run build:images
+LazyLoad.manifest = {
+    'images/portfolio/door.jpg': {
+        width: 1200,
+        height: 800,
+        placeholder: 'data:image/webp;base64,AAAA',
+        sources: {
+            'image/avif': [{ src: 'images/responsive/portfolio/door-640.avif', width: 640 }],
+            'image/webp': [{ src: 'images/responsive/portfolio/door-640.webp', width: 640 }],
+            'image/jpeg': [{ src: 'images/responsive/portfolio/door-640.jpg', width: 640 }]
+        }
+    }
+};
+LazyLoad.init();
+
+test('las imágenes con variantes pasan a <picture> con srcset', () => {
+    const img = document.getElementById('responsive');
+    const picture = img.closest('picture');
+
+    assert.ok(picture);
+    assert.deepEqual(Array.from(picture.querySelectorAll('source')).map(source => source.type), ['image/avif', 'image/webp']);
+    assert.equal(img.getAttribute('srcset'), 'images/responsive/portfolio/door-640.jpg 640w');
+    assert.equal(img.getAttribute('sizes'), '50vw');
+});
+
+test('data-src no se descarga hasta entrar en pantalla', () => {
+    const img = document.getElementById('deferred');
+    assert.equal(img.getAttribute('src'), null);
+
+    MockIntersectionObserver.trigger(img);
+    assert.equal(img.getAttribute('src'), 'images/portfolio/cave.jpg');
+    assert.equal(img.hasAttribute('data-src'), false);
+    assert.equal(img.style.opacity, '0');
+
+    img.dispatchEvent(new window.Event('load'));
+    assert.equal(img.style.opacity, '1');
+});
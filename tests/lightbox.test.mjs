@@ -0,0 +1,147 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, wait, pressKey } from './helpers/dom.mjs';
+
+const { window, document } = setupDom();
+const { init } = await import('../js/modules/app.js');
+const { Lightbox } = await import('../js/modules/lightbox.js');
+const { Portfolio } = await import('../js/modules/portfolio.js');
+const { GalleryFilters } = await import('../js/modules/gallery-filters.js');
+const { I18n } = await import('../js/modules/i18n.js');
+await init();
+
+const items = () => Array.from(document.querySelectorAll('.gallery-item:not([hidden])'));
+const modal = () => document.querySelector('.lightbox-modal');
+const title = () => modal().querySelector('.lightbox-title').textContent;
+const titleOf = (item) => Portfolio.items.find(entry => entry.id === item.dataset.id).title;
+
+afterEach(async () => {
+    Lightbox.close();
+    GalleryFilters.reset();
+    // El modal se retira del DOM al terminar la animación de cierre
+    await wait(350);
+});
+
+test('abre la obra al hacer clic en un item de la galería', () => {
+    const [, second] = items();
+    second.click();
+
+    assert.ok(modal().classList.contains('active'));
+    assert.equal(title(), titleOf(second));
+    assert.equal(document.activeElement, modal().querySelector('.lightbox-close'));
+    assert.equal(new URL(window.location.href).searchParams.get('work'), second.dataset.id);
+});
+
+test('abre con Intro y con Espacio desde el item enfocado', () => {
+    const [first] = items();
+    first.focus();
+    pressKey('Enter');
+    assert.ok(Lightbox.isOpen);
+    assert.equal(title(), titleOf(first));
+
+    Lightbox.close();
+    first.focus();
+    pressKey(' ');
+    assert.ok(Lightbox.isOpen);
+});
+
+test('siguiente desde la última obra vuelve a la primera', () => {
+    const visible = items();
+    visible[visible.length - 1].click();
+
+    modal().querySelector('.lightbox-next').click();
+    assert.equal(title(), titleOf(visible[0]));
+    assert.equal(modal().querySelector('.lightbox-current').textContent, '1');
+});
+
+test('anterior desde la primera obra salta a la última', () => {
+    const visible = items();
+    visible[0].click();
+
+    modal().querySelector('.lightbox-prev').click();
+    assert.equal(title(), titleOf(visible[visible.length - 1]));
+    assert.equal(modal().querySelector('.lightbox-current').textContent, String(visible.length));
+});
+
+test('las flechas del teclado recorren las obras', () => {
+    const visible = items();
+    visible[0].click();
+
+    pressKey('ArrowRight');
+    assert.equal(title(), titleOf(visible[1]));
+    pressKey('ArrowLeft');
+    pressKey('ArrowLeft');
+    assert.equal(title(), titleOf(visible[visible.length - 1]));
+});
+
+test('+, - y 0 hacen zoom, salvo escribiendo en un campo', () => {
+    items()[0].click();
+    pressKey('+');
+    assert.ok(Lightbox.zoom.scale > 1);
+    pressKey('0');
+    assert.equal(Lightbox.zoom.scale, 1);
+
+    // El rango del proceso (igual que el bucle y la velocidad del sprite)
+    const range = modal().querySelector('.lightbox-process-range');
+    ['+', '=', '-', '_', '0'].forEach(key => pressKey(key, range));
+    assert.equal(Lightbox.zoom.scale, 1);
+
+    const field = document.createElement('textarea');
+    modal().appendChild(field);
+    pressKey('+', field);
+    assert.equal(Lightbox.zoom.scale, 1);
+});
+
+test('solo recorre las obras que dejan ver los filtros', () => {
+    GalleryFilters.update({ category: 'thumbnail' });
+    const visible = items();
+    assert.ok(visible.every(item => item.dataset.category === 'thumbnail'));
+
+    visible[visible.length - 1].click();
+    pressKey('ArrowRight');
+    assert.equal(title(), titleOf(visible[0]));
+    assert.equal(modal().querySelector('.lightbox-total').textContent, String(visible.length));
+});
+
+test('Escape cierra, devuelve el foco y limpia la URL', async () => {
+    const [first] = items();
+    first.click();
+    pressKey('Escape');
+
+    assert.equal(Lightbox.isOpen, false);
+    assert.equal(modal().classList.contains('active'), false);
+    assert.equal(document.activeElement, first);
+
+    // history.back() (la entrada la añadió el lightbox) es asíncrono
+    await wait(350);
+    assert.equal(new URL(window.location.href).searchParams.has('work'), false);
+    assert.equal(modal(), null);
+});
+
+test('la descripción de la obra sigue al idioma', () => {
+    document.querySelector('.gallery-item[data-id="cave"]').click();
+    const description = () => modal().querySelector('.lightbox-description').textContent;
+    assert.equal(description(), 'Cave background for a game level.');
+
+    I18n.apply('es', { persist: false });
+    assert.equal(description(), 'Fondo de cueva para un nivel de un juego.');
+    I18n.apply('en', { persist: false });
+});
+
+test('el botón de cerrar cierra el lightbox', () => {
+    items()[0].click();
+    modal().querySelector('.lightbox-close').click();
+    assert.equal(Lightbox.isOpen, false);
+});
+
+test('Tab no sale del modal abierto', () => {
+    items()[0].click();
+    const focusable = Array.from(modal().querySelectorAll('button, [href], iframe, [tabindex]:not([tabindex="-1"])'))
+        .filter(el => !el.disabled && !el.hidden);
+    const last = focusable[focusable.length - 1];
+
+    last.focus();
+    const event = pressKey('Tab');
+    assert.ok(event.defaultPrevented);
+    assert.equal(document.activeElement, focusable[0]);
+});
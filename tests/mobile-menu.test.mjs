@@ -0,0 +1,53 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+
+const { document } = setupDom();
+const { MobileMenu } = await import('../js/modules/mobile-menu.js');
+MobileMenu.init();
+
+const toggle = document.querySelector('.nav-toggle');
+const menu = document.querySelector('.nav-menu');
+
+beforeEach(() => {
+    if (menu.classList.contains('active')) toggle.click();
+});
+
+test('empieza cerrado', () => {
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(menu.classList.contains('active'), false);
+});
+
+test('el botón abre y cierra el menú y actualiza aria-expanded', () => {
+    toggle.click();
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.ok(menu.classList.contains('active'));
+    assert.equal(document.body.style.overflow, 'hidden');
+
+    toggle.click();
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(menu.classList.contains('active'), false);
+    assert.equal(document.body.style.overflow, '');
+});
+
+test('elegir un enlace cierra el menú', () => {
+    toggle.click();
+    menu.querySelector('.nav-link').click();
+
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(menu.classList.contains('active'), false);
+});
+
+test('un clic fuera del menú lo cierra', () => {
+    toggle.click();
+    document.querySelector('#about').click();
+
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(document.body.style.overflow, '');
+});
+
+test('un clic dentro del menú (fuera de los enlaces) no lo cierra', () => {
+    toggle.click();
+    menu.click();
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+});
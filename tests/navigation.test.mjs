@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, MockIntersectionObserver, wait } from './helpers/dom.mjs';
+
+const { window, document } = setupDom();
+const { Navigation } = await import('../js/modules/navigation.js');
+const { Analytics } = await import('../js/modules/analytics.js');
+
+const views = [];
+Analytics.track = (type, data) => views.push({ type, ...data });
+
+// jsdom no maqueta: página de 3000 px en una ventana de 768 px
+Object.defineProperty(document.documentElement, 'scrollHeight', { configurable: true, value: 3000 });
+Object.defineProperty(window, 'innerHeight', { configurable: true, value: 768 });
+Navigation.init();
+
+const nav = document.querySelector('.main-nav');
+const section = (id) => document.getElementById(id);
+const activeLinks = () => Array.from(document.querySelectorAll('.nav-link.active')).map(link => link.getAttribute('href'));
+const bar = document.querySelector('.scroll-progress-bar');
+
+/**
+ * Simular el scroll y esperar al frame que lo procesa
+ */
+async function scrollTo(y) {
+    Object.defineProperty(window, 'scrollY', { configurable: true, value: y });
+    window.dispatchEvent(new window.Event('scroll'));
+    await wait(50);
+}
+
+test('la sección que cruza la franja marca su link', () => {
+    MockIntersectionObserver.trigger(section('home'));
+    assert.deepEqual(activeLinks(), ['#home']);
+    assert.equal(document.querySelector('.nav-link[href="#home"]').getAttribute('aria-current'), 'location');
+
+    MockIntersectionObserver.trigger(section('about'));
+    MockIntersectionObserver.trigger(section('home'), false);
+    assert.deepEqual(activeLinks(), ['#about']);
+    assert.equal(document.querySelector('.nav-link[href="#home"]').hasAttribute('aria-current'), false);
+    assert.deepEqual(views.map(view => view.section), ['home', 'about']);
+});
+
+test('con dos secciones en la franja gana la de más abajo', () => {
+    MockIntersectionObserver.trigger(section('gallery'));
+    assert.deepEqual(activeLinks(), ['#gallery']);
+
+    MockIntersectionObserver.trigger(section('gallery'), false);
+    assert.deepEqual(activeLinks(), ['#about']);
+    MockIntersectionObserver.trigger(section('about'), false);
+});
+
+test('#latest-game (sin link) se detecta aunque sea corta y no deja ningún link activo', () => {
+    MockIntersectionObserver.trigger(section('latest-game'));
+    assert.equal(Navigation.activeSection, 'latest-game');
+    assert.deepEqual(activeLinks(), []);
+    assert.equal(views.at(-1).section, 'latest-game');
+    MockIntersectionObserver.trigger(section('latest-game'), false);
+});
+
+test('al final de la página se activa la última sección', () => {
+    MockIntersectionObserver.trigger(section('animations'));
+    assert.deepEqual(activeLinks(), ['#animations']);
+
+    // #contact no llega a la franja, pero ya no se puede bajar más
+    MockIntersectionObserver.trigger(document.querySelector('.scroll-sentinel'));
+    assert.deepEqual(activeLinks(), ['#contact']);
+
+    MockIntersectionObserver.trigger(document.querySelector('.scroll-sentinel'), false);
+    assert.deepEqual(activeLinks(), ['#animations']);
+});
+
+test('la barra de progreso sigue el scroll', async () => {
+    await scrollTo(1116);
+    assert.equal(bar.style.transform, 'scaleX(0.5)');
+
+    await scrollTo(5000);
+    assert.equal(bar.style.transform, 'scaleX(1)');
+});
+
+test('la navegación se oculta al bajar y vuelve al subir', async () => {
+    await scrollTo(1000);
+    await scrollTo(1200);
+    assert.ok(nav.classList.contains('is-hidden'));
+
+    // Pequeños movimientos no la hacen aparecer
+    await scrollTo(1195);
+    assert.ok(nav.classList.contains('is-hidden'));
+
+    await scrollTo(1150);
+    assert.equal(nav.classList.contains('is-hidden'), false);
+
+    // Arriba del todo siempre se ve
+    await scrollTo(1300);
+    assert.ok(nav.classList.contains('is-hidden'));
+    await scrollTo(0);
+    assert.equal(nav.classList.contains('is-hidden'), false);
+});
+
+test('con el foco en la navegación no se oculta', async () => {
+    await scrollTo(800);
+    document.querySelector('.nav-link').focus();
+    await scrollTo(1200);
+    assert.equal(nav.classList.contains('is-hidden'), false);
+    document.activeElement.blur();
+
+    // Y con Tab vuelve a aparecer
+    await scrollTo(1400);
+    assert.ok(nav.classList.contains('is-hidden'));
+    document.querySelector('.nav-link').focus();
+    assert.equal(nav.classList.contains('is-hidden'), false);
+    document.activeElement.blur();
+});
+
+test('en pausa no se procesa el scroll', async () => {
+    const progress = bar.style.transform;
+    Navigation.pause();
+    await scrollTo(0);
+    assert.equal(bar.style.transform, progress);
+    MockIntersectionObserver.trigger(section('home'));
+    assert.deepEqual(activeLinks(), ['#animations']);
+
+    Navigation.resume();
+    await wait(50);
+    assert.equal(bar.style.transform, 'scaleX(0)');
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, MockIntersectionObserver } from './helpers/dom.mjs';
+
+const { document, setMedia } = setupDom();
+const { Motion } = await import('../js/modules/motion.js');
+const { ScrollReveal } = await import('../js/modules/scroll-reveal.js');
+
+const REDUCED = '(prefers-reduced-motion: reduce)';
+const targets = () => Array.from(document.querySelectorAll('.section-header, .about-content, .video-card, .contact-content'));
+
+Motion.init();
+ScrollReveal.init();
+
+test('los bloques quedan ocultos hasta entrar en pantalla', () => {
+    assert.ok(targets().length > 0);
+    assert.ok(targets().every(element => element.classList.contains('reveal')));
+    assert.ok(targets().every(element => !element.classList.contains('active')));
+});
+
+test('al entrar en pantalla se revelan y dejan de observarse', () => {
+    const [first, second] = targets();
+    MockIntersectionObserver.trigger(first);
+
+    assert.ok(first.classList.contains('active'));
+    assert.equal(second.classList.contains('active'), false);
+    assert.ok(MockIntersectionObserver.instances.every(observer => !observer.elements.has(first)));
+});
+
+test('fuera de pantalla no se revelan', () => {
+    const [, second] = targets();
+    MockIntersectionObserver.trigger(second, false);
+    assert.equal(second.classList.contains('active'), false);
+});
+
+test('activar movimiento reducido con la página abierta lo muestra todo', () => {
+    let detail = null;
+    document.addEventListener('motionchange', (e) => { detail = e.detail; }, { once: true });
+
+    setMedia(REDUCED, true);
+
+    assert.deepEqual(detail, { reduced: true });
+    assert.ok(Motion.reduced);
+    assert.ok(document.documentElement.classList.contains('reduce-motion'));
+    assert.ok(targets().every(element => element.classList.contains('active')));
+});
+
+test('con movimiento reducido desde el principio no se anima nada', () => {
+    targets().forEach(element => element.classList.remove('reveal', 'active'));
+    ScrollReveal.init();
+    assert.ok(targets().every(element => !element.classList.contains('reveal')));
+
+    setMedia(REDUCED, false);
+    assert.equal(document.documentElement.classList.contains('reduce-motion'), false);
+    assert.equal(Motion.scrollBehavior(), 'smooth');
+});
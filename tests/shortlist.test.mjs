@@ -0,0 +1,209 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, wait, pressKey } from './helpers/dom.mjs';
+
+// Enlace compartido con dos obras (y un id que ya no existe)
+const { window, document, setMedia } = setupDom({ url: 'http://localhost/?selection=cave,door,old-piece#gallery' });
+
+// Selección guardada en una visita anterior
+window.localStorage.setItem('shortlist', JSON.stringify(['dolor', 'old-piece']));
+
+const { init } = await import('../js/modules/app.js');
+const { Shortlist } = await import('../js/modules/shortlist.js');
+const { GalleryFilters } = await import('../js/modules/gallery-filters.js');
+const { Lightbox } = await import('../js/modules/lightbox.js');
+const { Portfolio } = await import('../js/modules/portfolio.js');
+const { I18n } = await import('../js/modules/i18n.js');
+await init();
+
+const item = (id) => Portfolio.getElement(id);
+const heart = (id) => item(id).querySelector('.gallery-shortlist');
+const visibleIds = () => Array.from(document.querySelectorAll('.gallery-item'))
+    .filter(element => !element.hidden)
+    .map(element => element.dataset.id);
+const saved = () => JSON.parse(window.localStorage.getItem('shortlist'));
+const button = document.querySelector('.shortlist-button');
+const drawer = document.querySelector('.shortlist-drawer');
+
+test('el enlace compartido abre la galería filtrada a la selección', () => {
+    assert.deepEqual(GalleryFilters.state.selection, ['cave', 'door']);
+    assert.deepEqual(visibleIds(), ['cave', 'door']);
+
+    const chip = document.querySelector('.filter-chip[data-type="selection"]');
+    assert.equal(chip.querySelector('.filter-chip-label').textContent, 'Shortlist (2)');
+
+    chip.click();
+    assert.equal(visibleIds().length, Portfolio.items.length);
+    assert.equal(new URL(window.location.href).searchParams.get('selection'), null);
+});
+
+test('la selección guardada se recupera sin ids desconocidos', () => {
+    assert.deepEqual(Shortlist.ids, ['dolor']);
+    assert.equal(button.hidden, false);
+    assert.equal(button.querySelector('.shortlist-count').textContent, '1');
+
+    assert.equal(document.querySelectorAll('.gallery-shortlist').length, Portfolio.items.length);
+    assert.equal(heart('dolor').getAttribute('aria-pressed'), 'true');
+    assert.equal(heart('cave').getAttribute('aria-pressed'), 'false');
+    assert.equal(heart('cave').getAttribute('aria-label'), `Add “${Portfolio.getEntry('cave').title}” to shortlist`);
+});
+
+test('el corazón añade y quita sin abrir el lightbox', async () => {
+    heart('cave').click();
+    assert.equal(Lightbox.isOpen, false);
+    assert.deepEqual(saved(), ['dolor', 'cave']);
+    assert.equal(heart('cave').getAttribute('aria-pressed'), 'true');
+    assert.ok(item('cave').classList.contains('is-shortlisted'));
+    await wait(150);
+    assert.equal(document.querySelector('.sr-announcer').textContent, `“${Portfolio.getEntry('cave').title}” added to shortlist`);
+
+    // Enter sobre el corazón: el botón se pulsa, el item no recibe la tecla
+    pressKey('Enter', heart('cave'));
+    assert.equal(Lightbox.isOpen, false);
+
+    heart('cave').click();
+    assert.deepEqual(saved(), ['dolor']);
+});
+
+test('los corazones siguen la parada de Tab del item', () => {
+    const items = Array.from(document.querySelectorAll('.gallery-item'));
+    items.forEach(element => {
+        assert.equal(element.querySelector('.gallery-shortlist').tabIndex, element.tabIndex);
+    });
+
+    // Enfocar un corazón hace de su item la parada de Tab
+    heart('door').focus();
+    assert.equal(item('door').tabIndex, 0);
+    assert.equal(heart('door').tabIndex, 0);
+});
+
+test('el panel lista las obras y da el enlace para compartir', () => {
+    heart('door').click();
+    button.click();
+    assert.equal(drawer.hidden, false);
+    assert.equal(button.getAttribute('aria-expanded'), 'true');
+    assert.equal(document.activeElement, drawer.querySelector('.shortlist-close'));
+
+    const titles = Array.from(drawer.querySelectorAll('.shortlist-item-title')).map(title => title.textContent);
+    assert.deepEqual(titles, [Portfolio.getEntry('dolor').title, Portfolio.getEntry('door').title]);
+    assert.match(drawer.querySelector('.shortlist-item-meta').textContent, /2024$/);
+
+    const link = new URL(drawer.querySelector('.shortlist-link').value);
+    assert.equal(link.searchParams.get('selection'), 'dolor,door');
+    assert.equal(link.hash, '#gallery');
+
+    // Quitar desde la lista deja el foco en el panel
+    drawer.querySelector('.shortlist-remove').click();
+    assert.deepEqual(Shortlist.ids, ['door']);
+    assert.ok(drawer.contains(document.activeElement));
+
+    pressKey('Escape');
+    assert.equal(drawer.hidden, true);
+    assert.equal(document.activeElement, button);
+});
+
+test('copiar el enlace usa el portapapeles (o lo deja seleccionado)', async () => {
+    let copied = null;
+    Object.defineProperty(window.navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: async (text) => { copied = text; } }
+    });
+    await Shortlist.copyLink();
+    assert.equal(copied, Shortlist.getShareUrl());
+    await wait(150);
+    assert.equal(document.querySelector('.sr-announcer').textContent, 'Link copied');
+
+    window.navigator.clipboard.writeText = async () => { throw new Error('Denied'); };
+    await Shortlist.copyLink();
+    assert.equal(document.activeElement, drawer.querySelector('.shortlist-link'));
+});
+
+test('"Ver en la galería" filtra a la selección y lo guarda en la URL', () => {
+    button.click();
+    drawer.querySelector('.shortlist-show').click();
+    assert.equal(drawer.hidden, true);
+    assert.deepEqual(visibleIds(), ['door']);
+    assert.equal(new URL(window.location.href).searchParams.get('selection'), 'door');
+    GalleryFilters.update(GalleryFilters.getDefaults());
+});
+
+test('"Ver en la galería" no anima el scroll con movimiento reducido', () => {
+    const gallery = document.getElementById('gallery');
+    const scrolls = [];
+    gallery.scrollIntoView = (options) => scrolls.push(options.behavior);
+
+    Shortlist.showInGallery();
+    setMedia('(prefers-reduced-motion: reduce)', true);
+    Shortlist.showInGallery();
+    setMedia('(prefers-reduced-motion: reduce)', false);
+
+    assert.deepEqual(scrolls, ['smooth', 'auto']);
+    delete gallery.scrollIntoView;
+    GalleryFilters.update(GalleryFilters.getDefaults());
+});
+
+test('el lightbox tiene su corazón (solo en las obras de la galería)', async () => {
+    item('cave').click();
+    const toggle = document.querySelector('.lightbox-shortlist');
+    assert.equal(toggle.hidden, false);
+    assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+
+    toggle.click();
+    assert.ok(Shortlist.has('cave'));
+    assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+    assert.equal(toggle.querySelector('.lightbox-shortlist-label').textContent, 'In your shortlist');
+    assert.equal(heart('cave').getAttribute('aria-pressed'), 'true');
+
+    // Cambiar desde fuera (p. ej. otra pestaña o el panel) también se refleja
+    Shortlist.toggle('cave');
+    assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+
+    Lightbox.open('latest-game', 0);
+    assert.equal(document.querySelector('.lightbox-shortlist').hidden, true);
+    Lightbox.close();
+    await wait(350);
+});
+
+test('imprimir muestra solo la hoja de selección con categoría y año', () => {
+    I18n.apply('es', { persist: false });
+    let printed = false;
+    window.print = () => {
+        printed = true;
+        assert.ok(document.documentElement.classList.contains('print-selection'));
+    };
+
+    button.click();
+    drawer.querySelector('.shortlist-print').click();
+    assert.ok(printed);
+
+    const sheet = document.querySelector('.selection-sheet');
+    const entries = sheet.querySelectorAll('.selection-sheet-item');
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].querySelector('.selection-sheet-item-title').textContent, Portfolio.getEntry('door').title);
+    assert.equal(entries[0].querySelector('.selection-sheet-category').textContent, GalleryFilters.getCategoryLabel('illustration'));
+    assert.equal(entries[0].querySelector('.selection-sheet-year').textContent, '2024');
+    assert.equal(sheet.querySelector('.selection-sheet-title').textContent, 'Obras seleccionadas');
+
+    window.dispatchEvent(new window.Event('afterprint'));
+    assert.equal(document.documentElement.classList.contains('print-selection'), false);
+    I18n.apply('en', { persist: false });
+});
+
+test('vaciar la selección oculta el botón al cerrar el panel', () => {
+    drawer.querySelector('.shortlist-clear').click();
+    assert.deepEqual(saved(), []);
+    assert.equal(drawer.querySelector('.shortlist-empty').hidden, false);
+    assert.ok(drawer.querySelector('.shortlist-copy').disabled);
+    assert.equal(button.hidden, false);
+
+    pressKey('Escape');
+    assert.equal(button.hidden, true);
+});
+
+test('otra pestaña cambia la selección', () => {
+    window.localStorage.setItem('shortlist', JSON.stringify(['cave']));
+    window.dispatchEvent(new window.StorageEvent('storage', { key: 'shortlist' }));
+    assert.deepEqual(Shortlist.ids, ['cave']);
+    assert.equal(heart('cave').getAttribute('aria-pressed'), 'true');
+    assert.equal(button.hidden, false);
+});
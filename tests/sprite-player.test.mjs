@@ -0,0 +1,217 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, wait, pressKey } from './helpers/dom.mjs';
+
+const { window, document, setMedia } = setupDom();
+
+// Manifiesto con una hoja de sprites: 4 × 2 casillas de 32 px
+const SPRITE_ID = 'character-illustrations';
+const serve = window.fetch;
+globalThis.fetch = window.fetch = async (input) => {
+    const response = await serve(input);
+    if (!String(input).endsWith('data/portfolio.json')) return response;
+
+    const manifest = await response.json();
+    manifest.items.find(item => item.id === SPRITE_ID).sprite = {
+        frameWidth: 32,
+        frameHeight: 32,
+        fps: 20,
+        animations: { idle: [0, 3], run: [4, 7] }
+    };
+    return new Response(JSON.stringify(manifest), { headers: { 'Content-Type': 'application/json' } });
+};
+
+// Canvas 2D simulado: jsdom no dibuja, se registra cada drawImage
+const draws = [];
+window.HTMLCanvasElement.prototype.getContext = function () {
+    return {
+        imageSmoothingEnabled: true,
+        clearRect() {},
+        drawImage(...args) { draws.push({ smoothing: this.imageSmoothingEnabled, args }); }
+    };
+};
+
+const { init } = await import('../js/modules/app.js');
+const { Lightbox } = await import('../js/modules/lightbox.js');
+const { SpritePlayer } = await import('../js/modules/sprite-player.js');
+const { Portfolio } = await import('../js/modules/portfolio.js');
+const { I18n } = await import('../js/modules/i18n.js');
+await init();
+
+const player = () => document.querySelector('.lightbox-sprite');
+const frameText = () => player().querySelector('.sprite-frame').textContent;
+const animation = (name) => player().querySelector(`.sprite-animation[data-name="${name}"]`);
+
+/**
+ * Simular que la hoja termina de cargar (jsdom no descarga imágenes)
+ */
+function loadSheet(width = 128, height = 64) {
+    Object.defineProperty(SpritePlayer.image, 'naturalWidth', { configurable: true, value: width });
+    Object.defineProperty(SpritePlayer.image, 'naturalHeight', { configurable: true, value: height });
+    SpritePlayer.image.dispatchEvent(new window.Event('load'));
+}
+
+function openSprite() {
+    Portfolio.getElement(SPRITE_ID).click();
+    loadSheet();
+}
+
+test('las obras con hoja de sprites llevan su distintivo en la galería', () => {
+    const badge = Portfolio.getElement(SPRITE_ID).querySelector('.gallery-item-badge');
+    assert.equal(badge.textContent, 'Animated');
+    assert.equal(Portfolio.getEntry(SPRITE_ID).sprite.image, Portfolio.getEntry(SPRITE_ID).image);
+});
+
+test('el lightbox muestra el canvas en lugar de la imagen, sin zoom', () => {
+    Portfolio.getElement(SPRITE_ID).click();
+    const modal = document.querySelector('.lightbox-modal');
+
+    assert.equal(player().hidden, false);
+    assert.equal(modal.querySelector('.lightbox-image').hidden, true);
+    assert.equal(modal.querySelector('.lightbox-zoom').hidden, true);
+    assert.equal(player().querySelector('.sprite-canvas').getAttribute('aria-label'),
+        `Animation: ${Portfolio.getEntry(SPRITE_ID).title}`);
+
+    // Hasta que carga la hoja no hay nada que controlar
+    assert.ok(player().querySelector('.sprite-play').disabled);
+});
+
+test('al cargar: primera animación en bucle, escala entera y sin suavizado', () => {
+    loadSheet();
+
+    assert.equal(SpritePlayer.frames, 8);
+    assert.deepEqual(Array.from(player().querySelectorAll('.sprite-animation')).map(button => button.textContent),
+        ['idle', 'run', 'All frames']);
+    assert.equal(animation('idle').getAttribute('aria-pressed'), 'true');
+    assert.equal(player().querySelector('.sprite-from').value, '1');
+    assert.equal(player().querySelector('.sprite-to').value, '4');
+    assert.equal(frameText(), 'Frame 1 / 8');
+    assert.equal(player().querySelector('.sprite-play').getAttribute('aria-pressed'), 'true');
+
+    const canvas = player().querySelector('.sprite-canvas');
+    assert.equal(canvas.width % 32, 0);
+    assert.equal(canvas.width, canvas.height);
+
+    const last = draws.at(-1);
+    assert.equal(last.smoothing, false);
+    assert.deepEqual(last.args.slice(1), [0, 0, 32, 32, 0, 0, canvas.width, canvas.height]);
+});
+
+test('se reproduce dentro del rango y se pausa', async () => {
+    await wait(250);
+    assert.ok(SpritePlayer.frame >= 0 && SpritePlayer.frame <= 3);
+    assert.ok(draws.length > 2);
+
+    player().querySelector('.sprite-play').click();
+    assert.equal(player().querySelector('.sprite-play').getAttribute('aria-pressed'), 'false');
+    const frame = SpritePlayer.frame;
+    await wait(150);
+    assert.equal(SpritePlayer.frame, frame);
+});
+
+test('frame a frame dando la vuelta dentro del rango', () => {
+    animation('idle').click();
+    player().querySelector('.sprite-prev').click();
+    assert.equal(SpritePlayer.frame, 3);
+    assert.equal(frameText(), 'Frame 4 / 8');
+
+    player().querySelector('.sprite-next').click();
+    assert.equal(SpritePlayer.frame, 0);
+    assert.equal(SpritePlayer.playing, false);
+});
+
+test('animaciones con nombre y rango en bucle a mano', () => {
+    animation('run').click();
+    assert.deepEqual(SpritePlayer.range, { start: 4, end: 7 });
+    // Frame 5 (índice 4): primera columna de la segunda fila
+    assert.deepEqual(draws.at(-1).args.slice(1, 5), [0, 32, 32, 32]);
+
+    const from = player().querySelector('.sprite-from');
+    const to = player().querySelector('.sprite-to');
+    from.value = '2';
+    to.value = '3';
+    to.dispatchEvent(new window.Event('change'));
+    assert.deepEqual(SpritePlayer.range, { start: 1, end: 2 });
+    assert.equal(player().querySelectorAll('.sprite-animation[aria-pressed="true"]').length, 0);
+
+    // Fuera de la hoja se recorta
+    to.value = '40';
+    to.dispatchEvent(new window.Event('change'));
+    assert.deepEqual(SpritePlayer.range, { start: 1, end: 7 });
+});
+
+test('la velocidad cambia la duración de cada frame', () => {
+    const select = player().querySelector('.sprite-speed');
+    assert.equal(SpritePlayer.getFrameDuration(), 50);
+
+    select.value = '2';
+    select.dispatchEvent(new window.Event('change'));
+    assert.equal(SpritePlayer.getFrameDuration(), 25);
+
+    select.value = '0.5';
+    select.dispatchEvent(new window.Event('change'));
+    assert.equal(SpritePlayer.getFrameDuration(), 100);
+});
+
+test('con el foco en el canvas las flechas cambian de frame, no de obra', () => {
+    const canvas = player().querySelector('.sprite-canvas');
+    const index = Lightbox.currentIndex;
+    canvas.focus();
+    const frame = SpritePlayer.frame;
+
+    pressKey('ArrowRight');
+    assert.equal(Lightbox.currentIndex, index);
+    assert.equal(SpritePlayer.frame, frame + 1);
+
+    pressKey(' ');
+    assert.equal(SpritePlayer.playing, true);
+    pressKey(' ');
+    assert.equal(SpritePlayer.playing, false);
+});
+
+test('los textos siguen el idioma', () => {
+    I18n.apply('es', { persist: false });
+    assert.equal(animation('').textContent, 'Todos los frames');
+    assert.equal(player().querySelector('.sprite-play').getAttribute('aria-label'), 'Reproducir animación');
+    assert.match(frameText(), /^Frame \d \/ 8$/);
+    I18n.apply('en', { persist: false });
+});
+
+test('cambiar de obra o cerrar detiene la animación', async () => {
+    player().querySelector('.sprite-play').click();
+    assert.notEqual(SpritePlayer.frameId, null);
+
+    Lightbox.next();
+    assert.equal(SpritePlayer.frameId, null);
+    assert.equal(player().hidden, true);
+    assert.equal(document.querySelector('.lightbox-image').hidden, false);
+
+    Lightbox.prev();
+    loadSheet();
+    Lightbox.close();
+    assert.equal(SpritePlayer.frameId, null);
+    assert.equal(SpritePlayer.container, null);
+    await wait(350);
+});
+
+test('con movimiento reducido se abre en pausa', async () => {
+    setMedia('(prefers-reduced-motion: reduce)', true);
+    openSprite();
+    assert.equal(SpritePlayer.playing, false);
+    assert.equal(frameText(), 'Frame 1 / 8');
+    Lightbox.close();
+    setMedia('(prefers-reduced-motion: reduce)', false);
+    await wait(350);
+});
+
+test('una hoja que no carga muestra el aviso', async () => {
+    Portfolio.getElement(SPRITE_ID).click();
+    SpritePlayer.image.dispatchEvent(new window.Event('error'));
+
+    const status = player().querySelector('.sprite-status');
+    assert.equal(status.hidden, false);
+    assert.equal(status.textContent, 'The sprite sheet could not be loaded');
+    assert.equal(player().querySelector('.sprite-canvas').hidden, true);
+    Lightbox.close();
+    await wait(350);
+});